@@ -0,0 +1,26 @@
+import globals from "globals";
+import react from "eslint-plugin-react";
+
+// Only catches names that don't exist (a missing import, a typo); formatting is left to the editor
+export default [
+  { ignores: ["dist/"] },
+  {
+    files: ["**/*.{js,jsx}"],
+    languageOptions: {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      parserOptions: { ecmaFeatures: { jsx: true } },
+      globals: { ...globals.browser },
+    },
+    plugins: { react },
+    rules: {
+      "no-undef": "error",
+      "react/jsx-no-undef": "error",
+      "react/jsx-uses-vars": "error",
+    },
+  },
+  {
+    files: ["server/**", "*.config.js", "**/*.test.js"],
+    languageOptions: { globals: { ...globals.node } },
+  },
+];
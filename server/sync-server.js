@@ -0,0 +1,94 @@
+/**
+ * A small self-hostable sync server for the Milk Dairy Tracker (no dependencies, Node 18+)
+ * - Stores one encrypted snapshot per "space" as <SYNC_DIR>/<space>.json; it never sees the passphrase or the data
+ * - GET /snapshots/<space> -> { revision, envelope } (404 before the first push)
+ * - PUT /snapshots/<space> with { baseRevision, envelope } -> { revision }; 409 when another device pushed since baseRevision
+ * - Run with `npm run sync-server`; PORT (default 8787), SYNC_DIR (default ./sync-data) and SYNC_TOKEN (optional
+ *   bearer token every request must carry) configure it
+ */
+
+import { createServer } from "node:http";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const MAX_BODY = 20 * 1024 * 1024;
+const SPACE = /^\/snapshots\/([\w-]{1,64})$/;
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw Object.assign(new Error("Snapshot too large"), { status: 413 });
+    chunks.push(chunk);
+  }
+  let body;
+  try { body = JSON.parse(Buffer.concat(chunks).toString("utf8")); }
+  catch { throw Object.assign(new Error("Body is not JSON"), { status: 400 }); }
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw Object.assign(new Error("Body must be a JSON object"), { status: 400 });
+  return body;
+}
+
+async function readSpace(file) {
+  try { return JSON.parse(await readFile(file, "utf8")); }
+  catch (err) { if (err.code === "ENOENT") return null; throw err; }
+}
+
+export function createSyncServer({ dir, token } = {}) {
+  // Writes to one space are queued so two pushes can't both pass the revision check
+  const queues = new Map();
+  const queued = (space, task) => {
+    const next = (queues.get(space) ?? Promise.resolve()).then(task, task);
+    queues.set(space, next.catch(() => {}));
+    return next;
+  };
+
+  return createServer(async (req, res) => {
+    if (req.method === "OPTIONS") { res.writeHead(204, CORS); return res.end(); }
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: "Missing or wrong access token" });
+    const match = SPACE.exec(new URL(req.url, "http://localhost").pathname);
+    if (!match) return send(res, 404, { error: "Use /snapshots/<space>" });
+    const file = join(dir, `${match[1]}.json`);
+
+    try {
+      if (req.method === "GET") {
+        const stored = await readSpace(file);
+        return stored ? send(res, 200, stored) : send(res, 404, { error: "Nothing synced to this space yet" });
+      }
+      if (req.method !== "PUT") return send(res, 405, { error: "Only GET and PUT are supported" });
+      const { baseRevision = null, envelope } = await readBody(req);
+      if (!envelope || typeof envelope !== "object") return send(res, 400, { error: "Missing envelope" });
+      await queued(match[1], async () => {
+        const stored = await readSpace(file);
+        const current = stored?.revision ?? null;
+        if (current !== baseRevision) return send(res, 409, { error: "Another device synced first", revision: current });
+        const revision = (current ?? 0) + 1;
+        await mkdir(dir, { recursive: true });
+        await writeFile(`${file}.tmp`, JSON.stringify({ revision, envelope, savedAt: new Date().toISOString() }));
+        await rename(`${file}.tmp`, file);
+        send(res, 200, { revision });
+      });
+    } catch (err) {
+      send(res, err.status ?? 500, { error: err.message });
+    }
+  });
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT ?? 8787);
+  const dir = resolve(process.env.SYNC_DIR ?? "sync-data");
+  createSyncServer({ dir, token: process.env.SYNC_TOKEN }).listen(port, () => {
+    console.log(`Dairy tracker sync server on http://localhost:${port}, storing snapshots in ${dir}`);
+  });
+}
@@ -1,14 +1,45 @@
-
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  COLLECTIONS, DEFAULT_PROFILE, DEFAULT_SLOTS, DEFAULT_SUPPLIER, deleteProfileData, loadAll, loadProfiles, loadSyncState,
+  saveCollections, saveProfiles, saveSyncState, withPrices, withQty, withSlot, withSupplier,
+} from "./storage.js";
+import { LOCALES, localeOf, translate } from "./i18n.js";
+import {
+  addDays, balancesBySupplier, chartForDate, chartToText, currentPrices, daySummaries, daysMatrix, endOfMonth, entryPrice,
+  fillFromSchedules, hasReading, isChart, isDateKey, latestRate, ledgerRows, missedKey, monthBounds, newId, outstanding,
+  parseKey, pauseSchedule, pendingDeliveries, periodBounds, previousBounds, profileSummary, projectMonth, rateForDate,
+  rateImpact, resumeSchedule, sameRate, scheduleRunsOn, schedulePaused, sortRates, startOfMonth, summarize, toKey, todayKey,
+  validateEntry, validatePayment, validateRate,
+} from "./ledger.js";
+import UpdatePrompt from "./UpdatePrompt.jsx";
+import { fileTarget, pullAndMerge, pushMerged, resolveConflicts, sameRecord, serverTarget } from "./sync.js";
 
 /**
  * Milk Dairy Tracker (React + Vite + Tailwind)
- * - Calendar to add daily entries (cow/buffalo + kg)
- * - Rates (₹/kg) with future-only updates (effectiveFrom). Past entries keep old rates.
- * - Totals: kg by type, total kg, total ₹ cost (date-correct rates)
- * - Stickers: cow/buffalo in dialogs, stats, entries, and calendar cells
+ * - Calendar to add daily entries (product + quantity), per delivery slot (morning, evening or custom)
+ * - "Missed delivery" markers per slot, shown on the calendar, entry list, exports and bills
+ * - Product catalogue (cow/buffalo milk, curd, paneer, ...) sold per kg, litre or piece
+ * - Rates (₹/unit) by effectiveFrom; past entries keep old rates. The rate timeline edits, deletes or back-dates rows
+ *   after previewing which entries and months change cost
+ * - Optional fat / SNF rate charts: entries with a quality reading are priced from the chart, others at the flat rate
+ * - Totals: quantity by product, total ₹ cost (date-correct rates) for a month, range, FY or all time
+ * - Stickers / icons per product in dialogs, stats, entries, and calendar cells
  * - Hover tooltip on calendar days showing breakdown + cost
- * - LocalStorage persistence
+ * - Edit / delete entries with multi-step undo & redo
+ * - Month grid for bulk entry (keyboard navigation, spreadsheet paste, fill down) and N / G quick-entry shortcuts
+ * - Monthly budgets (overall and per product) with progress, month-end projection and over-budget warnings
+ * - Payments ledger (cash / UPI) with running balance due or advance
+ * - Recurring delivery schedules that auto-fill past days and show expected ones on the calendar
+ * - Multiple suppliers, each with its own rate history
+ * - CSV / JSON export and import (validated, with duplicate & conflict preview), full backup / restore
+ * - Printable monthly bill per supplier (print stylesheet + offline PDF download)
+ * - Analytics: daily quantity and 12-month spend charts with rate-change markers, average price, weekday heatmap
+ * - Pricing, totals, the payments ledger and validation rules are plain functions in ledger.js (unit tested)
+ * - IndexedDB persistence (see storage.js) with a one-time import of the old LocalStorage data
+ * - Encrypted sync (see sync.js) to a file or a self-hosted server, merged per record with visible conflict resolution
+ * - Profiles for several households, each with its own data and currency, plus a combined summary
+ * - Per-profile language (English, Hindi, Punjabi; see i18n.js), locale number / currency formats, milk shown in kg or
+ *   litre, and the first day of the week
  */
 
 const STICKERS = {
@@ -16,81 +47,437 @@ const STICKERS = {
   buffalo: "/stickers/buffalo.png",
 };
 
-const MILK_TYPES = [
-  { id: "cow", label: "Cow", icon: STICKERS.cow },
-  { id: "buffalo", label: "Buffalo", icon: STICKERS.buffalo },
+// Product catalogue. `icon` is a sticker path or an emoji; archived products stay on old entries only.
+const DEFAULT_PRODUCTS = [
+  { id: "cow", label: "Cow", unit: "kg", icon: STICKERS.cow, archived: false },
+  { id: "buffalo", label: "Buffalo", unit: "kg", icon: STICKERS.buffalo, archived: false },
+];
+const UNITS = ["kg", "litre", "piece"];
+
+// Currencies a profile can keep its accounts in
+const CURRENCIES = [
+  { code: "INR", symbol: "₹" },
+  { code: "PKR", symbol: "Rs" },
+  { code: "NPR", symbol: "रू" },
+  { code: "USD", symbol: "$" },
+  { code: "GBP", symbol: "£" },
+  { code: "EUR", symbol: "€" },
+  { code: "AED", symbol: "AED " },
+];
+const currencySymbol = (code) => CURRENCIES.find((c) => c.code === code)?.symbol ?? `${code} `;
+
+// Display settings kept on each profile; saved profiles may predate some of them
+const MILK_UNITS = ["kg", "litre"];
+const PROFILE_SETTINGS = { locale: "en", milkUnit: "", kgPerLitre: 1.03, weekStart: 1 }; // milkUnit "" = each product's own unit
+const isImageIcon = (icon) => /^(\/|data:|https?:)/.test(icon);
+
+// Periods for Stats; ledger.js turns them into date bounds
+const PERIODS = [
+  { id: "month", label: "This month" },
+  { id: "range", label: "Custom range" },
+  { id: "fy", label: "Financial year" },
+  { id: "all", label: "All time" },
+];
+
+const HISTORY_LIMIT = 50;
+
+// Weekdays Monday first; `day` is Date#getDay(), as stored in schedules
+const WEEKDAYS = [
+  { day: 1, label: "Mon" }, { day: 2, label: "Tue" }, { day: 3, label: "Wed" }, { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" }, { day: 6, label: "Sat" }, { day: 0, label: "Sun" },
+];
+
+// Chart series colours, assigned by position in the product catalogue
+const CHART_COLORS = ["#a78bfa", "#f472b6", "#60a5fa", "#34d399", "#fbbf24", "#fb923c", "#94a3b8"];
+
+const PAYMENT_METHODS = [
+  { id: "cash", label: "Cash" },
+  { id: "upi", label: "UPI" },
 ];
 
-const pad = (n) => String(n).padStart(2, "0");
-const toKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
-const todayKey = () => toKey(new Date());
-const parseKey = (key) => {
-  const [y, m, d] = key.split("-").map(Number);
-  return new Date(y, m - 1, d);
+// Import / export
+const BACKUP_SCHEMA_VERSION = 1;
+const CSV_COLUMNS = ["id", "date", "slot", "supplier", "product", "quantity", "unit", "fat", "snf", "rate", "amount"];
+
+function download(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// Sync
+const SYNC_DEFAULTS = { target: "server", url: "http://localhost:8787", space: "", token: "" };
+const SYNC_LABELS = {
+  entries: "Entry", rates: "Rate", payments: "Payment", schedules: "Schedule", suppliers: "Supplier",
+  products: "Product", slots: "Delivery slot", missed: "Missed delivery", budgets: "Budget",
 };
-const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
-const endOfMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0);
-
-function daysMatrix(activeDate) {
-  const start = startOfMonth(activeDate);
-  const end = endOfMonth(activeDate);
-  const startIdx = (start.getDay() + 6) % 7; // Monday=0
-  const totalDays = startIdx + end.getDate();
-  const rows = Math.ceil(totalDays / 7);
-  const matrix = [];
-  let cursor = new Date(start);
-  cursor.setDate(cursor.getDate() - startIdx);
-  for (let r = 0; r < rows; r++) {
-    const row = [];
-    for (let c = 0; c < 7; c++) {
-      row.push(new Date(cursor));
-      cursor.setDate(cursor.getDate() + 1);
-    }
-    matrix.push(row);
-  }
-  return matrix;
+
+// Monthly bill as a PDF (jsPDF is loaded on demand; built-in fonts only cover Latin-1 and €, so the PDF
+// stays in English whatever the app's language)
+async function downloadBillPdf(bill) {
+  const [{ jsPDF }, { applyPlugin }] = await Promise.all([import("jspdf"), import("jspdf-autotable")]);
+  applyPlugin(jsPDF);
+  const doc = new jsPDF();
+  const symbol = currencySymbol(bill.currency);
+  const money = (v) => `${/^[\x20-\xff€]+$/.test(symbol) ? symbol : `${bill.currency} `}${v.toFixed(2)}`;
+  doc.setFontSize(16);
+  const monthLabel = parseKey(`${bill.monthKey}-01`).toLocaleString("en-IN", { month: "long", year: "numeric" });
+  doc.text(`Milk bill - ${monthLabel}`, 14, 18);
+  doc.setFontSize(10);
+  doc.text(`Supplier: ${bill.supplier.name}`, 14, 25);
+  doc.text(`Generated: ${todayKey()}`, 196, 25, { align: "right" });
+  doc.autoTable({
+    startY: 30,
+    styles: { fontSize: 8, cellPadding: 1.2 },
+    headStyles: { fillColor: [139, 92, 246] },
+    footStyles: { fillColor: [237, 233, 254], textColor: 20 },
+    head: [["Date", ...bill.products.flatMap((p) => [`${p.label} (${p.unit})`, "Rate"]), "Amount", ...(bill.missedCount ? ["Notes"] : [])]],
+    body: bill.days.map((d) => [
+      d.date + (d.rateChanged ? " *" : ""),
+      ...bill.products.flatMap((p) => {
+        const item = d.items[p.id];
+        return [item.qty ? String(item.qty) : "-", item.rate == null ? "-" : item.rate.toFixed(2) + (item.quality ? " Q" : "")];
+      }),
+      d.amount ? d.amount.toFixed(2) : "-",
+      ...(bill.missedCount ? [d.missed.length ? `Missed: ${d.missed.join(", ")}` : ""] : []),
+    ]),
+    foot: [[
+      "Subtotal",
+      ...bill.products.flatMap((p) => [String(bill.totals.get(p.id).qty), money(bill.totals.get(p.id).cost)]),
+      money(bill.grandTotal),
+      ...(bill.missedCount ? [`${bill.missedCount} missed`] : []),
+    ]],
+  });
+  let y = doc.lastAutoTable.finalY + 8;
+  doc.setFontSize(12);
+  doc.text(`Grand total: ${money(bill.grandTotal)}`, 196, y, { align: "right" });
+  doc.setFontSize(8);
+  const notes = [
+    bill.days.some((d) => d.rateChanged) && "* rate changed from this day",
+    bill.days.some((d) => Object.values(d.items).some((i) => i.quality)) && "Q average fat / SNF chart price for the day",
+    bill.unpriced && `${bill.unpriced} deliveries had no price and are not included.`,
+  ].filter(Boolean);
+  notes.forEach((note, i) => doc.text(note, 14, y + i * 5));
+  y += 30;
+  doc.setFontSize(10);
+  doc.line(14, y, 84, y);
+  doc.line(126, y, 196, y);
+  doc.text("Supplier's signature", 14, y + 5);
+  doc.text("Customer's signature", 126, y + 5);
+  doc.save(`milk_bill_${bill.supplier.name.replace(/\W+/g, "_")}_${bill.monthKey}.pdf`);
 }
 
-// LocalStorage
-const LS_KEYS = { entries: "dairy.entries.v2", rates: "dairy.rates.v2" };
-const loadLS = (key, fallback) => {
-  try { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : fallback; }
-  catch { return fallback; }
+const csvCell = (v) => {
+  const text = String(v ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 };
-const saveLS = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+const toCsv = (rows) => rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
 
+// RFC 4180-ish: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+const sameDelivery = (a, b) => a.date === b.date && a.slot === b.slot && a.supplierId === b.supplierId && a.type === b.type;
+const sameEntry = (a, b) => sameDelivery(a, b) && a.qty === b.qty;
+
+// Sorts incoming entries against existing ones: new, exact duplicates, and conflicts
+// (same id, or same day / slot / supplier / product when there is no id, but different values)
+function compareEntries(existing, incoming) {
+  const byId = new Map(existing.map((e) => [e.id, e]));
+  const report = { added: [], duplicates: [], conflicts: [] };
+  for (const e of incoming) {
+    const match = (e.id && byId.get(e.id)) || existing.find((x) => sameEntry(x, e))
+      || existing.find((x) => sameDelivery(x, e));
+    if (!match) report.added.push(e);
+    else if (sameEntry(match, e)) report.duplicates.push(e);
+    else report.conflicts.push({ existing: match, incoming: { ...e, id: match.id } });
+  }
+  return report;
+}
+
+// Profiles that never changed these lists start with the defaults
+const withDefaults = (data) => ({
+  ...data,
+  suppliers: data.suppliers.length ? data.suppliers : [DEFAULT_SUPPLIER],
+  products: data.products.length ? data.products : DEFAULT_PRODUCTS,
+  slots: data.slots.length ? data.slots : DEFAULT_SLOTS,
+});
 
 //APP Component
 export default function App() {
   const [month, setMonth] = useState(startOfMonth(new Date()));
-  const [entries, setEntries] = useState(() => loadLS(LS_KEYS.entries, []));
-  const [rates, setRates] = useState(() => loadLS(LS_KEYS.rates, []));
+  const [entries, setEntries] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [suppliers, setSuppliers] = useState([DEFAULT_SUPPLIER]);
+  const [products, setProducts] = useState(DEFAULT_PRODUCTS);
+  const [slots, setSlots] = useState(DEFAULT_SLOTS);
+  const [missed, setMissed] = useState([]);
+  const [budgets, setBudgets] = useState([]); // [{ scope: "total" | productId, amount }] per month
+  const [storage, setStorage] = useState("loading"); // loading | ready | failed
+  const saved = useRef(null); // collections as last written to IndexedDB
+  const [profiles, setProfiles] = useState([DEFAULT_PROFILE]);
+  const [profileId, setProfileId] = useState(null); // null until the profile list is loaded
+
+  // Undo / redo: snapshots of every persisted collection taken before each change
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
 
   // Dialogs
   const [showEntryDialog, setShowEntryDialog] = useState(false);
-  const [entryDraft, setEntryDraft] = useState({ date: todayKey(), type: "buffalo", kg: "" });
+  const [entryDraft, setEntryDraft] = useState({ date: todayKey(), slot: DEFAULT_SLOTS[0].id, type: "buffalo", qty: "" });
+  const [openDay, setOpenDay] = useState(null);
+
+  // Stats period
+  const [period, setPeriod] = useState({ kind: "month", from: "", to: "" });
 
   const [showRateDialog, setShowRateDialog] = useState(false);
-  const [rateDraft, setRateDraft] = useState({ effectiveFrom: todayKey(), cow: "", buffalo: "" });
+  const [rateChange, setRateChange] = useState(null); // rate edit waiting on its recalculation preview
+  const [rateDraft, setRateDraft] = useState({ effectiveFrom: todayKey(), supplierId: DEFAULT_SUPPLIER.id, prices: {} });
 
-  useEffect(() => saveLS(LS_KEYS.entries, entries), [entries]);
-  useEffect(() => saveLS(LS_KEYS.rates, rates), [rates]);
+  const [paymentDraft, setPaymentDraft] = useState(null);
+  const [scheduleDraft, setScheduleDraft] = useState(null);
+  const [productDraft, setProductDraft] = useState(null);
+  const [importPlan, setImportPlan] = useState(null);
+  const [billSupplierId, setBillSupplierId] = useState(null); // null = bill closed
+  const [budgetDraft, setBudgetDraft] = useState(null);
+  const [bulkOpen, setBulkOpen] = useState(false);
+  const [profileDraft, setProfileDraft] = useState(null);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [syncState, setSyncState] = useState(null); // stored sync settings of the open profile; null = sync dialog closed
+  const [syncPlan, setSyncPlan] = useState(null); // merged data waiting on conflict choices
+  const [syncing, setSyncing] = useState(false);
+  // The sync passphrase is only kept for this session, and a picked sync file only until reload
+  const syncPassphrase = useRef("");
+  const syncFile = useRef(null);
 
-  // Business logic
-  const sortedRates = useMemo(
-    () => [...rates].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)),
-    [rates]
-  );
-  const latestRate = sortedRates[sortedRates.length - 1];
+  useEffect(() => {
+    loadProfiles()
+      .then(({ profiles, activeId }) => { setProfiles(profiles); setProfileId(activeId); })
+      .catch((err) => {
+        setProfileId(DEFAULT_PROFILE.id);
+        setStorage("failed");
+        alert(t("Couldn't open the browser database, so changes won't be saved: {error}", { error: t(err.message) }));
+      });
+  }, []);
+
+  // (Re)load whenever the active profile changes
+  useEffect(() => {
+    if (!profileId || storage === "failed") return;
+    loadAll(profileId)
+      .then(({ data, quarantined }) => {
+        const loaded = withDefaults(data);
+        restore(loaded);
+        saved.current = loaded;
+        setStorage("ready");
+        if (quarantined) {
+          alert(t("Some saved data couldn't be read ({count} collections). The readable rows were loaded and a copy of the original was kept in the browser database.", { count: quarantined }));
+        }
+      })
+      .catch((err) => {
+        setStorage("failed");
+        alert(t("Couldn't open the browser database, so changes won't be saved: {error}", { error: t(err.message) }));
+      });
+  }, [profileId]);
+
+  // Persist only the collections that changed, all in one transaction. They count as saved once it commits, so a
+  // failed write stays pending and is retried with the next change
+  useEffect(() => {
+    if (storage !== "ready") return;
+    const changes = Object.fromEntries(Object.entries(snapshot()).filter(([name, rows]) => saved.current[name] !== rows));
+    if (Object.keys(changes).length === 0) return;
+    saveCollections(changes, profileId)
+      .then(() => { saved.current = { ...saved.current, ...changes }; })
+      .catch((err) => alert(t("Saving failed: {error}", { error: t(err.message) })));
+  }, [storage, entries, rates, payments, schedules, suppliers, products, slots, missed, budgets]);
 
-  function rateForDate(dateKey) {
-    let found = null;
-    for (const r of sortedRates) {
-      if (r.effectiveFrom <= dateKey) found = r; else break;
+  // History
+  const snapshot = () => ({ entries, rates, payments, schedules, suppliers, products, slots, missed, budgets });
+  function restore(snap) {
+    setEntries(snap.entries);
+    setRates(snap.rates);
+    setPayments(snap.payments);
+    setSchedules(snap.schedules);
+    setSuppliers(snap.suppliers);
+    setProducts(snap.products);
+    setSlots(snap.slots);
+    setMissed(snap.missed);
+    setBudgets(snap.budgets);
+  }
+
+  function record(label, change) {
+    setUndoStack((s) => [...s.slice(-(HISTORY_LIMIT - 1)), { label, data: snapshot() }]);
+    setRedoStack([]);
+    change();
+  }
+
+  function undo() {
+    const prev = undoStack[undoStack.length - 1];
+    if (!prev) return;
+    setUndoStack((s) => s.slice(0, -1));
+    setRedoStack((s) => [...s, { label: prev.label, data: snapshot() }]);
+    restore(prev.data);
+  }
+
+  function redo() {
+    const next = redoStack[redoStack.length - 1];
+    if (!next) return;
+    setRedoStack((s) => s.slice(0, -1));
+    setUndoStack((s) => [...s, { label: next.label, data: snapshot() }]);
+    restore(next.data);
+  }
+
+  useEffect(() => {
+    const dialogOpen = showEntryDialog || openDay || showRateDialog || rateChange || paymentDraft || scheduleDraft || productDraft ||
+      importPlan || billSupplierId || budgetDraft || bulkOpen || profileDraft || showProfiles || syncState;
+    function onKey(ev) {
+      if (ev.target.closest?.("input, textarea")) return;
+      const k = ev.key.toLowerCase();
+      // Quick entry: N adds an entry for today, G opens the month grid
+      if (!(ev.ctrlKey || ev.metaKey || ev.altKey)) {
+        if (dialogOpen || storage !== "ready") return;
+        if (k === "n") { ev.preventDefault(); openNewEntry(todayKey(), activeProducts[0]?.id); }
+        else if (k === "g") { ev.preventDefault(); setBulkOpen(true); }
+        return;
+      }
+      if (k === "z" && !ev.shiftKey) { ev.preventDefault(); undo(); }
+      else if (k === "y" || (k === "z" && ev.shiftKey)) { ev.preventDefault(); redo(); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // Profiles: each household's collections are stored separately; switching reloads them and clears undo history
+  const profile = { ...PROFILE_SETTINGS, ...(profiles.find((p) => p.id === profileId) ?? DEFAULT_PROFILE) };
+
+  // Language, number formats, units and week layout follow the open profile
+  const locale = localeOf(profile.locale);
+  const t = (text, params) => translate(locale.id, text, params);
+  const num = (v, digits = 2) => v.toLocaleString(locale.tag, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const monthName = (date, month = "long") => date.toLocaleString(locale.tag, { month, year: "numeric" });
+  const weekdayName = (day) => new Date(2024, 0, 7 + day).toLocaleDateString(locale.tag, { weekday: "short" }); // 2024-01-07 was a Sunday
+  const weekOrder = WEEKDAYS.map((_, i) => WEEKDAYS[(i + WEEKDAYS.findIndex((w) => w.day === profile.weekStart)) % 7]);
+  // Milk sold per kg or litre can be shown in either, converted with the profile's kg-per-litre factor
+  const shownUnit = (productId) => {
+    const unit = productOf(productId).unit;
+    return profile.milkUnit && MILK_UNITS.includes(unit) ? profile.milkUnit : unit;
+  };
+  const conversion = (productId) => {
+    const unit = productOf(productId).unit, shown = shownUnit(productId);
+    return unit === shown ? 1 : unit === "kg" ? 1 / profile.kgPerLitre : profile.kgPerLitre;
+  };
+  const toShownQty = (qty, productId) => +(qty * conversion(productId)).toFixed(3);
+  const fromShownQty = (qty, productId) => +(qty / conversion(productId)).toFixed(3);
+
+  const formatMoney = (code, v, digits = 2) =>
+    new Intl.NumberFormat(locale.tag, { style: "currency", currency: code, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v);
+  const money = (v, digits) => formatMoney(profile.currency, v, digits);
+  // Just the symbol, for headings such as "Amount (₹)"
+  const currencyTag = new Intl.NumberFormat(locale.tag, { style: "currency", currency: profile.currency }).formatToParts(0).find((p) => p.type === "currency").value;
+
+  function switchProfile(id, list = profiles) {
+    if (id !== profileId) {
+      setStorage("loading");
+      syncPassphrase.current = "";
+      syncFile.current = null;
+      setUndoStack([]);
+      setRedoStack([]);
+      setProfileId(id);
+    }
+    saveProfiles(list, id).catch((err) => alert(t("Saving profiles failed: {error}", { error: err.message })));
+  }
+
+  function saveProfile(draft) {
+    const name = draft.name.trim();
+    if (!name) { alert(t("Please enter a profile name.")); return; }
+    if (profiles.some((p) => p.id !== draft.id && p.name.toLowerCase() === name.toLowerCase())) { alert(t("There is already a profile called \"{name}\".", { name })); return; }
+    const kgPerLitre = Number(draft.kgPerLitre);
+    if (!(kgPerLitre >= 0.9 && kgPerLitre <= 1.2)) { alert(t("A litre of milk weighs about 1.03 kg; please enter a factor between 0.9 and 1.2.")); return; }
+    const clean = { id: draft.id ?? newId(), name, currency: draft.currency, locale: draft.locale, milkUnit: draft.milkUnit, kgPerLitre, weekStart: draft.weekStart };
+    const next = draft.id ? profiles.map((p) => (p.id === clean.id ? clean : p)) : [...profiles, clean];
+    setProfiles(next);
+    setProfileDraft(null);
+    // A new profile opens straight away
+    switchProfile(draft.id ? profileId : clean.id, next);
+  }
+
+  async function deleteProfile(id) {
+    const target = profiles.find((p) => p.id === id);
+    if (profiles.length < 2 || !confirm(t("Delete \"{name}\" with all its entries, rates and payments? This can't be undone.", { name: target.name }))) return;
+    const next = profiles.filter((p) => p.id !== id);
+    try {
+      await deleteProfileData(id);
+    } catch (err) {
+      alert(t("Deleting the profile failed: {error}", { error: err.message }));
+      return;
     }
-    return found;
+    setProfiles(next);
+    switchProfile(id === profileId ? next[0].id : profileId, next);
   }
 
+  // Business logic
+  // Pricing, totals and validation live in ledger.js; they take the rate rows sorted by date
+  const sortedRates = useMemo(() => sortRates(rates), [rates]);
+
+  const fmtReading = (e) => (hasReading(e) ? t("fat {fat}% · SNF {snf}%", { fat: e.fat, snf: e.snf }) : "");
+
+  // Built-in names ("Cow", "Morning", ...) show translated; names typed by the user are kept as they are
+  const productOf = (id) => {
+    const p = products.find((p) => p.id === id) ?? { id, label: id, unit: "kg", icon: "🥛", archived: true };
+    return { ...p, label: t(p.label) };
+  };
+  const activeProducts = products.filter((p) => !p.archived);
+  const fmtQty = (qty, productId) => `${num(toShownQty(qty, productId))} ${t(shownUnit(productId))}`;
+
+  const supplierName = (id) => suppliers.find((s) => s.id === id)?.name ?? t("Unknown supplier");
+  const multiSupplier = suppliers.length > 1;
+  // New entries default to whoever delivered most recently
+  const lastSupplierId = () => entries[entries.length - 1]?.supplierId ?? suppliers[0].id;
+
+  const slotOf = (id) => {
+    const s = slots.find((s) => s.id === id) ?? { id, label: id, icon: "🕒" };
+    return { ...s, label: t(s.label) };
+  };
+  const slotOrder = (id) => { const i = slots.findIndex((s) => s.id === id); return i < 0 ? slots.length : i; };
+  const bySlot = (a, b) => a.date.localeCompare(b.date) || slotOrder(a.slot) - slotOrder(b.slot);
+  // First slot of the day with nothing entered yet for that product
+  const nextSlot = (date, type) => (slots.find((s) => !entries.some((e) => e.date === date && e.slot === s.id && e.type === type)) ?? slots[0]).id;
+  const hasRateFor = (d) => entryPrice(sortedRates, d) != null;
+  // Validation errors from ledger.js refer to suppliers and products by id, and may wrap a more specific error
+  const explain = ({ message, params }) => t(message, {
+    ...params,
+    ...(params.supplier != null && { supplier: supplierName(params.supplier) }),
+    ...(params.product != null && { product: productOf(params.product).label }),
+    ...(params.error != null && { error: explain(params.error) }),
+  });
+
+  // Scheduled deliveries up to today become real entries (once a rate applies to them).
+  // Not recorded in history: undoing would only have them filled in again.
+  useEffect(() => {
+    setEntries((cur) => fillFromSchedules(cur, schedules, "0000-01-01", todayKey(), hasRateFor, missed));
+  }, [schedules, entries, rates, missed]);
+
   const monthEntries = useMemo(() => {
     const start = startOfMonth(month), end = endOfMonth(month);
     return entries.filter((e) => {
@@ -99,375 +486,2858 @@ export default function App() {
     });
   }, [entries, month]);
 
-  function addEntry(draft) {
-    const clean = { date: draft.date, type: draft.type, kg: Number(draft.kg) };
-    if (!clean.date || isNaN(clean.kg) || clean.kg <= 0) return;
-    const rf = rateForDate(clean.date);
-    if (!rf) { alert("Please set milk rates (effective on or before the entry date) before adding entries."); return; }
-    setEntries((cur) => [...cur, clean]);
+  function saveEntry(draft) {
+    const [clean, error] = validateEntry({ ...draft, qty: fromShownQty(Number(draft.qty), draft.type) }, sortedRates);
+    if (error) { alert(explain(error)); return; }
+    const original = draft.id && entries.find((e) => e.id === draft.id);
+    const scheduleId = original ? original.scheduleId : draft.scheduleId;
+    if (scheduleId) {
+      // Moving a scheduled delivery to another day skips its original day
+      const from = original ? original.date : draft.date;
+      if (from === clean.date) clean.scheduleId = scheduleId;
+      else skipScheduledDay(scheduleId, from);
+    }
+    if (draft.id) {
+      record("Edit entry", () => setEntries((cur) => cur.map((e) => (e.id === clean.id ? clean : e))));
+    } else {
+      record(scheduleId ? "Adjust delivery" : "Add entry", () => setEntries((cur) => [...cur, clean]));
+    }
     setShowEntryDialog(false);
   }
 
-  function addRate(draft) {
-    const clean = { effectiveFrom: draft.effectiveFrom, cow: Number(draft.cow), buffalo: Number(draft.buffalo) };
-    if (!clean.effectiveFrom || isNaN(clean.cow) || isNaN(clean.buffalo) || clean.cow <= 0 || clean.buffalo <= 0) {
-      alert("Please fill valid numbers for both rates.");
+  function deleteEntry(id) {
+    const entry = entries.find((e) => e.id === id);
+    record("Delete entry", () => {
+      setEntries((cur) => cur.filter((e) => e.id !== id));
+      // Otherwise the schedule would fill the day in again
+      if (entry?.scheduleId) skipScheduledDay(entry.scheduleId, entry.date);
+    });
+  }
+
+  function openNewEntry(date, type) {
+    const product = productOf(type).archived ? activeProducts[0]?.id : type;
+    setEntryDraft({ date, slot: nextSlot(date, product), supplierId: lastSupplierId(), type: product, qty: "" });
+    setShowEntryDialog(true);
+  }
+
+  function openEditEntry(entry) {
+    setEntryDraft({
+      id: entry.id, date: entry.date, slot: entry.slot, supplierId: entry.supplierId, type: entry.type, qty: String(toShownQty(entry.qty, entry.type)),
+      fat: entry.fat == null ? "" : String(entry.fat), snf: entry.snf == null ? "" : String(entry.snf),
+    });
+    setShowEntryDialog(true);
+  }
+
+  // Month grid: quantities (in the shown unit) per day and product for one supplier and slot, as strings keyed [date][productId]
+  function bulkCells(from, to, supplierId, slot) {
+    const cells = {};
+    for (let d = from; d <= to; d = addDays(d, 1)) cells[d] = Object.fromEntries(activeProducts.map((p) => [p.id, ""]));
+    for (const e of entries) {
+      if (e.supplierId !== supplierId || e.slot !== slot || !cells[e.date] || !(e.type in cells[e.date])) continue;
+      cells[e.date][e.type] = String(+(Number(cells[e.date][e.type] || 0) + toShownQty(e.qty, e.type)).toFixed(3));
+    }
+    return cells;
+  }
+
+  // Saves every changed cell at once. Nothing is saved while any cell is invalid or has no rate;
+  // returns the problem cells (as "date|productId") so the grid can highlight them, or null when saved.
+  function saveBulk({ supplierId, slot, cells, initial }) {
+    const changes = [], invalid = [], unpriced = new Map(); // date -> product labels
+    for (const [date, row] of Object.entries(cells)) {
+      for (const [type, raw] of Object.entries(row)) {
+        const value = raw.trim();
+        if (value === initial[date][type]) continue;
+        const qty = value === "" ? 0 : Number(value.replace(",", "."));
+        if (isNaN(qty) || qty < 0) invalid.push({ date, type, value });
+        else if (qty > 0 && rateForDate(sortedRates, date, supplierId, type) == null) unpriced.set(date, [...(unpriced.get(date) ?? []), type]);
+        else changes.push({ date, type, qty: fromShownQty(qty, type) });
+      }
+    }
+    if (invalid.length || unpriced.size) {
+      alert([
+        ...invalid.map((c) => t("{date}: \"{value}\" is not a valid {product} quantity", { date: c.date, value: c.value, product: productOf(c.type).label })),
+        ...(unpriced.size ? [t("No {supplier} rate applies on these days — add a rate effective on or before them:", { supplier: supplierName(supplierId) })] : []),
+        ...[...unpriced].map(([date, types]) => `${date}: ${types.map((id) => productOf(id).label).join(", ")}`),
+      ].join("\n"));
+      return [...invalid.map((c) => `${c.date}|${c.type}`), ...[...unpriced].flatMap(([date, types]) => types.map((id) => `${date}|${id}`))];
+    }
+    if (changes.length) {
+      // A cell replaces the entries it summed up; the first one keeps its id and any fat / SNF reading
+      record("Bulk entry", () => setEntries((cur) => {
+        let next = cur;
+        for (const c of changes) {
+          const same = (e) => e.date === c.date && e.supplierId === supplierId && e.slot === slot && e.type === c.type;
+          const keep = next.find(same);
+          next = next.filter((e) => !same(e));
+          if (c.qty > 0) next.push(keep ? { ...keep, qty: c.qty } : { id: newId(), date: c.date, slot, supplierId, type: c.type, qty: c.qty });
+        }
+        return next;
+      }));
+    }
+    setBulkOpen(false);
+    return null;
+  }
+
+  // Schedules
+  function updateSchedule(id, change) {
+    setSchedules((cur) => cur.map((s) => (s.id === id ? { ...s, ...change(s) } : s)));
+  }
+
+  function skipScheduledDay(id, date) {
+    updateSchedule(id, (s) => ({ skips: s.skips.includes(date) ? s.skips : [...s.skips, date] }));
+  }
+
+  function saveSchedule(draft) {
+    const clean = {
+      id: draft.id ?? newId(),
+      supplierId: draft.supplierId,
+      slot: draft.slot,
+      type: draft.type,
+      qty: fromShownQty(Number(draft.qty), draft.type),
+      weekdays: draft.weekdays,
+      start: draft.start,
+      end: draft.end,
+      active: draft.active ?? true,
+      pauses: draft.pauses.filter((p) => p.from && (!p.to || p.from <= p.to)),
+      skips: draft.skips ?? [],
+    };
+    if (isNaN(clean.qty) || clean.qty <= 0 || !clean.start || clean.weekdays.length === 0) {
+      alert(t("Please enter the quantity, a start date and at least one weekday."));
       return;
     }
+    if (clean.end && clean.end < clean.start) { alert(t("The end date must be on or after the start date.")); return; }
+    if (draft.id) {
+      record("Edit schedule", () => setSchedules((cur) => cur.map((s) => (s.id === clean.id ? clean : s))));
+    } else {
+      record("Add schedule", () => setSchedules((cur) => [...cur, clean]));
+    }
+    setScheduleDraft(null);
+  }
+
+  function deleteSchedule(id) {
+    // Entries it already produced stay; they just stop being tied to the schedule
+    record("Delete schedule", () => {
+      setSchedules((cur) => cur.filter((s) => s.id !== id));
+      setEntries((cur) => cur.map((e) => (e.scheduleId === id ? (({ scheduleId, ...rest }) => rest)(e) : e)));
+    });
+  }
+
+  function toggleSchedule(id) {
     const today = todayKey();
-    // if (clean.effectiveFrom < today) { alert("Rate update must start today or in the future."); return; }
-    if (latestRate && clean.effectiveFrom <= latestRate.effectiveFrom) { alert(`New rate must start after ${latestRate.effectiveFrom}.`); return; }
-    setRates((cur) => [...cur, clean]);
-    setShowRateDialog(false);
+    if (schedulePaused(schedules.find((x) => x.id === id))) {
+      record("Resume schedule", () => updateSchedule(id, (x) => resumeSchedule(x, today, entries)));
+    } else {
+      record("Pause schedule", () => updateSchedule(id, (x) => pauseSchedule(x, today)));
+    }
+  }
+
+  function skipDelivery(d) {
+    record("Skip delivery", () => skipScheduledDay(d.scheduleId, d.date));
+  }
+
+  function unskipDelivery(scheduleId, date) {
+    record("Restore delivery", () => updateSchedule(scheduleId, (s) => ({ skips: s.skips.filter((k) => k !== date) })));
+  }
+
+  function applySchedulesToMonth() {
+    const from = toKey(startOfMonth(month)), to = toKey(endOfMonth(month));
+    const pending = pendingDeliveries(entries, schedules, from, to, missed);
+    const missingRate = pending.filter((d) => !hasRateFor(d));
+    if (pending.length === 0) { alert(t("Every scheduled delivery this month is already filled in or skipped.")); return; }
+    if (missingRate.length === pending.length) { alert(t("Please set milk rates covering this month first.")); return; }
+    record("Apply schedules", () => setEntries((cur) => fillFromSchedules(cur, schedules, from, to, hasRateFor, missed)));
+    if (missingRate.length) alert(t("{count} deliveries were left out because no rate applies on their date.", { count: missingRate.length }));
+  }
+
+  // Delivery slots & missed deliveries
+  function addSlot() {
+    const label = prompt(t("Slot name (e.g., Afternoon)"))?.trim();
+    if (!label) return null;
+    const slot = { id: newId(), label, icon: "🕒" };
+    record("Add slot", () => setSlots((cur) => [...cur, slot]));
+    return slot.id;
+  }
+
+  function renameSlot(id) {
+    const label = prompt(t("Rename slot"), slotOf(id).label)?.trim();
+    if (!label) return;
+    record("Rename slot", () => setSlots((cur) => cur.map((s) => (s.id === id ? { ...s, label } : s))));
+  }
+
+  function deleteSlot(id) {
+    const used = [entries, schedules, missed].some((rows) => rows.some((r) => r.slot === id));
+    if (used) { alert(t("The {slot} slot still has entries, schedules or missed deliveries.", { slot: slotOf(id).label })); return; }
+    record("Delete slot", () => setSlots((cur) => cur.filter((s) => s.id !== id)));
+  }
+
+  // Marking a slot missed also removes whatever was entered for it (e.g. a scheduled delivery that never came)
+  function markMissed(date, supplierId, slot) {
+    const entered = entries.filter((e) => e.date === date && e.supplierId === supplierId && e.slot === slot);
+    if (entered.length && !confirm(t("Remove the {count} entries recorded for this slot?", { count: entered.length }))) return;
+    const ids = new Set(entered.map((e) => e.id));
+    record("Mark delivery missed", () => {
+      setEntries((cur) => cur.filter((e) => !ids.has(e.id)));
+      setMissed((cur) => [...cur, { id: newId(), date, supplierId, slot }]);
+    });
+  }
+
+  function unmarkMissed(id) {
+    record("Unmark missed delivery", () => setMissed((cur) => cur.filter((m) => m.id !== id)));
+  }
+
+  // Suppliers
+  function addSupplier() {
+    const name = prompt(t("Supplier name (e.g., Dairy shop)"))?.trim();
+    if (!name) return;
+    record("Add supplier", () => setSuppliers((cur) => [...cur, { id: newId(), name }]));
+  }
+
+  function renameSupplier(id) {
+    const name = prompt(t("Rename supplier"), supplierName(id))?.trim();
+    if (!name) return;
+    record("Rename supplier", () => setSuppliers((cur) => cur.map((s) => (s.id === id ? { ...s, name } : s))));
+  }
+
+  function deleteSupplier(id) {
+    const used = [entries, rates, payments, schedules].some((rows) => rows.some((r) => r.supplierId === id));
+    if (used) { alert(t("{supplier} still has entries, rates, payments or schedules.", { supplier: supplierName(id) })); return; }
+    record("Delete supplier", () => setSuppliers((cur) => cur.filter((s) => s.id !== id)));
+  }
+
+  // Products
+  function saveProduct(draft) {
+    const clean = {
+      id: draft.id ?? newId(),
+      label: draft.label.trim(),
+      unit: draft.unit,
+      icon: draft.icon.trim() || "🥛",
+      archived: draft.archived ?? false,
+    };
+    if (!clean.label) { alert(t("Please enter a product name.")); return; }
+    if (draft.id) {
+      record("Edit product", () => setProducts((cur) => cur.map((p) => (p.id === clean.id ? clean : p))));
+    } else {
+      record("Add product", () => setProducts((cur) => [...cur, clean]));
+    }
+    setProductDraft(null);
+  }
+
+  function toggleArchiveProduct(id) {
+    const product = productOf(id);
+    record(product.archived ? "Restore product" : "Archive product", () =>
+      setProducts((cur) => cur.map((p) => (p.id === id ? { ...p, archived: !p.archived } : p))));
+  }
+
+  function openRateDialog(supplierId) {
+    const current = currentPrices(sortedRates, supplierId);
+    const prices = Object.fromEntries(activeProducts.map((p) => [p.id, current[p.id]?.price ?? ""]));
+    const charts = {};
+    for (const p of activeProducts) {
+      const chart = chartForDate(sortedRates, "9999-12-31", supplierId, p.id);
+      if (chart) charts[p.id] = chartToText(chart);
+    }
+    setRateDraft({ effectiveFrom: todayKey(), supplierId, prices, charts });
+    setShowRateDialog(true);
+  }
+
+  // Opens the rate dialog on an existing row (`original` marks it as an edit), or on a copy of it for a new
+  // row starting `effectiveFrom`
+  function openRateRow(row, effectiveFrom = row.effectiveFrom) {
+    const editing = effectiveFrom === row.effectiveFrom;
+    setRateDraft({
+      ...(editing && { original: { supplierId: row.supplierId, effectiveFrom: row.effectiveFrom } }),
+      effectiveFrom,
+      supplierId: row.supplierId,
+      prices: Object.fromEntries(Object.entries(row.prices).map(([id, price]) => [id, price ?? ""])),
+      charts: Object.fromEntries(Object.entries(row.charts ?? {}).map(([id, chart]) => [id, chartToText(chart)])),
+    });
+    setShowRateDialog(true);
+  }
+
+  // Saves a rate change straight away when no entry's cost moves, otherwise after the preview is confirmed
+  function proposeRates(label, nextRates) {
+    const impact = rateImpact(entries, sortedRates, nextRates);
+    if (impact.unpriced.length) {
+      const days = [...new Set(impact.unpriced.map((e) => e.date))];
+      alert(t("This would leave {count} entries without a rate ({days}). Keep an earlier rate or delete those entries first.", {
+        count: impact.unpriced.length,
+        days: `${days.slice(0, 5).join(", ")}${days.length > 5 ? ", …" : ""}`,
+      }));
+      return false;
+    }
+    if (impact.changed.length) setRateChange({ label, rates: nextRates, ...impact });
+    else record(label, () => setRates(nextRates));
+    return true;
+  }
+
+  function deleteRate(row) {
+    const next = rates.filter((r) => !sameRate(r, row));
+    if (!rateImpact(entries, sortedRates, next).changed.length && !confirm(t("Delete the rate from {date}?", { date: row.effectiveFrom }))) return;
+    proposeRates("Delete rate", next);
+  }
+
+  function addRate(draft) {
+    // Back-dated and in-between rows are fine; the preview shows which entries they reprice
+    const [clean, error] = validateRate(draft, sortedRates);
+    if (error) { alert(explain(error)); return; }
+    const { original } = draft;
+    const next = original ? rates.map((r) => (sameRate(r, original) ? clean : r)) : [...rates, clean];
+    if (proposeRates(original ? "Edit rate" : "Set rates", next)) setShowRateDialog(false);
+  }
+
+  // Budgets
+  const budgetLabel = (scope) => (scope === "total" ? t("Total") : productOf(scope).label);
+  const spentOn = (sum, scope) => (scope === "total" ? sum.cost : sum.byProduct.get(scope)?.cost ?? 0);
+  const overBudget = (date) => {
+    const sum = summarize(entries, sortedRates, monthBounds(date));
+    return budgets.some((b) => spentOn(sum, b.scope) > b.amount);
+  };
+
+  // Budget lines the draft entry would take over, as [{ scope, amount, after }]
+  function budgetWarnings(draft) {
+    const qty = fromShownQty(Number(draft.qty), draft.type);
+    if (!budgets.length || !isDateKey(draft.date) || !(qty > 0)) return [];
+    const reading = draft.fat && draft.snf ? { fat: Number(draft.fat), snf: Number(draft.snf) } : {};
+    const price = entryPrice(sortedRates, { ...draft, ...reading, qty });
+    if (price == null) return [];
+    const sum = summarize(entries.filter((e) => e.id !== draft.id), sortedRates, monthBounds(parseKey(draft.date)));
+    return budgets
+      .map((b) => ({ ...b, after: spentOn(sum, b.scope) + (b.scope === "total" || b.scope === draft.type ? price * qty : 0) }))
+      .filter((b) => b.after > b.amount && (b.scope === "total" || b.scope === draft.type));
+  }
+
+  function saveBudgets(draft) {
+    const rows = [];
+    for (const [scope, value] of Object.entries(draft)) {
+      if (value === "" || value == null) continue;
+      const amount = Number(value);
+      if (!(amount > 0)) { alert(t("Please enter a valid {budget} budget.", { budget: budgetLabel(scope) })); return; }
+      rows.push({ scope, amount });
+    }
+    record("Set budgets", () => setBudgets(rows));
+    setBudgetDraft(null);
+  }
+
+  function openBudgetDialog() {
+    const draft = { total: "" };
+    for (const p of activeProducts) draft[p.id] = "";
+    for (const b of budgets) draft[b.scope] = String(b.amount);
+    setBudgetDraft(draft);
+  }
+
+  const bounds = useMemo(() => periodBounds(period, month), [period, month]);
+  const prevBounds = useMemo(() => previousBounds(period, bounds), [period, bounds]);
+  const totals = useMemo(() => summarize(entries, sortedRates, bounds), [entries, sortedRates, bounds]);
+  const prevTotals = useMemo(() => (prevBounds ? summarize(entries, sortedRates, prevBounds) : null), [entries, sortedRates, prevBounds]);
+
+  // Ledger rows with a running balance: positive is owed to the supplier(s), negative is an advance
+  const ledger = useMemo(() => ledgerRows(entries, sortedRates, payments), [entries, sortedRates, payments]);
+  const balance = ledger.length ? ledger[ledger.length - 1].balance : 0;
+  const balanceBySupplier = useMemo(() => balancesBySupplier(ledger), [ledger]);
+
+  function savePayment(draft) {
+    const [clean, error] = validatePayment(draft);
+    if (error) { alert(explain(error)); return; }
+    if (draft.id) {
+      record("Edit payment", () => setPayments((cur) => cur.map((p) => (p.id === clean.id ? clean : p))));
+    } else {
+      record("Add payment", () => setPayments((cur) => [...cur, clean]));
+    }
+    setPaymentDraft(null);
+  }
+
+  function deletePayment(id) {
+    record("Delete payment", () => setPayments((cur) => cur.filter((p) => p.id !== id)));
+  }
+
+  function settleMonth() {
+    const monthLabel = monthName(month);
+    const dues = suppliers
+      .map((s) => ({ supplierId: s.id, amount: outstanding(ledger, s.id, toKey(endOfMonth(month))) }))
+      .filter((d) => d.amount > 0);
+    if (dues.length === 0) { alert(t("Nothing outstanding up to the end of {month}.", { month: monthLabel })); return; }
+    const summary = dues.map((d) => t("{amount} to {supplier}", { amount: money(d.amount), supplier: supplierName(d.supplierId) })).join(", ");
+    if (!confirm(t("Record {payments} to settle up to the end of {month}?", { payments: summary, month: monthLabel }))) return;
+    const added = dues.map((d) => ({ id: newId(), date: todayKey(), ...d, method: "cash", note: t("Settled {month}", { month: monthLabel }) }));
+    record("Settle month", () => setPayments((cur) => [...cur, ...added]));
+  }
+
+  // Build per-day summaries for stickers & tooltip, including scheduled deliveries not yet entered
+  const dayMap = useMemo(
+    () => daySummaries([...monthEntries].sort(bySlot), sortedRates, { schedules, missed, ...monthBounds(month) }),
+    [monthEntries, sortedRates, schedules, month, products, slots, missed]
+  );
+
+  // Chart data for the visible month and the 12 months ending with it
+  const analytics = useMemo(() => {
+    const from = toKey(startOfMonth(month));
+    const to = toKey(endOfMonth(month));
+    const rateDates = [...new Set(sortedRates.map((r) => r.effectiveFrom))];
+    const ratesOn = (key) => sortedRates.filter((r) => r.effectiveFrom === key)
+      .map((r) => `${multiSupplier ? supplierName(r.supplierId) + ": " : ""}${Object.entries(r.prices).map(([id, v]) => `${productOf(id).label} ${money(v)}`).join(", ")}`)
+      .join("\n");
+    const marker = (key) => ({ date: key, title: `${t("Rate change {date}", { date: key })}\n${ratesOn(key)}` });
+
+    const days = [];
+    for (let key = from; key <= to; key = addDays(key, 1)) {
+      days.push({ key, label: String(Number(key.slice(8))), values: Object.fromEntries(dayMap.get(key)?.byProduct ?? []) });
+    }
+    const dayMarkers = rateDates.filter((d) => d >= from && d <= to).map((d) => ({ ...marker(d), index: Number(d.slice(8)) - 1 }));
+
+    const months = [];
+    for (let i = 11; i >= 0; i--) {
+      const start = new Date(month.getFullYear(), month.getMonth() - i, 1);
+      const b = { from: toKey(start), to: toKey(endOfMonth(start)) };
+      const sum = summarize(entries, sortedRates, b);
+      months.push({
+        key: b.from.slice(0, 7),
+        label: start.toLocaleString(locale.tag, { month: "short" }),
+        bounds: b,
+        values: Object.fromEntries([...sum.byProduct].map(([id, v]) => [id, v.cost])),
+        avgPrice: Object.fromEntries([...sum.byProduct].filter(([, v]) => v.qty > 0).map(([id, v]) => [id, v.cost / v.qty])),
+      });
+    }
+    const monthMarkers = rateDates
+      .map((d) => ({ ...marker(d), index: months.findIndex((m) => m.key === d.slice(0, 7)) }))
+      .filter((m) => m.index >= 0);
+
+    // Average quantity per weekday (Mon..Sun) in each month, counting every calendar day of that weekday;
+    // one heatmap per shown unit, since kg, litres and pieces don't add up
+    const qtyByUnit = new Map(); // unit -> date -> qty
+    for (const e of entries) {
+      const unit = shownUnit(e.type);
+      if (!qtyByUnit.has(unit)) qtyByUnit.set(unit, new Map());
+      const byDate = qtyByUnit.get(unit);
+      byDate.set(e.date, (byDate.get(e.date) ?? 0) + toShownQty(e.qty, e.type));
+    }
+    const heat = [...qtyByUnit].map(([unit, byDate]) => ({
+      unit,
+      rows: months.map((m) => {
+        const qty = Array(7).fill(0), count = Array(7).fill(0);
+        for (let key = m.bounds.from; key <= m.bounds.to; key = addDays(key, 1)) {
+          const wd = (parseKey(key).getDay() + 6) % 7;
+          count[wd]++;
+          qty[wd] += byDate.get(key) ?? 0;
+        }
+        return { ...m, avg: qty.map((q, i) => q / count[i]) };
+      }),
+    }));
+
+    const used = (rows, field = "values") => products.filter((p) => rows.some((r) => r[field][p.id])).map((p) => productOf(p.id));
+    return { days, dayMarkers, months, monthMarkers, heat, dayProducts: used(days), monthProducts: used(months) };
+  }, [
+    entries, sortedRates, month, products, suppliers, dayMap, missed,
+    // labels and values follow the profile's language, currency and milk unit
+    locale.id, profile.currency, profile.milkUnit, profile.kgPerLitre,
+  ]);
+
+  // Day-by-day statement for one supplier in the visible month, priced with the rate of each day
+  function monthBill(supplierId) {
+    const from = toKey(startOfMonth(month));
+    const to = toKey(endOfMonth(month));
+    const own = entries.filter((e) => e.supplierId === supplierId && e.date >= from && e.date <= to);
+    const billProducts = products.filter((p) => own.some((e) => e.type === p.id));
+    const missedCount = missed.filter((m) => m.supplierId === supplierId && m.date >= from && m.date <= to).length;
+    const totals = new Map(billProducts.map((p) => [p.id, { qty: 0, cost: 0 }]));
+    const days = [];
+    let grandTotal = 0, unpriced = 0, prevRates = null;
+    for (let key = from; key <= to; key = addDays(key, 1)) {
+      const items = {};
+      let amount = 0;
+      for (const p of billProducts) {
+        const flat = rateForDate(sortedRates, key, supplierId, p.id);
+        let qty = 0, cost = 0, quality = false;
+        for (const e of own) {
+          if (e.date !== key || e.type !== p.id) continue;
+          const price = entryPrice(sortedRates, e);
+          if (price == null) { unpriced++; continue; }
+          qty += e.qty;
+          cost += price * e.qty;
+          quality ||= hasReading(e) && Boolean(chartForDate(sortedRates, key, supplierId, p.id));
+        }
+        // Chart-priced days show the average price actually paid
+        items[p.id] = { qty, rate: quality ? cost / qty : flat, flat, quality };
+        amount += cost;
+        totals.get(p.id).qty += qty;
+        totals.get(p.id).cost += cost;
+      }
+      const rateKey = billProducts.map((p) => items[p.id].flat).join("|");
+      // Slot names as stored: the PDF can't show translated ones, the bill sheet translates them itself
+      const missedSlots = missed.filter((m) => m.date === key && m.supplierId === supplierId).map((m) => slots.find((s) => s.id === m.slot)?.label ?? m.slot);
+      days.push({ date: key, items, amount, missed: missedSlots, rateChanged: prevRates !== null && rateKey !== prevRates });
+      prevRates = rateKey;
+      grandTotal += amount;
+    }
+    return {
+      supplier: suppliers.find((s) => s.id === supplierId) ?? DEFAULT_SUPPLIER,
+      monthKey: from.slice(0, 7),
+      currency: profile.currency,
+      monthLabel: monthName(month),
+      products: billProducts,
+      days,
+      totals,
+      grandTotal,
+      unpriced,
+      missedCount,
+    };
+  }
+
+  // Import / export
+  function exportCsv() {
+    const rows = entries
+      .filter((e) => !bounds || (e.date >= bounds.from && e.date <= bounds.to))
+      .sort(bySlot)
+      .map((e) => {
+        const rate = entryPrice(sortedRates, e);
+        // CSV is a data format: built-in names stay in English so the file imports back under any language
+        const product = products.find((p) => p.id === e.type) ?? productOf(e.type);
+        const slot = slots.find((s) => s.id === e.slot) ?? slotOf(e.slot);
+        return [e.id, e.date, slot.label, supplierName(e.supplierId), product.label, e.qty, product.unit, e.fat ?? "", e.snf ?? "", rate ?? "", rate == null ? "" : (rate * e.qty).toFixed(2)];
+      });
+    const range = bounds ? `${bounds.from}_${bounds.to}` : "all";
+    download(`milk_entries_${range}.csv`, toCsv([CSV_COLUMNS, ...rows]), "text/csv;charset=utf-8");
+  }
+
+  // Backs up the open profile, or another one loaded from storage
+  function exportBackup(data = snapshot(), owner = profile) {
+    const backup = {
+      app: "dairy-expense-tracker",
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: { name: owner.name, currency: owner.currency },
+      entries: data.entries,
+      rates: data.rates,
+      payments: data.payments,
+      missed: data.missed,
+      settings: { suppliers: data.suppliers, products: data.products, schedules: data.schedules, slots: data.slots, budgets: data.budgets },
+    };
+    const name = profiles.length > 1 ? `${owner.name.replace(/\W+/g, "_")}_` : "";
+    download(`dairy_backup_${name}${todayKey()}.json`, JSON.stringify(backup, null, 2), "application/json");
+  }
+
+  // Returns [entry, null] or [null, error message]
+  function cleanImportedEntry(raw, knownSuppliers, knownProducts, knownSlots) {
+    const qty = Number(raw.qty);
+    if (!isDateKey(raw.date)) return [null, t("invalid date \"{value}\"", { value: raw.date ?? "" })];
+    if (!knownSlots.some((s) => s.id === raw.slot)) return [null, t("unknown slot \"{value}\"", { value: raw.slot })];
+    if (!knownSuppliers.some((s) => s.id === raw.supplierId)) return [null, t("unknown supplier \"{value}\"", { value: raw.supplierId })];
+    if (!knownProducts.some((p) => p.id === raw.type)) return [null, t("unknown product \"{value}\"", { value: raw.type })];
+    if (!(qty > 0)) return [null, t("invalid quantity \"{value}\"", { value: raw.qty ?? "" })];
+    const entry = { ...raw, id: raw.id || undefined, qty };
+    delete entry.fat;
+    delete entry.snf;
+    const blank = (v) => v == null || v === "";
+    if (blank(raw.fat) !== blank(raw.snf)) return [null, t("fat and SNF must both be filled or both be blank")];
+    if (!blank(raw.fat)) {
+      entry.fat = Number(raw.fat);
+      entry.snf = Number(raw.snf);
+      if (!(entry.fat > 0 && entry.fat < 20 && entry.snf > 0 && entry.snf < 20)) return [null, t("invalid fat / SNF \"{fat}\" / \"{snf}\"", { fat: raw.fat, snf: raw.snf })];
+    }
+    return [entry, null];
+  }
+
+  function planCsvImport(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const col = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+    if (col.date === undefined || col.quantity === undefined || col.product === undefined) {
+      return { errors: [t("The CSV needs at least date, product and quantity columns.")] };
+    }
+    const find = (list, value, name) => {
+      const v = String(value ?? "").trim().toLowerCase();
+      return list.find((x) => x.id.toLowerCase() === v || name(x).toLowerCase() === v);
+    };
+    const cleaned = [], errors = [];
+    rows.forEach((r, i) => {
+      const cell = (name) => (col[name] === undefined ? "" : (r[col[name]] ?? "").trim());
+      const supplier = cell("supplier") ? find(suppliers, cell("supplier"), (x) => x.name) : suppliers[0];
+      const product = find(products, cell("product"), (x) => x.label);
+      const slot = cell("slot") ? find(slots, cell("slot"), (x) => x.label) : slots[0];
+      const raw = {
+        id: cell("id"),
+        date: cell("date"),
+        slot: slot?.id ?? cell("slot"),
+        supplierId: supplier?.id ?? cell("supplier"),
+        type: product?.id ?? cell("product"),
+        qty: cell("quantity"),
+        fat: cell("fat"),
+        snf: cell("snf"),
+      };
+      const [entry, error] = cleanImportedEntry(raw, suppliers, products, slots);
+      if (error) errors.push(t("Line {n}: {error}", { n: i + 2, error })); else cleaned.push(entry);
+    });
+    return { kind: "csv", entries: cleaned, errors };
+  }
+
+  function planJsonImport(text) {
+    let backup;
+    try { backup = JSON.parse(text); } catch { return { errors: [t("The file is not valid JSON.")] }; }
+    if (!backup || typeof backup !== "object" || !Array.isArray(backup.entries)) {
+      return { errors: [t("This doesn't look like a Dairy Expense Tracker backup.")] };
+    }
+    if (!(backup.schemaVersion <= BACKUP_SCHEMA_VERSION)) {
+      return { errors: [t("Backup schema version {version} is newer than this app understands ({supported}).", { version: backup.schemaVersion, supported: BACKUP_SCHEMA_VERSION })] };
+    }
+    const settings = backup.settings ?? {};
+    const extra = {
+      suppliers: Array.isArray(settings.suppliers) && settings.suppliers.length ? settings.suppliers : [DEFAULT_SUPPLIER],
+      products: Array.isArray(settings.products) && settings.products.length ? settings.products : DEFAULT_PRODUCTS,
+      slots: Array.isArray(settings.slots) && settings.slots.length ? settings.slots : DEFAULT_SLOTS,
+      budgets: (settings.budgets ?? []).filter((b) => typeof b.scope === "string" && b.amount > 0),
+      schedules: withSlot(withQty(withSupplier(settings.schedules ?? []))),
+      rates: [],
+      payments: [],
+      missed: [],
+    };
+    const knownSuppliers = [...suppliers, ...extra.suppliers];
+    const knownProducts = [...products, ...extra.products];
+    const knownSlots = [...slots, ...extra.slots];
+    const errors = [];
+    const cleaned = [];
+    withSlot(withQty(withSupplier(backup.entries))).forEach((raw, i) => {
+      const [entry, error] = cleanImportedEntry(raw, knownSuppliers, knownProducts, knownSlots);
+      if (error) errors.push(t("Entry {n}: {error}", { n: i + 1, error })); else cleaned.push(entry);
+    });
+    withPrices(withSupplier(backup.rates ?? [])).forEach((r, i) => {
+      const prices = Object.values(r.prices ?? {}).filter((v) => v != null);
+      const charts = Object.values(r.charts ?? {});
+      const valid = prices.every((v) => typeof v === "number" && v > 0) && charts.every(isChart) && prices.length + charts.length > 0;
+      if (isDateKey(r.effectiveFrom) && valid) extra.rates.push(r);
+      else errors.push(t("Rate {n}: invalid effective date, prices or fat / SNF chart", { n: i + 1 }));
+    });
+    withSupplier(backup.payments ?? []).forEach((pay, i) => {
+      if (isDateKey(pay.date) && typeof pay.amount === "number" && pay.amount > 0) extra.payments.push({ id: newId(), note: "", method: "cash", ...pay });
+      else errors.push(t("Payment {n}: invalid date or amount", { n: i + 1 }));
+    });
+    (backup.missed ?? []).forEach((m, i) => {
+      if (isDateKey(m.date) && knownSuppliers.some((s) => s.id === m.supplierId) && knownSlots.some((s) => s.id === m.slot)) extra.missed.push({ id: newId(), ...m });
+      else errors.push(t("Missed delivery {n}: invalid date, supplier or slot", { n: i + 1 }));
+    });
+    return { kind: "json", entries: cleaned, errors, extra };
+  }
+
+  async function readImport(file) {
+    const text = await file.text();
+    const plan = /\.json$/i.test(file.name) || text.trimStart().startsWith("{") ? planJsonImport(text) : planCsvImport(text);
+    setImportPlan({ fileName: file.name, ...plan, report: plan.entries && compareEntries(entries, plan.entries) });
+  }
+
+  // Union by key; the existing row wins unless `takeImported`
+  function mergeRows(current, incoming, keyOf, takeImported) {
+    const map = new Map(current.map((r) => [keyOf(r), r]));
+    for (const r of incoming) if (!map.has(keyOf(r)) || takeImported) map.set(keyOf(r), r);
+    return [...map.values()];
+  }
+
+  function applyImport(plan, mode, takeImported) {
+    const withIds = (list) => list.map((e) => (e.id ? e : { ...e, id: newId() }));
+    const rateKey = (r) => `${r.supplierId}|${r.effectiveFrom}`;
+    const byId = (r) => r.id;
+    if (mode === "replace") {
+      record(t("Replace from {file}", { file: plan.fileName }), () => {
+        setEntries(withIds(plan.entries));
+        if (plan.extra) {
+          setRates(plan.extra.rates);
+          setPayments(plan.extra.payments);
+          setSchedules(plan.extra.schedules);
+          setSuppliers(plan.extra.suppliers);
+          setProducts(plan.extra.products);
+          setSlots(plan.extra.slots);
+          setBudgets(plan.extra.budgets);
+          setMissed(plan.extra.missed);
+        }
+      });
+    } else {
+      const replaced = new Map(takeImported ? plan.report.conflicts.map((c) => [c.existing.id, c.incoming]) : []);
+      record(t("Import {file}", { file: plan.fileName }), () => {
+        setEntries((cur) => [...cur.map((e) => replaced.get(e.id) ?? e), ...withIds(plan.report.added)]);
+        if (plan.extra) {
+          setRates((cur) => mergeRows(cur, plan.extra.rates, rateKey, takeImported));
+          setPayments((cur) => mergeRows(cur, plan.extra.payments, byId, takeImported));
+          setSchedules((cur) => mergeRows(cur, plan.extra.schedules, byId, takeImported));
+          setSuppliers((cur) => mergeRows(cur, plan.extra.suppliers, byId, takeImported));
+          setProducts((cur) => mergeRows(cur, plan.extra.products, byId, takeImported));
+          setSlots((cur) => mergeRows(cur, plan.extra.slots, byId, takeImported));
+          setBudgets((cur) => mergeRows(cur, plan.extra.budgets, (b) => b.scope, takeImported));
+          setMissed((cur) => mergeRows(cur, plan.extra.missed, missedKey, takeImported));
+        }
+      });
+    }
+    setImportPlan(null);
+  }
+
+  // Sync (see sync.js): each profile stores its target settings and the data both sides held after the last sync
+  async function openSync() {
+    try {
+      const stored = await loadSyncState(profileId);
+      const space = profile.name.toLowerCase().replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64) || "home";
+      setSyncState({ base: null, revision: null, syncedAt: null, ...stored, settings: { ...SYNC_DEFAULTS, space, ...stored?.settings } });
+    } catch (err) {
+      alert(t("Couldn't read the sync settings: {error}", { error: err.message }));
+    }
+  }
+
+  // A file picked through the File System Access API is read and overwritten in place; any other file is read and the
+  // merged copy downloaded, to replace it by hand
+  function syncTarget(settings) {
+    if (settings.target === "server") return serverTarget(settings);
+    const picked = syncFile.current;
+    return fileTarget({
+      read: async () => (picked ? (await (picked.getFile ? picked.getFile() : picked)).text() : null),
+      write: async (text) => {
+        if (!picked?.createWritable) return download(`dairy_sync_${settings.space}.json`, text, "application/json");
+        const out = await picked.createWritable();
+        await out.write(text);
+        await out.close();
+      },
+    });
+  }
+
+  async function syncStep(task) {
+    setSyncing(true);
+    try {
+      await task();
+    } catch (err) {
+      alert(t("Sync failed: {error}", { error: t(err.message) }));
+    } finally {
+      setSyncing(false);
+    }
+  }
+
+  function runSync(settings) {
+    if (syncPassphrase.current.length < 8) { alert(t("Please enter a sync passphrase of at least 8 characters.")); return; }
+    if (settings.target === "server" && !/^https?:\/\/\S+$/.test(settings.url)) { alert(t("Please enter the server address, e.g. {url}.", { url: SYNC_DEFAULTS.url })); return; }
+    if (!/^[\w-]{1,64}$/.test(settings.space)) { alert(t("The sync space name may only use letters, digits, - and _ (up to 64).")); return; }
+    // Kept in App state so the dialog still shows them while the sync runs
+    setSyncState((s) => ({ ...s, settings }));
+    syncStep(async () => {
+      const merged = await pullAndMerge(syncTarget(settings), syncPassphrase.current, syncState.base, snapshot());
+      if (merged.conflicts.length) setSyncPlan({ ...merged, settings });
+      else await finishSync(merged, settings, []);
+    });
+  }
+
+  // Pushes first and only then applies the merge here, so a sync another device won leaves this one untouched
+  async function finishSync({ data, conflicts, revision }, settings, choices) {
+    const resolved = resolveConflicts(data, conflicts, choices);
+    const pushed = await pushMerged(syncTarget(settings), syncPassphrase.current, resolved, revision, { name: profile.name, currency: profile.currency });
+    setSyncPlan(null);
+    if (!pushed) { alert(t("Another device synced in the meantime, so nothing was changed. Please sync again.")); return; }
+    const current = snapshot();
+    if (COLLECTIONS.some((name) => !sameRecord(resolved[name], current[name]))) record("Sync", () => restore(withDefaults(resolved)));
+    const next = { settings, base: resolved, revision: pushed.revision, syncedAt: new Date().toISOString() };
+    await saveSyncState(profileId, next);
+    setSyncState(next);
+  }
+
+  // One line per record, so both sides of a sync conflict can be compared
+  function describeRecord(collection, r) {
+    const supplier = multiSupplier && r.supplierId ? ` · ${supplierName(r.supplierId)}` : "";
+    switch (collection) {
+      case "entries": return `${r.date} · ${slotOf(r.slot).label} · ${productOf(r.type).label} ${fmtQty(r.qty, r.type)}${hasReading(r) ? ` (${fmtReading(r)})` : ""}${supplier}`;
+      case "rates": return [
+        ...Object.entries(r.prices).map(([id, v]) => `${productOf(id).label} ${money(v)}`),
+        // The whole chart, row by row, since two versions may differ in a single cell
+        ...Object.entries(r.charts ?? {}).map(([id, chart]) => `${productOf(id).label} ${t("fat / SNF chart")}: ${chartToText(chart).replaceAll("\n", " / ")}`),
+      ].join(", ") + supplier;
+      case "payments": return `${r.date} · ${money(r.amount)} · ${t(PAYMENT_METHODS.find((m) => m.id === r.method)?.label ?? r.method)}${r.note ? ` · ${r.note}` : ""}${supplier}`;
+      case "schedules": {
+        const days = weekOrder.filter((w) => r.weekdays.includes(w.day)).map((w) => weekdayName(w.day)).join(" ");
+        const span = r.end ? t("from {start} to {end}", { start: r.start, end: r.end }) : t("from {start}", { start: r.start });
+        return `${productOf(r.type).label} ${fmtQty(r.qty, r.type)} · ${slotOf(r.slot).label} · ${days} · ${span}${supplier}`;
+      }
+      case "suppliers": return r.name;
+      case "products": return `${t(r.label)} (${t(r.unit)})${r.archived ? ` · ${t("archived")}` : ""}`;
+      case "slots": return `${r.icon} ${t(r.label)}`;
+      case "missed": return `${r.date} · ${slotOf(r.slot).label}${supplier}`;
+      case "budgets": return `${budgetLabel(r.scope)} ${money(r.amount)}`;
+      default: return JSON.stringify(r);
+    }
+  }
+
+  function Header() {
+    const undoLabel = undoStack[undoStack.length - 1]?.label;
+    const redoLabel = redoStack[redoStack.length - 1]?.label;
+    return (
+      <div className="md:flex gap-4 items-center justify-between mb-4">
+        <div>
+          <h1 className="text-2xl text-center md:text-4xl font-fun font-bold text-violet-700 drop-shadow-md">
+            🥛 {t("Dairy Expense Tracker")}
+          </h1>
+          <div className="mt-2 flex items-center justify-center md:justify-start gap-2">
+            <select
+              value={profileId}
+              onChange={(e) => switchProfile(e.target.value)}
+              title={t("Switch household")}
+              className="px-3 py-1 rounded-xl border border-violet-200 bg-white/80 text-violet-700"
+            >
+              {profiles.map((p) => <option key={p.id} value={p.id}>🏠 {p.name}</option>)}
+            </select>
+            <button onClick={() => setShowProfiles(true)} className="px-3 py-1 rounded-xl bg-white/70 hover:bg-white text-violet-700 shadow">👥 {t("Profiles")}</button>
+            <button onClick={() => setProfileDraft(profile)} title={t("Language, units and week")} className="px-3 py-1 rounded-xl bg-white/70 hover:bg-white text-violet-700 shadow">⚙️</button>
+          </div>
+        </div>
+        <div className="flex justify-around md:flex gap-3">
+          <button
+            onClick={() => openRateDialog(rateDraft.supplierId)}
+            className="mr-5 mt-3 px-3 py-2 sm:px-4 sm:py-2 md:px-6 md:py-3 mr-0 rounded-2xl bg-pink-200 hover:bg-pink-300 text-pink-900 shadow font-fun font-semibold text-lg"
+          >
+            {t("Set / Update Rates")}
+          </button>
+          <button
+            onClick={() => openNewEntry(todayKey(), activeProducts[0]?.id)}
+            className="mt-3 px-3 py-2 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-2xl bg-blue-200 hover:bg-blue-300 text-blue-900 shadow font-fun font-semibold text-lg"
+          >
+            {t("Add Entry")}
+          </button>
+          <div className="mt-3 flex gap-1">
+            <button
+              onClick={undo}
+              disabled={!undoLabel}
+              title={undoLabel ? `${t("Undo")}: ${t(undoLabel)} (Ctrl+Z)` : t("Nothing to undo")}
+              className="px-3 py-2 rounded-2xl bg-white/70 hover:bg-white text-violet-700 shadow disabled:opacity-40"
+            >↶</button>
+            <button
+              onClick={redo}
+              disabled={!redoLabel}
+              title={redoLabel ? `${t("Redo")}: ${t(redoLabel)} (Ctrl+Shift+Z)` : t("Nothing to redo")}
+              className="px-3 py-2 rounded-2xl bg-white/70 hover:bg-white text-violet-700 shadow disabled:opacity-40"
+            >↷</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  function ProfileDialog() {
+    const [draft, setDraft] = useState(() => ({ ...PROFILE_SETTINGS, ...profileDraft }));
+    if (!profileDraft) return null;
+    const field = "mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300";
+    return (
+      <Dialog
+        open
+        onClose={() => setProfileDraft(null)}
+        title={draft.id ? t("Profile settings") : t("New Profile")}
+        actions={<button onClick={() => saveProfile(draft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Profile")}</button>}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm text-violet-600">{t("Name")}</label>
+            <input className={field} placeholder={t("e.g., Parents' flat")} value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} />
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Currency")}</label>
+            <select className={field} value={draft.currency} onChange={(e) => setDraft((d) => ({ ...d, currency: e.target.value }))}>
+              {CURRENCIES.map((c) => <option key={c.code} value={c.code}>{c.code} ({c.symbol.trim()})</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Language")}</label>
+            <select className={field} value={draft.locale} onChange={(e) => setDraft((d) => ({ ...d, locale: e.target.value }))}>
+              {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Week starts on")}</label>
+            <select className={field} value={draft.weekStart} onChange={(e) => setDraft((d) => ({ ...d, weekStart: Number(e.target.value) }))}>
+              {WEEKDAYS.map((w) => <option key={w.day} value={w.day}>{new Date(2024, 0, 7 + w.day).toLocaleDateString(localeOf(draft.locale).tag, { weekday: "long" })}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Show milk in")}</label>
+            <select className={field} value={draft.milkUnit} onChange={(e) => setDraft((d) => ({ ...d, milkUnit: e.target.value }))}>
+              <option value="">{t("Each product's own unit")}</option>
+              {MILK_UNITS.map((u) => <option key={u} value={u}>{t(u)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("kg per litre")}</label>
+            <input
+              type="number" min="0.9" max="1.2" step="0.001" className={field}
+              value={draft.kgPerLitre}
+              onChange={(e) => setDraft((d) => ({ ...d, kgPerLitre: e.target.value }))}
+            />
+          </div>
+        </div>
+        <div className="mt-3 text-xs text-violet-500">
+          {t("Quantities are always stored in each product's own unit; the milk unit only changes how they are shown and typed.")}
+          {!draft.id && ` ${t("A new profile starts empty, with its own suppliers, products, rates and payments.")}`}
+        </div>
+      </Dialog>
+    );
+  }
+
+  // Every profile with its spend for the visible month and balance, plus per-profile backups
+  function ProfilesDialog() {
+    const [others, setOthers] = useState(null); // profileId -> data, loaded from storage
+    useEffect(() => {
+      if (!showProfiles) return;
+      Promise.all(profiles.filter((p) => p.id !== profileId).map((p) => loadAll(p.id).then(({ data }) => [p.id, withDefaults(data)])))
+        .then((rows) => setOthers(new Map(rows)))
+        .catch((err) => alert(t("Couldn't read the other profiles: {error}", { error: err.message })));
+    }, []);
+    if (!showProfiles) return null;
+
+    const range = monthBounds(month);
+    const dataOf = (id) => (id === profileId ? snapshot() : others?.get(id));
+    const rows = profiles.map((p) => ({ profile: p, sum: dataOf(p.id) && profileSummary(dataOf(p.id), range) }));
+    // Amounts only add up within a currency
+    const combined = new Map();
+    for (const { profile: p, sum } of rows) {
+      if (!sum) continue;
+      const c = combined.get(p.currency) ?? { cost: 0, balance: 0, qty: {} };
+      c.cost += sum.cost;
+      c.balance += sum.balance;
+      for (const [unit, qty] of Object.entries(sum.qty)) c.qty[unit] = (c.qty[unit] ?? 0) + qty;
+      combined.set(p.currency, c);
+    }
+    const qtyText = (qty) => Object.entries(qty).map(([unit, q]) => `${num(q)} ${t(unit)}`).join(" · ") || "—";
+    return (
+      <Dialog
+        open
+        wide
+        onClose={() => setShowProfiles(false)}
+        title={`${t("Profiles")} – ${monthName(month)}`}
+        actions={
+          <button
+            onClick={() => { setShowProfiles(false); setProfileDraft({ name: "", currency: profile.currency, locale: profile.locale }); }}
+            className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700"
+          >{t("New Profile")}</button>
+        }
+      >
+        <table className="w-full text-sm text-violet-800">
+          <thead>
+            <tr className="text-left text-violet-600">
+              <th className="py-2">{t("Profile")}</th>
+              <th className="py-2">{t("Bought")}</th>
+              <th className="py-2 text-right">{t("Spent")}</th>
+              <th className="py-2 text-right">{t("Balance")}</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ profile: p, sum }) => (
+              <tr key={p.id} className={`border-t border-violet-100 ${p.id === profileId ? "bg-pink-50" : ""}`}>
+                <td className="py-2">{p.name} <span className="text-xs text-violet-500">{p.currency}</span></td>
+                <td className="py-2">{sum ? qtyText(sum.qty) : "…"}</td>
+                <td className="py-2 text-right">{sum ? formatMoney(p.currency, sum.cost) : "…"}</td>
+                <td className="py-2 text-right">{sum ? `${formatMoney(p.currency, Math.abs(sum.balance))} ${t(sum.balance < 0 ? "advance" : "due")}` : "…"}</td>
+                <td className="py-2 text-right">
+                  <span className="inline-flex gap-1">
+                    {p.id !== profileId && (
+                      <button onClick={() => { setShowProfiles(false); switchProfile(p.id); }} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">{t("Open")}</button>
+                    )}
+                    <button onClick={() => dataOf(p.id) && exportBackup(dataOf(p.id), p)} title={t("Download backup")} className="px-2 py-0.5 rounded-lg bg-blue-100 hover:bg-blue-200 text-blue-800">⬇️</button>
+                    <button onClick={() => { setShowProfiles(false); setProfileDraft(p); }} title={t("Edit profile")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                    {profiles.length > 1 && (
+                      <button onClick={() => { setShowProfiles(false); deleteProfile(p.id); }} title={t("Delete profile")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+                    )}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          {profiles.length > 1 && (
+            <tfoot>
+              {[...combined].map(([code, c]) => (
+                <tr key={code} className="border-t-2 border-violet-200 font-semibold">
+                  <td className="py-2">{t("All profiles")}{combined.size > 1 ? ` (${code})` : ""}</td>
+                  <td className="py-2">{qtyText(c.qty)}</td>
+                  <td className="py-2 text-right">{formatMoney(code, c.cost)}</td>
+                  <td className="py-2 text-right">{formatMoney(code, Math.abs(c.balance))} {t(c.balance < 0 ? "advance" : "due")}</td>
+                  <td />
+                </tr>
+              ))}
+            </tfoot>
+          )}
+        </table>
+      </Dialog>
+    );
+  }
+
+  function Delta({ value, unit }) {
+    if (Math.abs(value) < 0.005) return <span className="text-violet-400">± {unit === "money" ? money(0) : `${num(0)} ${t(unit)}`}</span>;
+    const up = value > 0;
+    return (
+      <span className={up ? "text-pink-600" : "text-emerald-600"}>
+        {up ? "▲" : "▼"} {unit === "money" ? money(Math.abs(value)) : `${num(Math.abs(value))} ${t(unit)}`}
+      </span>
+    );
+  }
+
+  function ProductIcon({ icon, className, faded }) {
+    if (isImageIcon(icon)) return <img src={icon} alt="" className={`${className} object-contain ${faded ? "opacity-30" : ""}`} />;
+    return <span className={`${className} inline-flex items-center justify-center leading-none ${faded ? "opacity-30" : ""}`}>{icon}</span>;
+  }
+
+  function StatCard({ title, value, icon, deltas }) {
+    return (
+      <div className="flex items-center gap-3 p-4 rounded-2xl bg-white/80 shadow-sm border border-violet-100">
+        {icon && <ProductIcon icon={icon} className="w-12 h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 text-4xl" />}
+        <div>
+          <div className="text-md sm:text-lg md:text-xl text-violet-500">{title}</div>
+          <div className="text-md sm:text-lg md:text-xl font-fun font-semibold text-violet-900">{value}</div>
+          {deltas && (
+            <div className="text-xs flex flex-wrap gap-x-2" title={t("Change vs previous period")}>
+              {deltas.map((d) => <Delta key={d.unit} {...d} />)}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  function PeriodSelector() {
+    return (
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {PERIODS.map((p) => (
+          <button
+            key={p.id}
+            onClick={() => setPeriod((cur) => (
+              p.id === "range" && !cur.from
+                ? { kind: p.id, ...periodBounds({ kind: "month" }, month) }
+                : { ...cur, kind: p.id }
+            ))}
+            className={`px-3 py-1 rounded-full text-sm sm:text-md ${period.kind === p.id ? "bg-violet-600 text-white" : "bg-white/70 text-violet-700 hover:bg-violet-100"}`}
+          >
+            {t(p.label)}
+          </button>
+        ))}
+        {period.kind === "range" && (
+          <span className="flex items-center gap-1 text-sm text-violet-600">
+            <input
+              type="date"
+              className="px-2 py-1 rounded-xl border border-violet-200"
+              value={period.from}
+              onChange={(e) => setPeriod((cur) => ({ ...cur, from: e.target.value }))}
+            />
+            –
+            <input
+              type="date"
+              className="px-2 py-1 rounded-xl border border-violet-200"
+              value={period.to}
+              onChange={(e) => setPeriod((cur) => ({ ...cur, to: e.target.value }))}
+            />
+          </span>
+        )}
+        <span className="text-xs text-violet-500">
+          {bounds ? `${bounds.from} → ${bounds.to}` : period.kind === "range" ? t("Pick a start and end date") : t("Every entry")}
+          {prevBounds && ` · ${t("compared with {from} → {to}", prevBounds)}`}
+        </span>
+      </div>
+    );
+  }
+
+  function Stats() {
+    const none = { qty: 0, cost: 0 };
+    const delta = (p) => {
+      if (!prevTotals) return null;
+      const cur = totals.byProduct.get(p.id) ?? none, prev = prevTotals.byProduct.get(p.id) ?? none;
+      return [{ value: toShownQty(cur.qty - prev.qty, p.id), unit: shownUnit(p.id) }, { value: cur.cost - prev.cost, unit: "money" }];
+    };
+    // Archived products only show up when they were bought in the period
+    const shown = products.filter((p) => !p.archived || totals.byProduct.has(p.id) || prevTotals?.byProduct.has(p.id));
+    return (
+      <div className="mb-6">
+        <PeriodSelector />
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          {shown.map((p) => (
+            <StatCard
+              key={p.id}
+              title={`${t(p.label)} (${t(shownUnit(p.id))})`}
+              value={num(toShownQty((totals.byProduct.get(p.id) ?? none).qty, p.id))}
+              icon={p.icon}
+              deltas={delta(p)}
+            />
+          ))}
+          <StatCard title={`${t("Total Cost")} (${currencyTag})`} value={num(totals.cost)} deltas={prevTotals && [{ value: totals.cost - prevTotals.cost, unit: "money" }]} />
+        </div>
+        {multiSupplier && (
+          <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            {suppliers.map((s) => {
+              const sup = totals.bySupplier.get(s.id) || { qty: {}, cost: 0 };
+              return (
+                <div key={s.id} className="p-3 rounded-2xl bg-white/60 border border-violet-100 text-sm text-violet-700">
+                  <div className="font-fun font-semibold text-violet-900">{s.name}</div>
+                  <div>{Object.entries(sup.qty).map(([id, qty]) => `${productOf(id).label} ${fmtQty(qty, id)}`).join(" · ") || t("Nothing bought")}</div>
+                  <div>{money(sup.cost)}</div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        <BudgetPanel />
+      </div>
+    );
+  }
+
+  // Budget progress for the month shown in the calendar, whatever period the stats cover
+  function BudgetPanel() {
+    const label = monthName(month);
+    const sum = summarize(entries, sortedRates, monthBounds(month));
+    const projection = projectMonth(entries, sortedRates, month);
+    return (
+      <div className="mt-3 p-3 rounded-2xl bg-white/60 border border-violet-100 text-sm text-violet-700">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-fun font-semibold text-violet-900">{t("Budget")} – {label}</div>
+          <button onClick={openBudgetDialog} className="px-3 py-1 rounded-xl bg-violet-100 hover:bg-violet-200 text-violet-700">🎯 {t("Set budget")}</button>
+        </div>
+        {budgets.length === 0 && <div className="text-violet-500">{t("No budget set. Set a monthly limit to track spending against it.")}</div>}
+        <div className="space-y-2">
+          {budgets.map((b) => {
+            const spent = spentOn(sum, b.scope);
+            const projected = projection && (b.scope === "total" ? projection.total : projection.byProduct.get(b.scope) ?? 0);
+            const pct = Math.min(100, (spent / b.amount) * 100);
+            const color = spent > b.amount ? "bg-pink-400" : projected > b.amount || pct >= 80 ? "bg-amber-300" : "bg-emerald-300";
+            return (
+              <div key={b.scope}>
+                <div className="flex justify-between">
+                  <span>{budgetLabel(b.scope)}</span>
+                  <span>{money(spent)} / {money(b.amount)}</span>
+                </div>
+                <div className="h-2.5 rounded-full bg-violet-100 overflow-hidden">
+                  <div className={`h-full rounded-full ${color}`} style={{ width: `${pct}%` }} />
+                </div>
+                {projection && (
+                  <div className={`text-xs ${projected > b.amount ? "text-pink-600" : "text-violet-500"}`}>
+                    {t("Projected month end")}: {money(projected)}
+                    {projected > b.amount ? ` (${t("{amount} over", { amount: money(projected - b.amount) })})` : ""}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  function BudgetDialog() {
+    const [draft, setDraft] = useState(budgetDraft);
+    if (!budgetDraft) return null;
+    // Products that already have a budget stay editable after being archived
+    const scopes = ["total", ...Object.keys(draft).filter((k) => k !== "total")];
+    return (
+      <Dialog
+        open
+        onClose={() => setBudgetDraft(null)}
+        title={t("Monthly budget")}
+        actions={<button onClick={() => saveBudgets(draft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Budget")}</button>}
+      >
+        <div className="text-sm text-violet-500 mb-3">{t("Applies to every month. Leave a field blank for no limit.")}</div>
+        <div className="grid grid-cols-2 gap-3">
+          {scopes.map((scope) => (
+            <div key={scope}>
+              <label className="text-sm text-violet-600">{budgetLabel(scope)} ({currencyTag})</label>
+              <input
+                type="number" min="0" step="1"
+                className="mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
+                placeholder={t("no limit")}
+                value={draft[scope]}
+                onChange={(e) => setDraft((d) => ({ ...d, [scope]: e.target.value }))}
+              />
+            </div>
+          ))}
+        </div>
+      </Dialog>
+    );
+  }
+
+  function SupplierPicker({ value, onChange }) {
+    if (!multiSupplier) return null;
+    return (
+      <div>
+        <label className="text-sm text-violet-600">{t("Supplier")}</label>
+        <div className="mt-1 flex flex-wrap gap-2">
+          {suppliers.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => onChange(s.id)}
+              className={`px-3 py-1 rounded-xl border ${value === s.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+            >{s.name}</button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  function MonthNav() {
+    const label = monthName(month);
+    const prev = new Date(month.getFullYear(), month.getMonth() - 1, 1);
+    const next = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    // Red dot on the arrows when the neighbouring month went over budget
+    const dot = (date) => overBudget(date) && (
+      <span title={t("Over budget")} className="absolute -top-1 -right-1 w-3 h-3 rounded-full bg-pink-500 border-2 border-white" />
+    );
+    return (
+      <div className="flex items-center justify-between mb-2">
+        <button
+          className="relative text-sm sm:text-md md:text-xl px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-full bg-violet-100 hover:bg-violet-200 text-violet-700"
+          onClick={() => setMonth(prev)}
+        >◀ {t("Prev")}{dot(prev)}</button>
+        <div className="text-center">
+          <div className="text-lg sm:text-xl md:text-2xl font-fun font-bold text-violet-700">
+            {label}
+            {overBudget(month) && <span className="ml-2 align-middle text-xs sm:text-sm px-2 py-0.5 rounded-full bg-pink-100 text-pink-700">{t("Over budget")}</span>}
+          </div>
+          <button
+            onClick={() => setBillSupplierId(suppliers[0].id)}
+            className="mt-1 text-xs sm:text-sm px-3 py-0.5 rounded-full bg-emerald-100 hover:bg-emerald-200 text-emerald-800"
+          >🧾 {t("Generate bill")}</button>
+          <button
+            onClick={() => setBulkOpen(true)}
+            title={`${t("Shortcut")}: G`}
+            className="mt-1 ml-1 text-xs sm:text-sm px-3 py-0.5 rounded-full bg-amber-100 hover:bg-amber-200 text-amber-800"
+          >📋 {t("Month grid")}</button>
+        </div>
+        <button
+          className="relative text-sm sm:text-md md:text-xl px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-full bg-violet-100 hover:bg-violet-200 text-violet-700"
+          onClick={() => setMonth(next)}
+        >{t("Next")} ▶{dot(next)}</button>
+      </div>
+    );
+  }
+
+  function Calendar() {
+    const matrix = daysMatrix(month, profile.weekStart);
+    const monthIndex = month.getMonth();
+
+    function DayCell({ date }) {
+      const inMonth = date.getMonth() === monthIndex;
+      const key = toKey(date);
+      const isToday = key === todayKey();
+      const sum = dayMap.get(key); // {byProduct, bySlot, cost, bySupplier, expected, missed}
+      const hasMilk = sum?.byProduct.size > 0;
+      // One sticker per slot and product; expected (scheduled, not yet entered) ones are faded
+      const stickers = [
+        ...[...(sum?.bySlot ?? [])].flatMap(([slot, byProduct]) => [...byProduct.keys()].map((id) => ({ id, slot, faded: false }))),
+        ...(sum?.expected ?? [])
+          .filter((d) => !sum.bySlot.get(d.slot)?.has(d.type))
+          .map((d) => ({ id: d.type, slot: d.slot, faded: true })),
+      ];
+
+      const tooltipText = [
+        ...[...(sum?.bySlot ?? [])].map(([slot, byProduct]) =>
+          `${slotOf(slot).icon} ${slotOf(slot).label}: ${[...byProduct].map(([id, qty]) => `${productOf(id).label} ${fmtQty(qty, id)}`).join(", ")}`),
+        ...(sum?.missed ?? []).map((m) => `⚠️ ${t("{slot} delivery missed", { slot: slotOf(m.slot).label })}${multiSupplier ? ` (${supplierName(m.supplierId)})` : ""}`),
+        hasMilk && `${t("Cost")}: ${money(sum.cost)}`,
+        ...(multiSupplier && sum ? [...sum.bySupplier] : []).map(([id, cost]) => `· ${supplierName(id)}: ${money(cost)}`),
+        ...(sum?.expected ?? []).map((d) => `${t("Expected {slot}", { slot: slotOf(d.slot).label })}: ${fmtQty(d.qty, d.type)} ${productOf(d.type).label}`),
+      ].filter(Boolean).join("\n");
+
+      return (
+        <button
+          onClick={() => (sum ? setOpenDay(key) : openNewEntry(key, activeProducts[0]?.id))}
+          className={`text-sm sm:text-lg md:text-2xl` +
+            `relative sm:h-12 md:h-20 lg:h-24 p-2 rounded-xl border transition text-left tooltip ` +
+            (inMonth ? "bg-white/70 border-violet-100 hover:border-violet-300" : "bg-white/40 border-transparent opacity-60")
+          }
+        >
+          {/* <span className={`text-md ${isToday ? "font-fun font-bold text-violet-900" : "text-violet-500"}`}>{date.getDate()}</span> */}
+           {/* 👇 Mobile pink if milk was bought */}
+          <span className={`text-md ${isToday ? "font-fun font-bold text-violet-900" : ""} ${hasMilk ? "text-pink-500 sm:text-violet-500" : "text-violet-500"}`}>{date.getDate()}</span>
+          {sum?.missed.length > 0 && (
+            <span className="absolute top-1 right-1 text-[10px] sm:text-xs">⚠️{sum.missed.map((m) => slotOf(m.slot).icon).join("")}</span>
+          )}
+          {/* Stickers row */}
+          <div className="absolute bottom-2 left-8 right-2 flex items-center gap-.5 ">
+            {stickers.slice(0, 3).map((st) => (
+              <span key={`${st.slot}|${st.id}`} className="relative">
+                <ProductIcon icon={productOf(st.id).icon} faded={st.faded} className="w-8 h-8 sm:w-12 sm:h-12 md:w-16 md:h-16 text-xl sm:text-2xl md:text-4xl" />
+                <span className="absolute -bottom-1 -right-1 text-[10px] sm:text-xs">{slotOf(st.slot).icon}</span>
+              </span>
+            ))}
+            {stickers.length > 3 && <span className="text-xs text-violet-500">+{stickers.length - 3}</span>}
+          </div>
+          {tooltipText && <span className="tooltiptext">{tooltipText}</span>}
+        </button>
+      );
+    }
+
+    return (
+      <div className="rounded-2xl bg-violet-50 p-3 border border-violet-100">
+        <MonthNav />
+        <div className="grid grid-cols-7 gap-2 text-center text-sm sm:text-md md:text-2xl text-violet-500 mb-2">
+          {weekOrder.map((w) => <div key={w.day}>{weekdayName(w.day)}</div>)}
+        </div>
+        <div className="grid grid-cols-7 gap-2 text-center text-sm sm:text-md md:text-2xl text-violet-700">
+          {matrix.flat().map((d,i) => <DayCell key={i} date={d} />)}
+        </div>
+      </div>
+    );
+  }
+
+  function Dialog({ open, onClose, title, children, actions, wide = false }) {
+    if (!open) return null;
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center print:hidden">
+        <div className="absolute inset-0 bg-black/20" onClick={onClose} />
+        <div className={`relative w-[95%] ${wide ? "max-w-3xl max-h-[90vh] overflow-y-auto" : "max-w-xl"} bg-white rounded-3xl shadow-xl p-5 border border-violet-100`}>
+          <div className="text-xl sm:text-2xl md:text-3xl font-fun font-semibold text-violet-900 mb-3">{title}</div>
+          <div>{children}</div>
+          <div className="mt-5 flex justify-end gap-2">
+            <button onClick={onClose} className="px-3 py-1.5 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-gray-100 hover:bg-gray-200">{t("Cancel")}</button>
+            {actions}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Active products, plus the current one when editing something recorded before it was archived
+  function ProductPicker({ value, onChange }) {
+    const options = products.filter((p) => !p.archived || p.id === value);
+    return (
+      <div>
+        <label className="text-sm text-violet-600">{t("Product")}</label>
+        <div className="mt-1 flex flex-wrap gap-2">
+          {options.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => onChange(p.id)}
+              className={`flex items-center gap-2 px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl border ${value === p.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+            >
+              <ProductIcon icon={p.icon} className="w-6 h-6 sm:w-8 sm:h-8 md:w-10 md:h-10 text-xl" />
+              <span>{t(p.label)}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  // Delivery slots, with a shortcut to add a custom one
+  function SlotPicker({ value, onChange }) {
+    return (
+      <div>
+        <label className="text-sm text-violet-600">{t("Delivery")}</label>
+        <div className="mt-1 flex flex-wrap gap-2">
+          {slots.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => onChange(s.id)}
+              className={`px-3 py-1 rounded-xl border ${value === s.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+            >{s.icon} {t(s.label)}</button>
+          ))}
+          <button onClick={() => { const id = addSlot(); if (id) onChange(id); }} className="px-3 py-1 rounded-xl border border-dashed border-violet-300 text-violet-600">+ {t("Custom")}</button>
+        </div>
+      </div>
+    );
+  }
+
+  function EntryDialog() {
+    const currentType = productOf(entryDraft.type);
+    const editing = Boolean(entryDraft.id);
+    const overBy = showEntryDialog ? budgetWarnings(entryDraft) : [];
+    return (
+      <Dialog
+        open={showEntryDialog}
+        onClose={() => setShowEntryDialog(false)}
+        title={`${t(editing ? "Edit Entry" : "Add Entry")} – ${entryDraft.date}`}
+        actions={
+          <button onClick={() => saveEntry(entryDraft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Entry")}</button>
+        }
+      >
+        {editing && (
+          <div className="mb-3">
+            <label className="text-sm text-violet-600">{t("Date")}</label>
+            <input
+              type="date"
+              className="mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
+              value={entryDraft.date}
+              onChange={(e) => setEntryDraft((d) => ({ ...d, date: e.target.value }))}
+            />
+          </div>
+        )}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <SlotPicker value={entryDraft.slot} onChange={(id) => setEntryDraft((d) => ({ ...d, slot: id }))} />
+          <SupplierPicker value={entryDraft.supplierId} onChange={(id) => setEntryDraft((d) => ({ ...d, supplierId: id }))} />
+          <ProductPicker value={entryDraft.type} onChange={(id) => setEntryDraft((d) => ({ ...d, type: id }))} />
+          <div>
+            <label className="text-sm text-violet-600">{t("Quantity")} ({t(shownUnit(currentType.id))})</label>
+            <input
+              type="number" min="0" step={currentType.unit === "piece" ? "1" : "0.1"}
+              className="mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
+              value={entryDraft.qty}
+              onChange={(e) => setEntryDraft((d) => ({ ...d, qty: e.target.value }))}
+              placeholder={t("e.g., 1.5")}
+            />
+          </div>
+          {currentType.unit !== "piece" && (
+            <div className="grid grid-cols-2 gap-2">
+              {[["fat", t("Fat %")], ["snf", t("SNF %")]].map(([key, label]) => (
+                <div key={key}>
+                  <label className="text-sm text-violet-600">{label} <span className="text-xs text-violet-400">({t("optional")})</span></label>
+                  <input
+                    type="number" min="0" step="0.1"
+                    className="mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
+                    value={entryDraft[key] ?? ""}
+                    onChange={(e) => setEntryDraft((d) => ({ ...d, [key]: e.target.value }))}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="mt-3 flex items-center gap-2 text-xs text-violet-500">
+          <ProductIcon icon={currentType.icon} className="w-5 h-5 sm:w-6 sm:h-6 md:w-8 md:h-8" />
+          <span>
+            {chartForDate(sortedRates, entryDraft.date, entryDraft.supplierId, entryDraft.type)
+              ? t("Price will use the fat / SNF chart (with a reading) or flat rate effective on {date}.", { date: entryDraft.date })
+              : t("Price will use the rate effective on {date}.", { date: entryDraft.date })}
+            {multiSupplier && ` (${supplierName(entryDraft.supplierId)})`}
+          </span>
+        </div>
+        {overBy.map((b) => (
+          <div key={b.scope} className="mt-2 px-3 py-1.5 rounded-xl bg-pink-50 border border-pink-200 text-sm text-pink-700">
+            ⚠️ {t("Saving takes the {budget} budget for this month to {after} of {amount}.", { budget: budgetLabel(b.scope), after: money(b.after), amount: money(b.amount) })}
+          </div>
+        ))}
+        {!editing && (
+          <button
+            onClick={() => { setShowEntryDialog(false); markMissed(entryDraft.date, entryDraft.supplierId, entryDraft.slot); }}
+            className="mt-2 text-xs text-amber-700 underline"
+          >{t("Nothing came? Mark this {slot} delivery as missed", { slot: slotOf(entryDraft.slot).label.toLowerCase() })}</button>
+        )}
+      </Dialog>
+    );
+  }
+
+  // Spreadsheet-like grid for the visible month: days as rows, products as columns
+  function BulkDialog() {
+    const from = toKey(startOfMonth(month)), to = toKey(endOfMonth(month));
+    const [supplierId, setSupplierId] = useState(lastSupplierId);
+    const [slot, setSlot] = useState(slots[0].id);
+    const [initial, setInitial] = useState(() => (bulkOpen ? bulkCells(from, to, supplierId, slot) : null));
+    const [cells, setCells] = useState(initial);
+    const [focus, setFocus] = useState(null); // { r, c }
+    const [problems, setProblems] = useState([]);
+    if (!bulkOpen) return null;
+
+    const days = Object.keys(cells);
+    const cols = activeProducts;
+    const dirty = days.some((d) => cols.some((p) => cells[d][p.id].trim() !== initial[d][p.id]));
+    const setCell = (r, c, value) => setCells((cur) => ({ ...cur, [days[r]]: { ...cur[days[r]], [cols[c].id]: value } }));
+    const focusCell = (r, c) => document.querySelector(`[data-cell="${r}:${c}"]`)?.focus();
+
+    function switchTo(nextSupplier, nextSlot) {
+      if (dirty && !confirm(t("Discard the changes in this grid?"))) return;
+      const fresh = bulkCells(from, to, nextSupplier, nextSlot);
+      setSupplierId(nextSupplier); setSlot(nextSlot); setInitial(fresh); setCells(fresh); setProblems([]);
+    }
+
+    // Repeats a cell's value into the empty days below it
+    function fillDown(r, c) {
+      const value = cells[days[r]][cols[c].id];
+      if (!value.trim()) return;
+      setCells((cur) => {
+        const next = { ...cur };
+        for (const d of days.slice(r + 1)) if (!next[d][cols[c].id].trim()) next[d] = { ...next[d], [cols[c].id]: value };
+        return next;
+      });
+    }
+
+    function onKeyDown(ev, r, c) {
+      const { selectionStart, selectionEnd, value } = ev.target;
+      const move = (dr, dc) => {
+        ev.preventDefault();
+        focusCell(Math.min(days.length - 1, Math.max(0, r + dr)), Math.min(cols.length - 1, Math.max(0, c + dc)));
+      };
+      if ((ev.ctrlKey || ev.metaKey) && ev.key.toLowerCase() === "d") {
+        ev.preventDefault();
+        if (r > 0) setCell(r, c, cells[days[r - 1]][cols[c].id]);
+      } else if (ev.key === "ArrowDown" || (ev.key === "Enter" && !ev.shiftKey)) move(1, 0);
+      else if (ev.key === "ArrowUp" || (ev.key === "Enter" && ev.shiftKey)) move(-1, 0);
+      else if (ev.key === "ArrowLeft" && selectionStart === 0 && selectionEnd === 0) move(0, -1);
+      else if (ev.key === "ArrowRight" && selectionStart === value.length) move(0, 1);
+    }
+
+    // Rows (and tab-separated columns) copied from a spreadsheet fill down / right from this cell
+    function onPaste(ev, r, c) {
+      const text = ev.clipboardData.getData("text");
+      if (!/[\n\t]/.test(text.trim())) return;
+      ev.preventDefault();
+      const rows = text.replace(/\r/g, "").replace(/\n$/, "").split("\n").map((line) => line.split("\t"));
+      setCells((cur) => {
+        const next = { ...cur };
+        rows.forEach((row, i) => {
+          const d = days[r + i];
+          if (!d) return;
+          next[d] = { ...next[d] };
+          row.forEach((value, j) => { if (cols[c + j]) next[d][cols[c + j].id] = value.trim(); });
+        });
+        return next;
+      });
+    }
+
+    const close = () => { if (!dirty || confirm(t("Discard the changes in this grid?"))) setBulkOpen(false); };
+    const save = () => setProblems(saveBulk({ supplierId, slot, cells, initial }) ?? []);
+    return (
+      <Dialog
+        open
+        wide
+        onClose={close}
+        title={`${t("Month grid")} – ${monthName(month)}`}
+        actions={<button onClick={save} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Grid")}</button>}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-3">
+          <SupplierPicker value={supplierId} onChange={(id) => switchTo(id, slot)} />
+          <div>
+            <label className="text-sm text-violet-600">{t("Delivery")}</label>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {slots.map((s) => (
+                <button
+                  key={s.id}
+                  onClick={() => switchTo(supplierId, s.id)}
+                  className={`px-3 py-1 rounded-xl border ${slot === s.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+                >{s.icon} {t(s.label)}</button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="mb-2 text-xs text-violet-500">
+          {t("Arrow keys / Enter to move · Ctrl+D copies the day above · paste a copied spreadsheet column into any cell · clear a cell to delete that entry")}
+        </div>
+        <table className="w-full text-sm text-violet-800">
+          <thead className="sticky top-0 bg-white">
+            <tr className="text-left text-violet-600">
+              <th className="py-1 pr-2">{t("Day")}</th>
+              {cols.map((p, c) => (
+                <th key={p.id} className="py-1 px-1">
+                  <div className="flex items-center gap-1">
+                    <ProductIcon icon={p.icon} className="w-5 h-5" />
+                    <span>{t(p.label)} ({t(shownUnit(p.id))})</span>
+                    <button
+                      onClick={() => focus?.c === c && fillDown(focus.r, c)}
+                      disabled={focus?.c !== c}
+                      title={t("Repeat the selected cell into the empty days below")}
+                      className="ml-auto px-1.5 rounded-lg bg-violet-100 hover:bg-violet-200 disabled:opacity-40"
+                    >{t("Fill")} ↓</button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {days.map((d, r) => (
+              <tr key={d} className={`border-t border-violet-100 ${d === todayKey() ? "bg-pink-50" : ""}`}>
+                <td className="py-0.5 pr-2 whitespace-nowrap">{weekdayName(parseKey(d).getDay())} {d.slice(8)}</td>
+                {cols.map((p, c) => {
+                  const changed = cells[d][p.id].trim() !== initial[d][p.id];
+                  const bad = problems.includes(`${d}|${p.id}`);
+                  return (
+                    <td key={p.id} className="py-0.5 px-1">
+                      <input
+                        data-cell={`${r}:${c}`}
+                        inputMode="decimal"
+                        value={cells[d][p.id]}
+                        onChange={(e) => setCell(r, c, e.target.value)}
+                        onFocus={() => setFocus({ r, c })}
+                        onKeyDown={(e) => onKeyDown(e, r, c)}
+                        onPaste={(e) => onPaste(e, r, c)}
+                        className={`w-full px-2 py-0.5 rounded-lg border focus:outline-none focus:ring-2 focus:ring-violet-300 ${
+                          bad ? "border-pink-400 bg-pink-50" : changed ? "border-amber-300 bg-amber-50" : "border-violet-200"}`}
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Dialog>
+    );
+  }
+
+  function EntryActions({ entry, onEdit }) {
+    return (
+      <span className="inline-flex gap-1">
+        <button onClick={() => { onEdit?.(); openEditEntry(entry); }} title={t("Edit entry")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+        <button onClick={() => deleteEntry(entry.id)} title={t("Delete entry")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+      </span>
+    );
+  }
+
+  function DayDialog() {
+    const dayEntries = entries.filter((e) => e.date === openDay).sort(bySlot);
+    const expected = openDay ? pendingDeliveries(entries, schedules, openDay, openDay, missed) : [];
+    const dayMissed = missed.filter((m) => m.date === openDay);
+    const skipped = schedules.filter((s) => s.skips.includes(openDay) && scheduleRunsOn(s, openDay));
+    const close = () => setOpenDay(null);
+    return (
+      <Dialog
+        open={Boolean(openDay)}
+        onClose={close}
+        title={`${t("Entries")} – ${openDay}`}
+        actions={
+          <button onClick={() => { close(); openNewEntry(openDay, activeProducts[0]?.id); }} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Add Entry")}</button>
+        }
+      >
+        {(expected.length > 0 || skipped.length > 0) && (
+          <ul className="mb-3 divide-y divide-violet-100 rounded-xl bg-violet-50 px-3">
+            {expected.map((d) => (
+              <li key={d.scheduleId} className="py-2 flex items-center gap-3">
+                <ProductIcon icon={productOf(d.type).icon} faded className="w-8 h-8 text-xl" />
+                <span className="flex-1 text-violet-500">{t("Expected {slot}", { slot: slotOf(d.slot).label })} · {productOf(d.type).label} · {fmtQty(d.qty, d.type)}</span>
+                <button
+                  onClick={() => { close(); setEntryDraft({ date: d.date, slot: d.slot, supplierId: d.supplierId, type: d.type, qty: String(toShownQty(d.qty, d.type)), scheduleId: d.scheduleId }); setShowEntryDialog(true); }}
+                  className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700"
+                >{t("Adjust")}</button>
+                <button onClick={() => skipDelivery(d)} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">{t("Skip")}</button>
+              </li>
+            ))}
+            {skipped.map((s) => (
+              <li key={s.id} className="py-2 flex items-center gap-3 text-violet-400">
+                <span className="flex-1 line-through">{productOf(s.type).label} · {fmtQty(s.qty, s.type)} ({t("skipped")})</span>
+                <button onClick={() => unskipDelivery(s.id, openDay)} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">{t("Restore")}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {dayEntries.length === 0 ? (
+          <div className="text-sm text-violet-500">{t("No entries on this day.")}</div>
+        ) : (
+          <ul className="divide-y divide-violet-100">
+            {dayEntries.map((e) => {
+              const price = entryPrice(sortedRates, e) ?? 0;
+              return (
+                <li key={e.id} className="py-2 flex items-center gap-3">
+                  <ProductIcon icon={productOf(e.type).icon} className="w-8 h-8 text-xl" />
+                  <span className="flex-1 text-violet-700">
+                    <span title={slotOf(e.slot).label}>{slotOf(e.slot).icon}</span> {productOf(e.type).label} · {fmtQty(e.qty, e.type)}{hasReading(e) && ` (${fmtReading(e)})`} · {money((price * e.qty))}
+                    {multiSupplier && <span className="text-violet-400"> · {supplierName(e.supplierId)}</span>}
+                  </span>
+                  <EntryActions entry={e} onEdit={close} />
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div className="mt-4">
+          <div className="text-sm text-violet-600 mb-1">{t("Missed deliveries")}</div>
+          <div className="flex flex-wrap gap-2 text-sm">
+            {suppliers.flatMap((sup) => slots.map((slot) => {
+              const mark = dayMissed.find((m) => m.supplierId === sup.id && m.slot === slot.id);
+              const label = `${slot.icon} ${t(slot.label)}${multiSupplier ? ` · ${sup.name}` : ""}`;
+              return mark ? (
+                <button key={`${sup.id}|${slot.id}`} onClick={() => unmarkMissed(mark.id)} title={t("Unmark")} className="px-2 py-0.5 rounded-lg bg-amber-200 hover:bg-amber-300 text-amber-900">⚠️ {t("{label} missed", { label })} ✕</button>
+              ) : (
+                <button key={`${sup.id}|${slot.id}`} onClick={() => markMissed(openDay, sup.id, slot.id)} className="px-2 py-0.5 rounded-lg bg-amber-50 hover:bg-amber-100 text-amber-800">{t("Mark {label} missed", { label })}</button>
+              );
+            }))}
+          </div>
+        </div>
+      </Dialog>
+    );
+  }
+
+  function RateDialog() {
+    const [draft, setDraft] = useState(rateDraft);
+    const [chartsOpen, setChartsOpen] = useState(() => Object.keys(rateDraft.charts ?? {}));
+    if (!showRateDialog) return null;
+    const latest = latestRate(sortedRates, draft.supplierId);
+    const current = currentPrices(sortedRates, draft.supplierId);
+    const field = "mt-1 w-full px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300";
+    return (
+      <Dialog
+        open
+        onClose={() => setShowRateDialog(false)}
+        title={draft.original
+          ? t("Edit Rate from {date} ({currency} per unit)", { date: draft.original.effectiveFrom, currency: currencyTag })
+          : t("Set / Update Rates ({currency} per unit)", { currency: currencyTag })}
+        actions={<button onClick={() => addRate(draft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Rates")}</button>}
+      >
+        {!draft.original && (
+          <div className="mb-3">
+            <SupplierPicker value={draft.supplierId} onChange={openRateDialog} />
+          </div>
+        )}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="text-sm text-violet-600">{t("Effective From")}</label>
+            <input
+              type="date"
+              className={field}
+              value={draft.effectiveFrom}
+              onChange={(e) => setDraft((d) => ({ ...d, effectiveFrom: e.target.value }))}
+              // min={todayKey()}
+            />
+          </div>
+          {activeProducts.map((p) => (
+            <div key={p.id}>
+              <label className="text-sm text-violet-600">{t("{product} Rate", { product: t(p.label) })} ({currencyTag}/{t(p.unit)})</label>
+              <input
+                type="number" min="0" step="1"
+                className={field}
+                value={draft.prices[p.id] ?? ""}
+                onChange={(e) => setDraft((d) => ({ ...d, prices: { ...d.prices, [p.id]: e.target.value } }))}
+                placeholder={t("leave blank if not bought")}
+              />
+              {p.unit !== "piece" && !chartsOpen.includes(p.id) && (
+                <button onClick={() => setChartsOpen((open) => [...open, p.id])} className="mt-1 text-xs text-violet-600 underline">+ {t("Fat / SNF chart")}</button>
+              )}
+            </div>
+          ))}
+        </div>
+        {chartsOpen.map((id) => (
+          <div key={id} className="mt-3">
+            <label className="text-sm text-violet-600">{t("{product} fat / SNF chart", { product: productOf(id).label })} ({currencyTag}/{t(productOf(id).unit)})</label>
+            <textarea
+              rows={4}
+              className={`${field} font-mono text-xs`}
+              value={draft.charts?.[id] ?? ""}
+              onChange={(e) => setDraft((d) => ({ ...d, charts: { ...d.charts, [id]: e.target.value } }))}
+              placeholder={"fat\\snf, 8.0, 8.5, 9.0\n3.5, 38, 39, 40\n4.0, 41, 42, 43"}
+            />
+            <div className="text-xs text-violet-500">
+              {t("First row: SNF %, first column: fat %. Paste from a spreadsheet or type with commas. Entries with a fat / SNF reading use the chart; the rest use the flat rate above.")}
+            </div>
+          </div>
+        ))}
+        {latest && !draft.original && (
+          <div className="mt-3 text-xs text-violet-500">
+            {multiSupplier ? t("Current latest {supplier} rate from", { supplier: supplierName(draft.supplierId) }) : t("Current latest rate from")} <b>{latest.effectiveFrom}</b>:{" "}
+            {Object.entries(current).map(([id, c]) => `${productOf(id).label} ${money(c.price)}/${t(productOf(id).unit)}`).join(", ")}
+          </div>
+        )}
+      </Dialog>
+    );
+  }
+
+  function RatePreviewDialog() {
+    if (!rateChange) return null;
+    const { label, rates: next, changed, months } = rateChange;
+    const diff = (v) => `${v >= 0 ? "+" : "−"}${money(Math.abs(v))}`;
+    const total = months.reduce((t, m) => t + m.after - m.before, 0);
+    return (
+      <Dialog
+        open
+        wide
+        onClose={() => setRateChange(null)}
+        title={`${t(label)} – ${t("what changes")}`}
+        actions={
+          <button
+            onClick={() => { record(label, () => setRates(next)); setRateChange(null); }}
+            className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700"
+          >{t("Apply Change")}</button>
+        }
+      >
+        <div className="text-sm text-violet-700 mb-3">
+          {t(changed.length === 1 ? "1 entry changes price in 1 month" : months.length === 1 ? "{count} entries change price in 1 month" : "{count} entries change price across {months} months",
+            { count: changed.length, months: months.length })}: <b>{diff(total)}</b> {t("in total")}.
+        </div>
+        <table className="w-full text-sm text-violet-800 mb-4">
+          <thead>
+            <tr className="text-left text-violet-600">
+              <th className="py-1">{t("Month")}</th><th className="py-1 text-right">{t("Before")}</th><th className="py-1 text-right">{t("After")}</th><th className="py-1 text-right">{t("Change")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map((m) => (
+              <tr key={m.month} className="border-t border-violet-100">
+                <td className="py-1">{monthName(parseKey(`${m.month}-01`))}</td>
+                <td className="py-1 text-right">{money(m.before)}</td>
+                <td className="py-1 text-right">{money(m.after)}</td>
+                <td className={`py-1 text-right ${m.after > m.before ? "text-pink-600" : "text-emerald-600"}`}>{diff(m.after - m.before)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-sm text-violet-600 mb-1">{t("Entries")}</div>
+        <ul className="divide-y divide-violet-100 text-sm text-violet-700 max-h-60 overflow-y-auto">
+          {changed.map(({ entry: e, before, after }) => (
+            <li key={e.id} className="py-1 flex flex-wrap gap-x-3">
+              <span className="w-24">{e.date}</span>
+              <span className="flex-1">
+                {slotOf(e.slot).icon} {productOf(e.type).label} {fmtQty(e.qty, e.type)}{multiSupplier && ` · ${supplierName(e.supplierId)}`}
+              </span>
+              <span>{before == null ? t("no rate") : money(before)} → {money(after)}</span>
+              <span className={`w-24 text-right ${after > (before ?? 0) ? "text-pink-600" : "text-emerald-600"}`}>{diff((after - (before ?? 0)) * e.qty)}</span>
+            </li>
+          ))}
+        </ul>
+      </Dialog>
+    );
+  }
+
+  function EntryList() {
+    const monthLabel = monthName(month);
+    const monthMissed = [...dayMap.values()].flatMap((d) => d.missed);
+    const rows = [...monthEntries, ...monthMissed.map((m) => ({ ...m, missed: true }))]
+      .sort(bySlot)
+      .map((e) => {
+        if (e.missed) {
+          return (
+            <tr key={e.id} className="border-b last:border-0 bg-amber-50/60">
+              <td className="py-2 text-violet-700">{e.date}</td>
+              <td className="py-2">{slotOf(e.slot).icon} {slotOf(e.slot).label}</td>
+              <td className="py-2 text-amber-800" colSpan={4 + (multiSupplier ? 1 : 0)}>⚠️ {t("Delivery missed")}{multiSupplier && ` · ${supplierName(e.supplierId)}`}</td>
+              <td className="py-2 text-right">
+                <button onClick={() => unmarkMissed(e.id)} title={t("Unmark missed delivery")} className="px-2 py-0.5 rounded-lg bg-amber-100 hover:bg-amber-200 text-amber-800">✕</button>
+              </td>
+            </tr>
+          );
+        }
+        const price = entryPrice(sortedRates, e) ?? 0;
+        const amount = price * e.qty;
+        const product = productOf(e.type);
+        return (
+          <tr key={e.id} className="border-b last:border-0">
+            <td className="py-2 text-violet-700">{e.date}</td>
+            <td className="py-2 text-violet-600">{slotOf(e.slot).icon} {slotOf(e.slot).label}</td>
+            <td className="py-2 flex items-center gap-2">
+              <ProductIcon icon={product.icon} className="w-5 h-5 sm:w-6 sm:h-6 md:w-8 md:h-8" />
+              {product.label}
+              {hasReading(e) && <span className="text-xs text-violet-400">{fmtReading(e)}</span>}
+            </td>
+            {multiSupplier && <td className="py-2 text-violet-600">{supplierName(e.supplierId)}</td>}
+            <td className="py-2 text-right">{fmtQty(e.qty, e.type)}</td>
+            <td className="py-2 text-right">{money(price / conversion(e.type))}/{t(shownUnit(e.type))}</td>
+            <td className="py-2 text-right font-medium">{money(amount)}</td>
+            <td className="py-2 text-right"><EntryActions entry={e} /></td>
+          </tr>
+        );
+      });
+
+    return (
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold mb-2">{t("Entries")} – {monthLabel}</div>
+        {rows.length === 0 ? (
+          <div className="text-sm sm:text-md text-violet-500">{t("No entries this month. Click a date in the calendar or \"Add Entry\" to begin.")}</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-[600px] md:min-w-full text-left text-sm sm:text-md md:text-lg">
+              <thead>
+                <tr className="text-sm sm:text-md md:text-lg text-left text-violet-500 border-b">
+                  <th className="py-2">{t("Date")}</th>
+                  <th className="py-2">{t("Delivery")}</th>
+                  <th className="py-2">{t("Product")}</th>
+                  {multiSupplier && <th className="py-2">{t("Supplier")}</th>}
+                  <th className="py-2 text-right">{t("Quantity")}</th>
+                  <th className="py-2 text-right">{t("Rate")} ({currencyTag})</th>
+                  <th className="py-2 text-right">{t("Amount")} ({currencyTag})</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>{rows}</tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  function EmptyRatesBanner() {
+    if (rates.length > 0) return null;
+    return (
+      <div className="mb-4 p-3 rounded-2xl bg-amber-50 border border-amber-200 text-amber-800">
+        💡 {t("Tip: Set your initial rates to start tracking. Click \"Set / Update Rates\".")}
+      </div>
+    );
+  }
+
+  function Schedules() {
+    const monthLabel = monthName(month);
+    const dayLabels = (days) => weekOrder.filter((w) => days.includes(w.day)).map((w) => weekdayName(w.day)).join(" ");
+    return (
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold">{t("Delivery Schedules")}</div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setScheduleDraft({ supplierId: lastSupplierId(), slot: slots[0].id, type: activeProducts[0]?.id, qty: "", weekdays: WEEKDAYS.map((w) => w.day), start: todayKey(), end: "", pauses: [] })}
+              className="px-3 py-1 rounded-xl bg-blue-200 hover:bg-blue-300 text-blue-900"
+            >{t("New Schedule")}</button>
+            {schedules.length > 0 && (
+              <button onClick={applySchedulesToMonth} className="px-3 py-1 rounded-xl bg-violet-600 hover:bg-violet-700 text-white">{t("Apply to {month}", { month: monthLabel })}</button>
+            )}
+          </div>
+        </div>
+        {schedules.length === 0 ? (
+          <div className="text-sm sm:text-md text-violet-500">{t("No schedules yet. Add one for milk you take on a fixed routine and it fills the calendar for you.")}</div>
+        ) : (
+          <ul className="divide-y divide-violet-100">
+            {schedules.map((s) => (
+              <li key={s.id} className={`py-2 flex flex-wrap items-center gap-3 ${schedulePaused(s) ? "opacity-60" : ""}`}>
+                <ProductIcon icon={productOf(s.type).icon} className="w-8 h-8 text-xl" />
+                <div className="flex-1 text-violet-700">
+                  <div>{slotOf(s.slot).icon} {fmtQty(s.qty, s.type)} {productOf(s.type).label} · {slotOf(s.slot).label} · {dayLabels(s.weekdays)}{multiSupplier && ` · ${supplierName(s.supplierId)}`}</div>
+                  <div className="text-xs text-violet-500">
+                    {s.end ? t("From {start} to {end}", { start: s.start, end: s.end }) : t("From {start}", { start: s.start })}{!s.active && ` · ${t("paused")}`}
+                    {s.pauses.map((p) => ` · ${p.to ? t("holiday {from} → {to}", p) : t("paused since {from}", p)}`).join("")}
+                  </div>
+                </div>
+                <span className="inline-flex gap-1">
+                  <button onClick={() => toggleSchedule(s.id)} className="px-2 py-0.5 rounded-lg bg-amber-100 hover:bg-amber-200 text-amber-800">{t(schedulePaused(s) ? "Resume" : "Pause")}</button>
+                  <button onClick={() => setScheduleDraft({ ...s, qty: String(toShownQty(s.qty, s.type)) })} title={t("Edit schedule")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                  <button onClick={() => deleteSchedule(s.id)} title={t("Delete schedule")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  function ScheduleDialog() {
+    const [draft, setDraft] = useState(scheduleDraft);
+    if (!scheduleDraft) return null;
+    const field = "mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300";
+    const toggleDay = (day) => setDraft((d) => ({
+      ...d,
+      weekdays: d.weekdays.includes(day) ? d.weekdays.filter((x) => x !== day) : [...d.weekdays, day],
+    }));
+    const setPause = (i, change) => setDraft((d) => ({ ...d, pauses: d.pauses.map((p, j) => (j === i ? { ...p, ...change } : p)) }));
+    return (
+      <Dialog
+        open
+        onClose={() => setScheduleDraft(null)}
+        title={t(draft.id ? "Edit Schedule" : "New Delivery Schedule")}
+        actions={<button onClick={() => saveSchedule(draft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Schedule")}</button>}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {/* Goes through scheduleDraft: adding a custom slot re-renders the whole app */}
+          <SlotPicker value={draft.slot} onChange={(id) => setScheduleDraft({ ...draft, slot: id })} />
+          <SupplierPicker value={draft.supplierId} onChange={(id) => setDraft((d) => ({ ...d, supplierId: id }))} />
+          <ProductPicker value={draft.type} onChange={(id) => setDraft((d) => ({ ...d, type: id }))} />
+          <div>
+            <label className="text-sm text-violet-600">{t("Quantity ({unit}) per day", { unit: t(shownUnit(draft.type)) })}</label>
+            <input type="number" min="0" step="0.1" className={field} placeholder={t("e.g., 1")} value={draft.qty} onChange={(e) => setDraft((d) => ({ ...d, qty: e.target.value }))} />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="text-sm text-violet-600">{t("Weekdays")}</label>
+            <div className="mt-1 flex flex-wrap gap-1">
+              {weekOrder.map((w) => (
+                <button
+                  key={w.day}
+                  onClick={() => toggleDay(w.day)}
+                  className={`px-2 py-1 rounded-lg border text-sm ${draft.weekdays.includes(w.day) ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+                >{weekdayName(w.day)}</button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Start")}</label>
+            <input type="date" className={field} value={draft.start} onChange={(e) => setDraft((d) => ({ ...d, start: e.target.value }))} />
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("End (optional)")}</label>
+            <input type="date" className={field} value={draft.end} onChange={(e) => setDraft((d) => ({ ...d, end: e.target.value }))} />
+          </div>
+        </div>
+        <div className="mt-4">
+          <div className="flex items-center justify-between">
+            <label className="text-sm text-violet-600">{t("Holiday pauses")}</label>
+            <button onClick={() => setDraft((d) => ({ ...d, pauses: [...d.pauses, { from: "", to: "" }] }))} className="text-sm px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">+ {t("Add")}</button>
+          </div>
+          {draft.pauses.map((p, i) => (
+            <div key={i} className="mt-1 flex items-center gap-2 text-sm text-violet-600">
+              <input type="date" className="px-2 py-1 rounded-xl border border-violet-200" value={p.from} onChange={(e) => setPause(i, { from: e.target.value })} />
+              –
+              <input type="date" className="px-2 py-1 rounded-xl border border-violet-200" value={p.to} onChange={(e) => setPause(i, { to: e.target.value })} />
+              <button onClick={() => setDraft((d) => ({ ...d, pauses: d.pauses.filter((_, j) => j !== i) }))} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">✕</button>
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 text-xs text-violet-500">
+          {t("Past days fill in automatically; upcoming ones show faded on the calendar until they arrive. A pause without an end date lasts until the schedule is resumed.")}
+        </div>
+      </Dialog>
+    );
   }
 
-  const totals = useMemo(() => {
-    let cowKg = 0, bufKg = 0, cost = 0;
-    for (const e of entries) {
-      const r = rateForDate(e.date);
-      if (!r) continue;
-      if (e.type === "cow") cowKg += e.kg; else bufKg += e.kg;
-      const perKg = e.type === "cow" ? r.cow : r.buffalo;
-      cost += perKg * e.kg;
-    }
-    return { cowKg, bufKg, kg: cowKg + bufKg, cost };
-  }, [entries, rates]);
-
-  // Build per-day summaries for stickers & tooltip
-  const dayMap = useMemo(() => {
-    const map = new Map();
-    for (const e of monthEntries) {
-      const r = rateForDate(e.date);
-      const perKg = e.type === "cow" ? r?.cow ?? 0 : r?.buffalo ?? 0;
-      const obj = map.get(e.date) || { cowKg: 0, bufKg: 0, cost: 0 };
-      if (e.type === "cow") obj.cowKg += e.kg; else obj.bufKg += e.kg;
-      obj.cost += perKg * e.kg;
-      map.set(e.date, obj);
-    }
-    return map;
-  }, [monthEntries, rates]);
-
-  function Header() {
+  function Suppliers() {
     return (
-      <div className="md:flex gap-4 items-center justify-between mb-4">
-        <h1 className="text-2xl text-center md:text-4xl font-fun font-bold text-violet-700 drop-shadow-md">
-          🥛 Dairy Expense Tracker
-        </h1>
-        <div className="flex justify-around md:flex gap-3">
-          <button
-            onClick={() => { setRateDraft({ effectiveFrom: todayKey(), cow: latestRate?.cow ?? "", buffalo: latestRate?.buffalo ?? "" }); setShowRateDialog(true); }}
-            className="mr-5 mt-3 px-3 py-2 sm:px-4 sm:py-2 md:px-6 md:py-3 mr-0 rounded-2xl bg-pink-200 hover:bg-pink-300 text-pink-900 shadow font-fun font-semibold text-lg"
-          >
-            Set / Update Rates
-          </button>
-          <button
-            onClick={() => { setEntryDraft({ date: todayKey(), type: "buffalo", kg: "" }); setShowEntryDialog(true); }}
-            className="mt-3 px-3 py-2 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-2xl bg-blue-200 hover:bg-blue-300 text-blue-900 shadow font-fun font-semibold text-lg"
-          >
-            Add Entry
-          </button>
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold">{t("Suppliers")}</div>
+          <button onClick={addSupplier} className="px-3 py-1 rounded-xl bg-blue-200 hover:bg-blue-300 text-blue-900">{t("New Supplier")}</button>
         </div>
+        <ul className="divide-y divide-violet-100">
+          {suppliers.map((s) => {
+            const current = Object.entries(currentPrices(sortedRates, s.id));
+            return (
+              <li key={s.id} className="py-2 flex flex-wrap items-center gap-3">
+                <div className="flex-1 text-violet-700">
+                  <div>{s.name}</div>
+                  <div className="text-xs text-violet-500">
+                    {current.length ? current.map(([id, c]) => `${productOf(id).label} ${money(c.price)}/${t(productOf(id).unit)}`).join(", ") : t("No rates yet")}
+                  </div>
+                </div>
+                <span className="inline-flex gap-1">
+                  <button onClick={() => openRateDialog(s.id)} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-800">{t("Rates")}</button>
+                  <button onClick={() => renameSupplier(s.id)} title={t("Rename supplier")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                  {suppliers.length > 1 && (
+                    <button onClick={() => deleteSupplier(s.id)} title={t("Delete supplier")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+                  )}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
       </div>
     );
   }
 
-  function StatCard({ title, value, icon }) {
+  function Slots() {
     return (
-      <div className="flex items-center gap-3 p-4 rounded-2xl bg-white/80 shadow-sm border border-violet-100">
-        {icon && <img src={icon} alt="" className="w-12 h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 object-contain" />}
-        <div>
-          <div className="text-md sm:text-lg md:text-xl text-violet-500">{title}</div>
-          <div className="text-md sm:text-lg md:text-xl font-fun font-semibold text-violet-900">{value}</div>
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold">{t("Delivery Slots")}</div>
+          <button onClick={addSlot} className="px-3 py-1 rounded-xl bg-blue-200 hover:bg-blue-300 text-blue-900">{t("New Slot")}</button>
         </div>
+        <ul className="divide-y divide-violet-100">
+          {slots.map((s) => (
+            <li key={s.id} className="py-2 flex flex-wrap items-center gap-3">
+              <span className="text-xl">{s.icon}</span>
+              <div className="flex-1 text-violet-700">{t(s.label)}</div>
+              <span className="inline-flex gap-1">
+                <button onClick={() => renameSlot(s.id)} title={t("Rename slot")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                {slots.length > 1 && (
+                  <button onClick={() => deleteSlot(s.id)} title={t("Delete slot")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
       </div>
     );
   }
 
-  function Stats() {
+  function Products() {
+    const [historyOf, setHistoryOf] = useState(null);
+    const history = (productId) => sortedRates.filter((r) => r.prices[productId] != null || r.charts?.[productId]);
     return (
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 mb-6">
-        <StatCard title="Cow Milk (kg)" value={totals.cowKg.toFixed(2)} icon={STICKERS.cow} />
-        <StatCard title="Buffalo Milk (kg)" value={totals.bufKg.toFixed(2)} icon={STICKERS.buffalo} />
-        <StatCard title="Total Milk (kg)" value={totals.kg.toFixed(2)} />
-        <StatCard title="Total Cost (₹)" value={totals.cost.toFixed(2)} />
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold">{t("Products")}</div>
+          <button
+            onClick={() => setProductDraft({ label: "", unit: "kg", icon: "" })}
+            className="px-3 py-1 rounded-xl bg-blue-200 hover:bg-blue-300 text-blue-900"
+          >{t("New Product")}</button>
+        </div>
+        <ul className="divide-y divide-violet-100">
+          {products.map((p) => (
+            <li key={p.id} className={`py-2 ${p.archived ? "opacity-60" : ""}`}>
+              <div className="flex flex-wrap items-center gap-3">
+                <ProductIcon icon={p.icon} className="w-8 h-8 text-xl" />
+                <div className="flex-1 text-violet-700">
+                  {t(p.label)} <span className="text-xs text-violet-500">{t("per {unit}", { unit: t(p.unit) })}{p.archived && ` · ${t("archived")}`}</span>
+                </div>
+                <span className="inline-flex gap-1">
+                  <button onClick={() => setHistoryOf(historyOf === p.id ? null : p.id)} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-800">{t("Rate history")}</button>
+                  <button onClick={() => setProductDraft(p)} title={t("Edit product")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                  <button onClick={() => toggleArchiveProduct(p.id)} className="px-2 py-0.5 rounded-lg bg-amber-100 hover:bg-amber-200 text-amber-800">{t(p.archived ? "Restore" : "Archive")}</button>
+                </span>
+              </div>
+              {historyOf === p.id && (
+                <div className="mt-1 ml-11 text-xs text-violet-600">
+                  {history(p.id).length === 0
+                    ? t("No rates set yet.")
+                    : history(p.id).map((r, i) => (
+                      <div key={i}>
+                        {r.effectiveFrom}: {[
+                          r.prices[p.id] != null && `${money(r.prices[p.id])}/${t(p.unit)}`,
+                          r.charts?.[p.id] && `${t("fat / SNF chart")} (${t("fat {fat}% · SNF {snf}%", {
+                            fat: `${r.charts[p.id].fat[0]}–${r.charts[p.id].fat.at(-1)}`,
+                            snf: `${r.charts[p.id].snf[0]}–${r.charts[p.id].snf.at(-1)}`,
+                          })})`,
+                        ].filter(Boolean).join(" + ")}{multiSupplier && ` · ${supplierName(r.supplierId)}`}
+                      </div>
+                    ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
       </div>
     );
   }
 
-  function MonthNav() {
-    const label = month.toLocaleString(undefined, { month: "long", year: "numeric" });
+  // Every rate row per supplier, oldest first, with edit / delete and an insert between neighbouring rows
+  function RateTimeline() {
+    const rateText = (r) => [
+      ...Object.entries(r.prices).filter(([, price]) => price != null).map(([id, price]) => `${productOf(id).label} ${money(price)}/${t(productOf(id).unit)}`),
+      ...Object.keys(r.charts ?? {}).map((id) => t("{product} fat / SNF chart", { product: productOf(id).label })),
+    ].join(", ");
+    const between = "px-2 py-0.5 rounded-lg border border-dashed border-violet-300 text-xs text-violet-600 hover:bg-violet-50";
     return (
-      <div className="flex items-center justify-between mb-2">
-        <button
-          className="text-sm sm:text-md md:text-xl px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-full bg-violet-100 hover:bg-violet-200 text-violet-700"
-          onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() - 1, 1))}
-        >◀ Prev</button>
-        <div className="text-lg sm:text-xl md:text-2xl font-fun font-bold text-violet-700">{label}</div>
-        <button
-          className="text-sm sm:text-md md:text-xl px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-full bg-violet-100 hover:bg-violet-200 text-violet-700"
-          onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() + 1, 1))}
-        >Next ▶</button>
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold mb-2">{t("Rate Timeline")}</div>
+        {sortedRates.length === 0 && <div className="text-sm text-violet-500">{t("No rates set yet.")}</div>}
+        {suppliers.map((s) => {
+          const rows = sortedRates.filter((r) => r.supplierId === s.id);
+          if (!rows.length) return null;
+          return (
+            <div key={s.id} className="mb-3">
+              {multiSupplier && <div className="text-sm text-violet-600 mb-1">{s.name}</div>}
+              <button onClick={() => openRateRow(rows[0], addDays(rows[0].effectiveFrom, -1))} className={between}>+ {t("Earlier rate")}</button>
+              <ul>
+                {rows.map((r, i) => {
+                  const nextFrom = rows[i + 1]?.effectiveFrom;
+                  return (
+                    <li key={r.effectiveFrom}>
+                      <div className="py-2 flex flex-wrap items-center gap-3 border-b border-violet-100">
+                        <div className="w-48 text-violet-700">
+                          {r.effectiveFrom}
+                          <span className="text-xs text-violet-500"> {nextFrom ? t("to {date}", { date: addDays(nextFrom, -1) }) : t("onwards")}</span>
+                        </div>
+                        <div className="flex-1 text-sm text-violet-700">{rateText(r)}</div>
+                        <span className="inline-flex gap-1">
+                          <button onClick={() => openRateRow(r)} title={t("Edit rate")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                          <button onClick={() => deleteRate(r)} title={t("Delete rate")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+                        </span>
+                      </div>
+                      {/* Room for another row only when the neighbours are more than a day apart */}
+                      {nextFrom && addDays(r.effectiveFrom, 1) < nextFrom && (
+                        <button onClick={() => openRateRow(r, addDays(r.effectiveFrom, 1))} className={`my-1 ${between}`}>+ {t("Insert between")}</button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
       </div>
     );
   }
 
-  function Calendar() {
-    const matrix = daysMatrix(month);
-    const monthIndex = month.getMonth();
-
-    function DayCell({ date }) {
-      const inMonth = date.getMonth() === monthIndex;
-      const key = toKey(date);
-      const isToday = key === todayKey();
-      const sum = dayMap.get(key); // {cowKg, bufKg, cost}
-
-      const tooltipText = sum
-        ? `Cow: ${sum.cowKg.toFixed(2)} kg\nBuffalo: ${sum.bufKg.toFixed(2)} kg\nCost: ₹${sum.cost.toFixed(2)}`
-        : "";
-
-      return (
-        <button
-          onClick={() => { setEntryDraft({ date: key, type: "cow", kg: "" }); setShowEntryDialog(true); }}
-          className={`text-sm sm:text-lg md:text-2xl` +
-            `relative sm:h-12 md:h-20 lg:h-24 p-2 rounded-xl border transition text-left tooltip ` +
-            (inMonth ? "bg-white/70 border-violet-100 hover:border-violet-300" : "bg-white/40 border-transparent opacity-60")
-          }
-        >
-          {/* <span className={`text-md ${isToday ? "font-fun font-bold text-violet-900" : "text-violet-500"}`}>{date.getDate()}</span> */}
-           {/* 👇 Mobile pink if milk was bought */}
-          <span className={`text-md ${isToday ? "font-fun font-bold text-violet-900" : ""} ${sum ? "text-pink-500 sm:text-violet-500" : "text-violet-500"}`}>{date.getDate()}</span>
-          {/* Stickers row */}
-          <div className="absolute bottom-2 left-8 right-2 flex items-center gap-.5 ">
-            {sum?.cowKg > 0 && <img src={STICKERS.cow} alt="cow" className="w-10 h-10 sm:w-12 sm:h-12 md:w-16 md:h-16 object-contain " />}
-            {sum?.bufKg > 0 && <img src={STICKERS.buffalo} alt="buffalo" className="w-8 h-8 sm:w-12 sm:h-12 md:w-16 md:h-16 object-contain" />}
-          </div>
-          {tooltipText && <span className="tooltiptext">{tooltipText}</span>}
-        </button>
-      );
-    }
-
+  function ProductDialog() {
+    const [draft, setDraft] = useState(productDraft);
+    if (!productDraft) return null;
+    const field = "mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300";
     return (
-      <div className="rounded-2xl bg-violet-50 p-3 border border-violet-100">
-        <MonthNav />
-        <div className="grid grid-cols-7 gap-2 text-center text-sm sm:text-md md:text-2xl text-violet-500 mb-2">
-          {["Mon","Tue","Wed","Thu","Fri","Sat","Sun"].map((d)=> <div key={d}>{d}</div>)}
+      <Dialog
+        open
+        onClose={() => setProductDraft(null)}
+        title={t(draft.id ? "Edit Product" : "New Product")}
+        actions={<button onClick={() => saveProduct(draft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Product")}</button>}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="text-sm text-violet-600">{t("Name")}</label>
+            <input className={field} placeholder={t("e.g., Paneer")} value={draft.label} onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))} />
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Sold per")}</label>
+            <select className={field} value={draft.unit} onChange={(e) => setDraft((d) => ({ ...d, unit: e.target.value }))}>
+              {UNITS.map((u) => <option key={u} value={u}>{t(u)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Icon")}</label>
+            <input className={field} placeholder={t("an emoji, e.g. 🧀")} value={draft.icon} onChange={(e) => setDraft((d) => ({ ...d, icon: e.target.value }))} />
+          </div>
         </div>
-        <div className="grid grid-cols-7 gap-2 text-center text-sm sm:text-md md:text-2xl text-violet-700">
-          {matrix.flat().map((d,i) => <DayCell key={i} date={d} />)}
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-violet-500">
+          <span>{t("Or use a sticker:")}</span>
+          {Object.entries(STICKERS).map(([name, src]) => (
+            <button key={name} onClick={() => setDraft((d) => ({ ...d, icon: src }))} className={`p-1 rounded-lg border ${draft.icon === src ? "border-pink-300 bg-pink-100" : "border-violet-200"}`}>
+              <img src={src} alt={name} className="w-6 h-6 object-contain" />
+            </button>
+          ))}
         </div>
-      </div>
+        {draft.id && <div className="mt-3 text-xs text-violet-500">{t("Changing the unit doesn't convert quantities already recorded.")}</div>}
+      </Dialog>
     );
   }
 
-  function Dialog({ open, onClose, title, children, actions }) {
-    if (!open) return null;
+  function BalanceBar() {
+    const due = balance > 0.005, advance = balance < -0.005;
     return (
-      <div className="fixed inset-0 z-50 flex items-center justify-center">
-        <div className="absolute inset-0 bg-black/20" onClick={onClose} />
-        <div className="relative w-[95%] max-w-xl bg-white rounded-3xl shadow-xl p-5 border border-violet-100">
-          <div className="text-xl sm:text-2xl md:text-3xl font-fun font-semibold text-violet-900 mb-3">{title}</div>
-          <div>{children}</div>
-          <div className="mt-5 flex justify-end gap-2">
-            <button onClick={onClose} className="px-3 py-1.5 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-gray-100 hover:bg-gray-200">Cancel</button>
-            {actions}
+      <div className={`mb-4 p-3 rounded-2xl border flex flex-wrap items-center justify-between gap-2 ${due ? "bg-pink-50 border-pink-200 text-pink-800" : "bg-emerald-50 border-emerald-200 text-emerald-800"}`}>
+        <div>
+          <div className="text-md sm:text-lg md:text-xl font-fun font-semibold">
+            {due ? t("Balance due: {amount}", { amount: money(balance) }) : advance ? t("Advance paid: {amount}", { amount: money(-balance) }) : `${t("All settled")} 🎉`}
           </div>
+          {multiSupplier && (
+            <div className="text-xs flex flex-wrap gap-x-3">
+              {suppliers.map((s) => {
+                const b = balanceBySupplier.get(s.id) ?? 0;
+                return <span key={s.id}>{s.name}: {b < -0.005 ? t("{amount} advance", { amount: money(-b) }) : t("{amount} due", { amount: money(b) })}</span>;
+              })}
+            </div>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setPaymentDraft({ date: todayKey(), supplierId: lastSupplierId(), amount: "", method: "cash", note: "" })}
+            className="px-3 py-1 sm:px-4 sm:py-2 rounded-xl bg-white/80 hover:bg-white shadow text-violet-700"
+          >{t("Record Payment")}</button>
+          <button onClick={settleMonth} className="px-3 py-1 sm:px-4 sm:py-2 rounded-xl bg-violet-600 hover:bg-violet-700 text-white shadow">{t("Settle Month")}</button>
         </div>
       </div>
     );
   }
 
-  function EntryDialog() {
-    const currentType = MILK_TYPES.find(t => t.id === entryDraft.type);
+  function PaymentDialog() {
+    // Draft is kept locally so typing in the note field doesn't re-render the whole app
+    const [draft, setDraft] = useState(paymentDraft);
+    if (!paymentDraft) return null;
+    const field = "mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300";
     return (
       <Dialog
-        open={showEntryDialog}
-        onClose={() => setShowEntryDialog(false)}
-        title={`Add Milk Entry – ${entryDraft.date}`}
-        actions={
-          <button onClick={() => addEntry(entryDraft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">Save Entry</button>
-        }
+        open
+        onClose={() => setPaymentDraft(null)}
+        title={t(draft.id ? "Edit Payment" : "Record Payment")}
+        actions={<button onClick={() => savePayment(draft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Save Payment")}</button>}
       >
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="sm:col-span-2 empty:hidden">
+            <SupplierPicker value={draft.supplierId} onChange={(id) => setDraft((d) => ({ ...d, supplierId: id }))} />
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Date")}</label>
+            <input type="date" className={field} value={draft.date} onChange={(e) => setDraft((d) => ({ ...d, date: e.target.value }))} />
+          </div>
+          <div>
+            <label className="text-sm text-violet-600">{t("Amount")} ({currencyTag})</label>
+            <input
+              type="number" min="0" step="1" className={field} placeholder={t("e.g., 2400")}
+              value={draft.amount}
+              onChange={(e) => setDraft((d) => ({ ...d, amount: e.target.value }))}
+            />
+          </div>
           <div>
-            <label className="text-sm text-violet-600">Milk Type</label>
+            <label className="text-sm text-violet-600">{t("Method")}</label>
             <div className="mt-1 flex gap-2">
-              {MILK_TYPES.map((t) => (
+              {PAYMENT_METHODS.map((m) => (
                 <button
-                  key={t.id}
-                  onClick={() => setEntryDraft((d) => ({ ...d, type: t.id }))}
-                  className={`flex items-center gap-2 px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl border ${entryDraft.type === t.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
-                >
-                  <img src={t.icon} alt={t.label} className="w-6 h-6 sm:w-8 sm:h-8 md:w-10 md:h-10 object-contain" />
-                  <span>{t.label}</span>
-                </button>
+                  key={m.id}
+                  onClick={() => setDraft((d) => ({ ...d, method: m.id }))}
+                  className={`px-3 py-1 rounded-xl border ${draft.method === m.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+                >{t(m.label)}</button>
               ))}
             </div>
           </div>
           <div>
-            <label className="text-sm text-violet-600">Weight (kg)</label>
-            <input
-              type="number" min="0" step="0.1"
-              className="mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
-              value={entryDraft.kg}
-              onChange={(e) => setEntryDraft((d) => ({ ...d, kg: e.target.value }))}
-              placeholder="e.g., 1.5"
-            />
+            <label className="text-sm text-violet-600">{t("Note")}</label>
+            <input className={field} value={draft.note} placeholder={t("optional")} onChange={(e) => setDraft((d) => ({ ...d, note: e.target.value }))} />
           </div>
         </div>
-        <div className="mt-3 flex items-center gap-2 text-xs text-violet-500">
-          {currentType && <img src={currentType.icon} className="w-5 h-5 sm:w-6 sm:h-6 md:w-8 md:h-8" alt="" />}
-          <span>Price will use the rate effective on {entryDraft.date}.</span>
-        </div>
+        <div className="mt-3 text-xs text-violet-500">{t(balance < 0 ? "Current balance: {amount} (advance)" : "Current balance: {amount} due", { amount: money(balance) })}</div>
       </Dialog>
     );
   }
 
-  function RateDialog() {
+  function Ledger() {
+    const start = toKey(startOfMonth(month)), end = toKey(endOfMonth(month));
+    const before = ledger.filter((row) => row.date < start);
+    const opening = before.length ? before[before.length - 1].balance : 0;
+    const rows = ledger.filter((row) => row.date >= start && row.date <= end);
+    const monthLabel = monthName(month);
+    const methodLabel = (id) => t(PAYMENT_METHODS.find((m) => m.id === id)?.label ?? id);
     return (
-      <Dialog
-        open={showRateDialog}
-        onClose={() => setShowRateDialog(false)}
-        title="Set / Update Milk Rates (₹ per kg)"
-        actions={<button onClick={() => addRate(rateDraft)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">Save Rates</button>}
-      >
-        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-          <div>
-            <label className="text-sm text-violet-600">Effective From</label>
-            <input
-              type="date"
-              className="mt-1 w-full px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
-              value={rateDraft.effectiveFrom}
-              onChange={(e) => setRateDraft((d) => ({ ...d, effectiveFrom: e.target.value }))}
-              // min={todayKey()}
-            />
-          </div>
-          <div>
-            <label className="text-sm text-violet-600">Cow Rate (₹/kg)</label>
-            <input
-              type="number" min="0" step="1"
-              className="mt-1 w-full px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
-              value={rateDraft.cow}
-              onChange={(e) => setRateDraft((d) => ({ ...d, cow: e.target.value }))}
-              placeholder="e.g., 60"
-            />
-          </div>
+      <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
+        <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold mb-2">{t("Ledger")} – {monthLabel}</div>
+        <div className="overflow-x-auto">
+          <table className="min-w-[600px] md:min-w-full text-left text-sm sm:text-md md:text-lg">
+            <thead>
+              <tr className="text-sm sm:text-md md:text-lg text-left text-violet-500 border-b">
+                <th className="py-2">{t("Date")}</th>
+                <th className="py-2">{t("Details")}</th>
+                <th className="py-2 text-right">{t("Bought")} ({currencyTag})</th>
+                <th className="py-2 text-right">{t("Paid")} ({currencyTag})</th>
+                <th className="py-2 text-right">{t("Balance")} ({currencyTag})</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b text-violet-500">
+                <td className="py-2">{start}</td>
+                <td className="py-2" colSpan={3}>{t("Opening balance")}</td>
+                <td className="py-2 text-right">{num(opening)}</td>
+                <td />
+              </tr>
+              {rows.map((row) => (
+                <tr key={row.id} className="border-b last:border-0">
+                  <td className="py-2 text-violet-700">{row.date}</td>
+                  <td className="py-2">
+                    {row.kind === "cost" ? t("Purchases") : `💸 ${methodLabel(row.payment.method)}${row.payment.note ? ` – ${row.payment.note}` : ""}`}
+                    {multiSupplier && <span className="text-violet-400"> · {supplierName(row.supplierId)}</span>}
+                  </td>
+                  <td className="py-2 text-right">{row.kind === "cost" ? num(row.amount) : ""}</td>
+                  <td className="py-2 text-right text-emerald-700">{row.kind === "payment" ? num(row.amount) : ""}</td>
+                  <td className="py-2 text-right font-medium">{num(row.balance)}</td>
+                  <td className="py-2 text-right">
+                    {row.kind === "payment" && (
+                      <span className="inline-flex gap-1">
+                        <button onClick={() => setPaymentDraft({ ...row.payment, amount: String(row.payment.amount) })} title={t("Edit payment")} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">✏️</button>
+                        <button onClick={() => deletePayment(row.payment.id)} title={t("Delete payment")} className="px-2 py-0.5 rounded-lg bg-pink-100 hover:bg-pink-200 text-pink-700">🗑️</button>
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+
+  function ExportButtons() {
+    function exportTxt() {
+      const header = [t("Date"), t("Delivery"), t("Supplier"), t("Product"), t("Qty"), t("Unit"), "Fat%", "SNF%", `${t("Rate")}(${currencyTag}/${t("unit")})`, `${t("Amount")}(${currencyTag})`];
+      let content = `${header.join("\t")}\n`;
+      const ordered = [...entries].sort(bySlot);
+      for (const e of ordered) {
+        const rate = entryPrice(sortedRates, e) ?? 0;
+        const product = productOf(e.type);
+        content += `${e.date}\t${slotOf(e.slot).label}\t${supplierName(e.supplierId)}\t${product.label}\t${e.qty}\t${t(product.unit)}\t${e.fat ?? ""}\t${e.snf ?? ""}\t${num(rate)}\t${num(rate * e.qty)}\n`;
+      }
+      const all = summarize(entries, sortedRates, null);
+      for (const s of suppliers) {
+        const sup = all.bySupplier.get(s.id);
+        if (!sup) continue;
+        const items = Object.entries(sup.qty).map(([id, qty]) => `${productOf(id).label} ${fmtQty(qty, id)}`).join("\t");
+        content += `${t("Total")} ${s.name}\t${items}\t${money(sup.cost)}\n`;
+      }
+      if (missed.length) {
+        content += `\n${t("Missed deliveries")}\n`;
+        for (const m of [...missed].sort(bySlot)) content += `${m.date}\t${slotOf(m.slot).label}\t${supplierName(m.supplierId)}\t${t("MISSED")}\n`;
+      }
+      download("milk_records.txt", content, "text/plain;charset=utf-8");
+    }
+    const btn = "px-3 py-2 sm:px-4 sm:py-2 md:px-6 md:py-3 text-sm sm:text-md md:text-lg rounded-2xl shadow";
+    return (
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button onClick={exportTxt} className={`${btn} bg-emerald-200 hover:bg-emerald-300 text-emerald-900`}>
+          💾 {t("Export .txt")}
+        </button>
+        <button onClick={exportCsv} title={bounds ? t("Entries from {from} to {to}", bounds) : t("All entries")} className={`${btn} bg-emerald-200 hover:bg-emerald-300 text-emerald-900`}>
+          📄 {t("Export CSV")} ({bounds ? t(PERIODS.find((p) => p.id === period.kind).label).toLowerCase() : t("all time")})
+        </button>
+        <button onClick={() => exportBackup()} className={`${btn} bg-blue-200 hover:bg-blue-300 text-blue-900`}>
+          🗄️ {t("Backup")} (.json)
+        </button>
+        <label className={`${btn} cursor-pointer bg-amber-100 hover:bg-amber-200 text-amber-900`}>
+          📥 {t("Import / Restore")}
+          <input
+            type="file" accept=".csv,.json,text/csv,application/json" className="hidden"
+            onChange={(e) => { const file = e.target.files[0]; e.target.value = ""; if (file) readImport(file); }}
+          />
+        </label>
+        <button onClick={openSync} className={`${btn} bg-violet-200 hover:bg-violet-300 text-violet-900`}>
+          🔄 {t("Sync")}
+        </button>
+      </div>
+    );
+  }
+
+  // The statement itself; shown in the bill dialog and, on paper, as the only printed content
+  function BillSheet({ bill }) {
+    const cell = "px-1.5 py-0.5 border border-violet-100";
+    return (
+      <div className="text-sm text-gray-900 font-[system-ui]">
+        <div className="flex justify-between items-end mb-2">
           <div>
-            <label className="text-sm text-violet-600">Buffalo Rate (₹/kg)</label>
-            <input
-              type="number" min="0" step="1"
-              className="mt-1 w-full px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300"
-              value={rateDraft.buffalo}
-              onChange={(e) => setRateDraft((d) => ({ ...d, buffalo: e.target.value }))}
-              placeholder="e.g., 80"
-            />
+            <div className="text-lg font-semibold">{t("Milk bill")} – {bill.monthLabel}</div>
+            <div>{t("Supplier")}: {bill.supplier.name}</div>
           </div>
+          <div className="text-xs text-gray-500">{t("Generated {date}", { date: todayKey() })}</div>
         </div>
-        {latestRate && (
-          <div className="mt-3 text-xs text-violet-500">
-            Current latest rate from <b>{latestRate.effectiveFrom}</b>: Cow ₹{latestRate.cow}/kg, Buffalo ₹{latestRate.buffalo}/kg
-          </div>
+        {bill.products.length === 0 ? (
+          <div className="py-6 text-center text-violet-500">{t("No entries from {supplier} this month.", { supplier: bill.supplier.name })}</div>
+        ) : (
+          <table className="w-full border-collapse text-xs tabular-nums">
+            <thead className="bg-violet-50">
+              <tr>
+                <th className={`${cell} text-left`}>{t("Date")}</th>
+                {bill.products.map((p) => (
+                  <React.Fragment key={p.id}>
+                    <th className={`${cell} text-right`}>{t(p.label)} ({t(p.unit)})</th>
+                    <th className={`${cell} text-right`}>{t("Rate")} ({currencyTag})</th>
+                  </React.Fragment>
+                ))}
+                <th className={`${cell} text-right`}>{t("Amount")} ({currencyTag})</th>
+                {bill.missedCount > 0 && <th className={`${cell} text-left`}>{t("Notes")}</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {bill.days.map((d) => (
+                <tr key={d.date} className={d.rateChanged ? "bg-amber-50" : ""}>
+                  <td className={cell}>{d.date}{d.rateChanged && <span title={t("Rate changed from this day")}> *</span>}</td>
+                  {bill.products.map((p) => (
+                    <React.Fragment key={p.id}>
+                      <td className={`${cell} text-right`}>{d.items[p.id].qty ? num(d.items[p.id].qty) : "–"}</td>
+                      <td className={`${cell} text-right text-gray-500`}>
+                        {d.items[p.id].rate != null ? num(d.items[p.id].rate) : "–"}{d.items[p.id].quality && <span title={t("Average fat / SNF chart price for the day")}> Q</span>}
+                      </td>
+                    </React.Fragment>
+                  ))}
+                  <td className={`${cell} text-right`}>{d.amount ? num(d.amount) : "–"}</td>
+                  {bill.missedCount > 0 && <td className={`${cell} text-amber-800`}>{d.missed.length > 0 && t("Missed: {slots}", { slots: d.missed.map((label) => t(label)).join(", ") })}</td>}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-violet-50 font-semibold">
+              <tr>
+                <td className={cell}>{t("Subtotal")}</td>
+                {bill.products.map((p) => (
+                  <React.Fragment key={p.id}>
+                    <td className={`${cell} text-right`}>{num(bill.totals.get(p.id).qty)}</td>
+                    <td className={`${cell} text-right`}>{money(bill.totals.get(p.id).cost)}</td>
+                  </React.Fragment>
+                ))}
+                <td className={`${cell} text-right`}>{money(bill.grandTotal)}</td>
+                {bill.missedCount > 0 && <td className={cell}>{t("{count} missed", { count: bill.missedCount })}</td>}
+              </tr>
+            </tfoot>
+          </table>
+        )}
+        <div className="mt-2 flex justify-between text-xs text-gray-500">
+          <span>
+            {bill.days.some((d) => d.rateChanged) && `* ${t("rate changed from this day")} `}
+            {bill.days.some((d) => Object.values(d.items).some((i) => i.quality)) && `Q ${t("average fat / SNF chart price")}`}
+          </span>
+          <span className="text-base font-semibold text-gray-900">{t("Grand total")}: {money(bill.grandTotal)}</span>
+        </div>
+        {bill.unpriced > 0 && (
+          <div className="text-xs text-pink-700">{t("{count} deliveries had no price and are not included.", { count: bill.unpriced })}</div>
         )}
+        <div className="mt-12 grid grid-cols-2 gap-16 text-xs">
+          <div className="border-t border-gray-500 pt-1">{t("Supplier's signature")}</div>
+          <div className="border-t border-gray-500 pt-1">{t("Customer's signature")}</div>
+        </div>
+      </div>
+    );
+  }
+
+  function BillDialog() {
+    if (!billSupplierId) return null;
+    const bill = monthBill(billSupplierId);
+    return (
+      <Dialog
+        open
+        wide
+        onClose={() => setBillSupplierId(null)}
+        title={t("Monthly bill")}
+        actions={
+          <>
+            <button onClick={() => window.print()} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-100 hover:bg-violet-200 text-violet-700">🖨️ {t("Print")}</button>
+            <button onClick={() => downloadBillPdf(bill)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">⬇️ {t("Download PDF")}</button>
+          </>
+        }
+      >
+        <div className="mb-3"><SupplierPicker value={billSupplierId} onChange={setBillSupplierId} /></div>
+        <BillSheet bill={bill} />
       </Dialog>
     );
   }
 
-  function EntryList() {
-    const monthLabel = month.toLocaleString(undefined, { month: "long", year: "numeric" });
-    const rows = monthEntries
-      .slice()
-      .sort((a,b) => a.date.localeCompare(b.date))
-      .map((e, idx) => {
-        const r = rateForDate(e.date);
-        const price = (e.type === "buffalo" ? r?.buffalo : r?.cow) ?? 0;
-        const amount = price * e.kg;
-        return (
-          <tr key={idx} className="border-b last:border-0">
-            <td className="py-2 text-violet-700">{e.date}</td>
-            <td className="py-2 flex items-center gap-2">
-              <img src={e.type === "buffalo" ? STICKERS.buffalo : STICKERS.cow} alt="" className="w-5 h-5 sm:w-6 sm:h-6 md:w-8 md:h-8" />
-              {e.type === "buffalo" ? "Buffalo" : "Cow"}
-            </td>
-            <td className="py-2 text-right">{e.kg.toFixed(2)}</td>
-            <td className="py-2 text-right">₹{price.toFixed(2)}</td>
-            <td className="py-2 text-right font-medium">₹{amount.toFixed(2)}</td>
-          </tr>
-        );
-      });
+  const productColor = (id) => CHART_COLORS[Math.max(0, products.findIndex((p) => p.id === id)) % CHART_COLORS.length];
+
+  function ChartLegend({ items }) {
+    return (
+      <div className="flex flex-wrap gap-3 text-xs text-violet-600">
+        {items.map((p) => (
+          <span key={p.id} className="inline-flex items-center gap-1">
+            <span className="w-3 h-3 rounded-sm" style={{ background: productColor(p.id) }} />{p.label}
+          </span>
+        ))}
+        <span className="inline-flex items-center gap-1"><span className="w-3 border-t-2 border-dashed border-pink-500" />{t("Rate change")}</span>
+      </div>
+    );
+  }
 
+  // Stacked bars (one stack per column, one segment per product) with dashed rate-change markers
+  function BarChart({ columns, series, markers, format }) {
+    const W = 600, H = 170, left = 44, bottom = 18, top = 8;
+    const totals = columns.map((c) => series.reduce((s, p) => s + (c.values[p.id] ?? 0), 0));
+    const max = Math.max(...totals, 0) || 1;
+    const step = (W - left) / columns.length;
+    const y = (v) => top + (H - top - bottom) * (1 - v / max);
+    const labelEvery = Math.ceil(columns.length / 16);
+    return (
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-violet-500">
+        {[0, 0.5, 1].map((f) => (
+          <g key={f}>
+            <line x1={left} x2={W} y1={y(max * f)} y2={y(max * f)} stroke="#ede9fe" />
+            <text x={left - 4} y={y(max * f) + 3} textAnchor="end" fontSize="9" fill="currentColor">{format(max * f)}</text>
+          </g>
+        ))}
+        {columns.map((c, i) => {
+          let base = 0;
+          return (
+            <g key={c.key}>
+              <title>{`${c.key}\n${series.filter((p) => c.values[p.id]).map((p) => `${p.label}: ${format(c.values[p.id])}`).join("\n") || t("Nothing")}`}</title>
+              <rect x={left + i * step} y={top} width={step} height={H - top - bottom} fill="transparent" />
+              {series.map((p) => {
+                const v = c.values[p.id] ?? 0;
+                if (!v) return null;
+                const rect = <rect key={p.id} x={left + i * step + step * 0.15} width={step * 0.7} y={y(base + v)} height={y(base) - y(base + v)} fill={productColor(p.id)} rx="1.5" />;
+                base += v;
+                return rect;
+              })}
+              {i % labelEvery === 0 && <text x={left + (i + 0.5) * step} y={H - 5} textAnchor="middle" fontSize="9" fill="currentColor">{c.label}</text>}
+            </g>
+          );
+        })}
+        {markers.map((m) => (
+          <g key={m.date}>
+            <title>{m.title}</title>
+            <line x1={left + (m.index + 0.5) * step} x2={left + (m.index + 0.5) * step} y1={top} y2={H - bottom} stroke="#ec4899" strokeDasharray="3 3" strokeWidth="1.5" />
+            <circle cx={left + (m.index + 0.5) * step} cy={top} r="3.5" fill="#ec4899" />
+          </g>
+        ))}
+      </svg>
+    );
+  }
+
+  // One line per product over the 12 months; gaps where nothing was bought
+  function LineChart({ columns, series, field, format }) {
+    const W = 600, H = 150, left = 44, bottom = 18, top = 10;
+    const values = columns.flatMap((c) => series.map((p) => c[field][p.id]).filter((v) => v != null));
+    const max = Math.max(...values, 0) || 1;
+    const min = Math.min(...values, max) * 0.9;
+    const step = (W - left) / columns.length;
+    const x = (i) => left + (i + 0.5) * step;
+    const y = (v) => top + (H - top - bottom) * (1 - (v - min) / (max - min || 1));
+    return (
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-violet-500">
+        {[min, (min + max) / 2, max].map((v, i) => (
+          <g key={i}>
+            <line x1={left} x2={W} y1={y(v)} y2={y(v)} stroke="#ede9fe" />
+            <text x={left - 4} y={y(v) + 3} textAnchor="end" fontSize="9" fill="currentColor">{format(v)}</text>
+          </g>
+        ))}
+        {columns.map((c, i) => <text key={c.key} x={x(i)} y={H - 5} textAnchor="middle" fontSize="9" fill="currentColor">{c.label}</text>)}
+        {series.map((p) => {
+          const segments = [[]];
+          columns.forEach((c, i) => {
+            const v = c[field][p.id];
+            if (v == null) { if (segments[segments.length - 1].length) segments.push([]); return; }
+            segments[segments.length - 1].push([i, v]);
+          });
+          return (
+            <g key={p.id} stroke={productColor(p.id)} fill={productColor(p.id)}>
+              {segments.filter((seg) => seg.length > 1).map((seg, k) => (
+                <polyline key={k} points={seg.map(([i, v]) => `${x(i)},${y(v)}`).join(" ")} fill="none" strokeWidth="2" />
+              ))}
+              {segments.flat().map(([i, v]) => (
+                <circle key={i} cx={x(i)} cy={y(v)} r="3"><title>{`${columns[i].key} · ${p.label}: ${format(v)}/${t(p.unit)}`}</title></circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+    );
+  }
+
+  function Analytics() {
+    const { days, dayMarkers, months, monthMarkers, heat, dayProducts, monthProducts } = analytics;
+    const monthLabel = monthName(month);
+    const title = "text-sm text-violet-600 mb-1";
     return (
       <div className="mt-6 rounded-2xl bg-white/80 border border-violet-100 p-4">
-        <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold mb-2">Entries – {monthLabel}</div>
-        {rows.length === 0 ? (
-          <div className="text-sm sm:text-md text-violet-500">No entries this month. Click a date in the calendar or "Add Entry" to begin.</div>
+        <div className="text-sm sm:text-md md:text-2xl text-violet-700 font-fun font-semibold mb-2">{t("Analytics")}</div>
+        {monthProducts.length === 0 ? (
+          <div className="text-sm text-violet-500">{t("No priced entries in the last 12 months yet.")}</div>
         ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-[600px] md:min-w-full text-left text-sm sm:text-md md:text-lg">
-              <thead>
-                <tr className="text-sm sm:text-md md:text-lg text-left text-violet-500 border-b">
-                  <th className="py-2">Date</th>
-                  <th className="py-2">Type</th>
-                  <th className="py-2 text-right">Weight (kg)</th>
-                  <th className="py-2 text-right">Rate (₹/kg)</th>
-                  <th className="py-2 text-right">Amount (₹)</th>
-                </tr>
-              </thead>
-              <tbody>{rows}</tbody>
-            </table>
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <div className={title}>{t("Daily quantity")} – {monthLabel}</div>
+              <BarChart columns={days} series={dayProducts} markers={dayMarkers} format={(v) => +v.toFixed(1)} />
+            </div>
+            <div>
+              <div className={title}>{t("Monthly spend ({currency}), last 12 months", { currency: currencyTag })}</div>
+              <BarChart columns={months} series={monthProducts} markers={monthMarkers} format={(v) => money(v, 0)} />
+            </div>
+            <div>
+              <div className={title}>{t("Average price paid per unit ({currency})", { currency: currencyTag })}</div>
+              <LineChart columns={months} series={monthProducts} field="avgPrice" format={(v) => money(v, 1)} />
+            </div>
+            {heat.map(({ unit, rows }) => {
+              const heatMax = Math.max(...rows.flatMap((m) => m.avg), 0) || 1;
+              return (
+                <div key={unit}>
+                  <div className={title}>{t("Average daily quantity by weekday ({unit})", { unit: t(unit) })}</div>
+                  <div className="grid grid-cols-[3rem_repeat(7,1fr)] gap-0.5 text-[10px] text-violet-500">
+                    <div />
+                    {WEEKDAYS.map((w) => <div key={w.day} className="text-center">{weekdayName(w.day)}</div>)}
+                    {rows.map((m) => (
+                      <React.Fragment key={m.key}>
+                        <div className="text-right pr-1">{m.label}</div>
+                        {m.avg.map((v, i) => (
+                          <div
+                            key={i}
+                            title={`${m.key} · ${weekdayName(WEEKDAYS[i].day)}: ${t("{qty} on average", { qty: `${num(v)} ${t(unit)}` })}`}
+                            className="h-4 rounded-sm"
+                            style={{ background: `rgba(139, 92, 246, ${v ? 0.15 + 0.85 * (v / heatMax) : 0.05})` }}
+                          />
+                        ))}
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+            <div className="md:col-span-2"><ChartLegend items={monthProducts} /></div>
           </div>
         )}
       </div>
     );
   }
 
-  function EmptyRatesBanner() {
-    if (rates.length > 0) return null;
+  function SyncDialog() {
+    const [draft, setDraft] = useState(syncState?.settings);
+    const [choices, setChoices] = useState(() => syncPlan?.conflicts.map(() => "local") ?? []);
+    const [fileName, setFileName] = useState(syncFile.current?.name ?? "");
+    if (!syncState) return null;
+    const field = "mt-1 w-full px-3 py-1 rounded-xl border border-violet-200 focus:outline-none focus:ring-2 focus:ring-violet-300";
+    const btn = "px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl";
+    const close = () => { setSyncPlan(null); setSyncState(null); };
+
+    if (syncPlan) {
+      const side = (c, i, which, label) => {
+        const r = c[which];
+        return (
+          <button
+            onClick={() => setChoices((cur) => cur.map((x, j) => (j === i ? which : x)))}
+            className={`flex-1 text-left px-2 py-1 rounded-xl border ${choices[i] === which ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+          >
+            <div className="text-violet-500">{label}</div>
+            {r ? describeRecord(c.collection, r) : <i>{t("deleted")}</i>}
+          </button>
+        );
+      };
+      return (
+        <Dialog
+          open
+          wide
+          onClose={close}
+          title={`${t("Sync")} – ${t("resolve conflicts")}`}
+          actions={
+            <button disabled={syncing} onClick={() => syncStep(() => finishSync(syncPlan, syncPlan.settings, choices))} className={`${btn} bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-50`}>
+              {t(syncing ? "Syncing…" : "Apply merge")}
+            </button>
+          }
+        >
+          <div className="text-sm text-violet-700">
+            {t(syncPlan.conflicts.length === 1
+              ? "1 record was changed differently here and on the other device since the last sync."
+              : "{count} records were changed differently here and on the other device since the last sync.", { count: syncPlan.conflicts.length })}{" "}
+            {t("Pick the version to keep; everything else is merged already.")}
+          </div>
+          <div className="mt-2 flex gap-2 text-sm">
+            <button onClick={() => setChoices(choices.map(() => "local"))} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">{t("Keep all from this device")}</button>
+            <button onClick={() => setChoices(choices.map(() => "remote"))} className="px-2 py-0.5 rounded-lg bg-violet-100 hover:bg-violet-200 text-violet-700">{t("Take all from other device")}</button>
+          </div>
+          <ul className="mt-3 max-h-[50vh] overflow-y-auto text-xs text-violet-800 divide-y divide-violet-100">
+            {syncPlan.conflicts.map((c, i) => (
+              <li key={`${c.collection}/${c.key}`} className="py-2">
+                <div className="font-semibold mb-1">
+                  {t(SYNC_LABELS[c.collection])}
+                  {c.collection === "rates" && ` ${t("from {start}", { start: (c.local ?? c.remote).effectiveFrom })}`}
+                </div>
+                <div className="flex gap-2">
+                  {side(c, i, "local", t("This device"))}
+                  {side(c, i, "remote", t("Other device"))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </Dialog>
+      );
+    }
+
+    const set = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+    async function pickFile() {
+      try {
+        syncFile.current = await window.showSaveFilePicker({
+          suggestedName: `dairy_sync_${draft.space}.json`,
+          types: [{ description: t("Dairy tracker sync file"), accept: { "application/json": [".json"] } }],
+        });
+        setFileName(syncFile.current.name);
+      } catch {
+        // picker cancelled
+      }
+    }
     return (
-      <div className="mb-4 p-3 rounded-2xl bg-amber-50 border border-amber-200 text-amber-800">
-        💡 Tip: Set your <b>initial rates</b> to start tracking. Click "Set / Update Rates".
-      </div>
+      <Dialog
+        open
+        onClose={close}
+        title={`${t("Sync")} – ${profile.name}`}
+        actions={
+          <button disabled={syncing} onClick={() => runSync(draft)} className={`${btn} bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-50`}>
+            {t(syncing ? "Syncing…" : "Sync now")}
+          </button>
+        }
+      >
+        <div className="flex gap-2">
+          {[{ id: "server", icon: "🌐", label: "Sync server" }, { id: "file", icon: "📁", label: "File" }].map((o) => (
+            <button
+              key={o.id}
+              onClick={() => setDraft((d) => ({ ...d, target: o.id }))}
+              className={`px-3 py-1 rounded-xl border ${draft.target === o.id ? "bg-pink-200 border-pink-300" : "bg-white border-violet-200"}`}
+            >{o.icon} {t(o.label)}</button>
+          ))}
+        </div>
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {draft.target === "server" ? (
+            <>
+              <div className="sm:col-span-2">
+                <label className="text-sm text-violet-600">{t("Server address")}</label>
+                <input className={field} value={draft.url} placeholder="http://localhost:8787" onChange={set("url")} />
+              </div>
+              <div>
+                <label className="text-sm text-violet-600">{t("Space")}</label>
+                <input className={field} value={draft.space} onChange={set("space")} />
+              </div>
+              <div>
+                <label className="text-sm text-violet-600">{t("Access token")}</label>
+                <input type="password" className={field} value={draft.token} placeholder={t("optional")} onChange={set("token")} />
+              </div>
+            </>
+          ) : (
+            <div className="sm:col-span-2">
+              <label className="text-sm text-violet-600">{t("Sync file")}</label>
+              <div className="mt-1 flex items-center gap-2 text-sm text-violet-700">
+                {window.showSaveFilePicker ? (
+                  <button onClick={pickFile} className="px-3 py-1 rounded-xl bg-violet-100 hover:bg-violet-200">{t("Choose file…")}</button>
+                ) : (
+                  <input
+                    type="file" accept=".json,application/json"
+                    onChange={(e) => { syncFile.current = e.target.files[0] ?? null; setFileName(syncFile.current?.name ?? ""); }}
+                  />
+                )}
+                <span>{fileName || t("none yet")}</span>
+              </div>
+              {!window.showSaveFilePicker && (
+                <div className="mt-1 text-xs text-violet-500">
+                  {t("This browser can't write to the file, so the merged copy is downloaded; use it to replace the old one.")}
+                </div>
+              )}
+            </div>
+          )}
+          <div className="sm:col-span-2">
+            <label className="text-sm text-violet-600">{t("Passphrase")}</label>
+            <input
+              type="password" className={field} defaultValue={syncPassphrase.current} autoComplete="off"
+              onChange={(e) => { syncPassphrase.current = e.target.value; }}
+            />
+            <div className="mt-1 text-xs text-violet-500">
+              {t("Every device needs the same passphrase. It is never saved, and without it the synced copy can't be read.")}
+            </div>
+          </div>
+        </div>
+        <div className="mt-3 text-xs text-violet-500">
+          {syncState.syncedAt ? t("Last synced {time}", { time: new Date(syncState.syncedAt).toLocaleString(locale.tag) }) : t("Not synced yet")}
+        </div>
+      </Dialog>
     );
   }
 
-  function ExportButtons() {
-    function exportTxt() {
-      let content = "Date\tType\tKg\tRate(₹/kg)\tAmount(₹)\\n";
-      const ordered = [...entries].sort((a,b)=>a.date.localeCompare(b.date));
-      for (const e of ordered) {
-        const r = rateForDate(e.date);
-        const rate = e.type === "cow" ? r?.cow ?? 0 : r?.buffalo ?? 0;
-        content += `${e.date}\t${e.type}\t${e.kg}\t${rate}\t${(rate*e.kg).toFixed(2)}\\n`;
-      }
-      const blob = new Blob([content], { type: "text/plain;charset=utf-8" });
-      const a = document.createElement("a");
-      a.href = URL.createObjectURL(blob);
-      a.download = "milk_records.txt";
-      a.click();
-    }
+  function ImportDialog() {
+    const [takeImported, setTakeImported] = useState(false);
+    if (!importPlan) return null;
+    const { fileName, kind, errors, report, extra } = importPlan;
+    const describe = (e) => `${e.date} · ${productOf(e.type).label} · ${supplierName(e.supplierId)}`;
     return (
-      <div className="mt-4 flex gap-2">
-        <button onClick={exportTxt} className="px-3 py-2 sm:px-4 sm:py-2 md:px-6 md:py-3 text-sm sm:text-md md:text-lg rounded-2xl bg-emerald-200 hover:bg-emerald-300 text-emerald-900 shadow">
-          💾 Export .txt
-        </button>
-      </div>
+      <Dialog
+        open
+        onClose={() => setImportPlan(null)}
+        title={`${t("Import")} – ${fileName}`}
+        actions={report && (
+          <>
+            <button
+              onClick={() => confirm(t(kind === "json" ? "Replace ALL data with this backup?" : "Replace ALL entries with the ones in this file?")) && applyImport(importPlan, "replace", false)}
+              className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-pink-200 hover:bg-pink-300 text-pink-900"
+            >{t("Replace")}</button>
+            <button onClick={() => applyImport(importPlan, "merge", takeImported)} className="px-3 py-1 sm:px-4 sm:py-2 md:px-6 md:py-3 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Merge")}</button>
+          </>
+        )}
+      >
+        {report && (
+          <div className="grid grid-cols-3 gap-2 text-center text-sm">
+            <div className="p-2 rounded-xl bg-emerald-50 text-emerald-800"><b>{report.added.length}</b> {t("new")}</div>
+            <div className="p-2 rounded-xl bg-violet-50 text-violet-700"><b>{report.duplicates.length}</b> {t("duplicates (skipped)")}</div>
+            <div className="p-2 rounded-xl bg-amber-50 text-amber-800"><b>{report.conflicts.length}</b> {t("conflicts")}</div>
+          </div>
+        )}
+        {extra && (
+          <div className="mt-2 text-xs text-violet-500">
+            {t("Also in this backup: {rates} rates, {payments} payments, {schedules} schedules, {suppliers} suppliers, {products} products, {missed} missed deliveries, {budgets} budgets.",
+              Object.fromEntries(Object.entries(extra).map(([name, rows]) => [name, rows.length])))}
+          </div>
+        )}
+        {report?.conflicts.length > 0 && (
+          <div className="mt-3">
+            <div className="text-sm text-violet-600 mb-1">{t("Conflicts with existing entries")}</div>
+            <ul className="max-h-40 overflow-y-auto text-xs text-violet-700 divide-y divide-violet-100">
+              {report.conflicts.map((c) => (
+                <li key={c.existing.id} className="py-1">
+                  {describe(c.existing)}: {t("{here} here → {incoming} in file", { here: fmtQty(c.existing.qty, c.existing.type), incoming: fmtQty(c.incoming.qty, c.incoming.type) })}
+                </li>
+              ))}
+            </ul>
+            <label className="mt-2 flex items-center gap-2 text-sm text-violet-700">
+              <input type="checkbox" checked={takeImported} onChange={(e) => setTakeImported(e.target.checked)} />
+              {t("On merge, use the imported values for conflicts")}
+            </label>
+          </div>
+        )}
+        {errors.length > 0 && (
+          <div className="mt-3">
+            <div className="text-sm text-pink-700 mb-1">{t(errors.length === 1 ? "1 row can't be imported" : "{count} rows can't be imported", { count: errors.length })}</div>
+            <ul className="max-h-32 overflow-y-auto text-xs text-pink-700">
+              {errors.slice(0, 50).map((err, i) => <li key={i}>{err}</li>)}
+            </ul>
+          </div>
+        )}
+      </Dialog>
     );
   }
 
+  if (storage === "loading") {
+    return <div className="min-h-screen flex items-center justify-center bg-violet-100 font-fun text-violet-600">{t("Loading your milk diary…")}</div>;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-violet-100 via-pink-100 to-blue-100 p-4 md:p-8 font-[system-ui]">
-      <div className="mx-auto max-w-5xl">
+      <div className="mx-auto max-w-5xl print:hidden">
         <Header />
         <EmptyRatesBanner />
+        <BalanceBar />
         <Stats />
         <Calendar />
         <EntryList />
+        <Analytics />
+        <Schedules />
+        <Suppliers />
+        <Slots />
+        <Products />
+        <RateTimeline />
+        <Ledger />
         <ExportButtons />
       </div>
 
+      <DayDialog />
       <EntryDialog />
       <RateDialog />
+      <RatePreviewDialog />
+      <PaymentDialog />
+      <BudgetDialog />
+      <BulkDialog />
+      <ProfileDialog />
+      <ProfilesDialog />
+      <ScheduleDialog />
+      <ProductDialog />
+      <ImportDialog />
+      <SyncDialog />
+      <BillDialog />
+      <UpdatePrompt locale={locale.id} />
+
+      {billSupplierId && (
+        <div className="hidden print:block">
+          <BillSheet bill={monthBill(billSupplierId)} />
+        </div>
+      )}
 
-      <div className="mt-8 text-center text-xs font-fun text-violet-500">
-        Designed by Kirandeep with ❤️ in a cute pastel theme 🧁 – data stays in your browser (LocalStorage).
+      <div className="mt-8 print:hidden text-center text-xs font-fun text-violet-500">
+        {t("Designed by Kirandeep with ❤️ in a cute pastel theme 🧁 – data stays in your browser (IndexedDB).")}
       </div>
     </div>
   );
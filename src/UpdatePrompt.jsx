@@ -0,0 +1,42 @@
+import React from 'react'
+import { useRegisterSW } from 'virtual:pwa-register/react'
+import { translate } from './i18n.js'
+
+// Check for a new build every hour while the app stays open on a phone
+const UPDATE_CHECK_MS = 60 * 60 * 1000
+
+/**
+ * Registers the service worker and shows a small toast when
+ * - the app has been cached and will now open offline
+ * - a new build has been downloaded and is waiting for "Update"
+ * in the active profile's language (App renders it with `locale`)
+ */
+export default function UpdatePrompt({ locale = 'en' }) {
+  const t = (text) => translate(locale, text)
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(url, registration) {
+      if (registration) setInterval(() => registration.update(), UPDATE_CHECK_MS)
+    },
+  })
+
+  if (!offlineReady && !needRefresh) return null
+  const close = () => { setOfflineReady(false); setNeedRefresh(false) }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 max-w-sm p-4 rounded-2xl bg-white shadow-xl border border-violet-200 text-violet-800 print:hidden">
+      <div className="text-sm">
+        {needRefresh ? t("A new version of the tracker is available.") : t("The tracker is ready to work offline.")}
+      </div>
+      <div className="mt-3 flex justify-end gap-2">
+        <button onClick={close} className="px-3 py-1 rounded-xl bg-gray-100 hover:bg-gray-200">{needRefresh ? t("Later") : t("OK")}</button>
+        {needRefresh && (
+          <button onClick={() => updateServiceWorker(true)} className="px-3 py-1 rounded-xl bg-violet-600 text-white hover:bg-violet-700">{t("Update")}</button>
+        )}
+      </div>
+    </div>
+  )
+}
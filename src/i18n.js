@@ -0,0 +1,902 @@
+/**
+ * Translations for the Milk Dairy Tracker
+ * - The English text is the key, so a missing translation simply shows the English
+ * - "{name}" placeholders are filled from the params passed to translate()
+ * - Covers every screen, dialog and message, plus validation and sync errors raised in ledger.js and sync.js
+ */
+
+export const LOCALES = [
+  { id: "en", label: "English", tag: "en-IN" },
+  { id: "hi", label: "हिन्दी", tag: "hi-IN" },
+  { id: "pa", label: "ਪੰਜਾਬੀ", tag: "pa-IN" },
+];
+
+export const localeOf = (id) => LOCALES.find((l) => l.id === id) ?? LOCALES[0];
+
+const hi = {
+  // Header, navigation and undo
+  "Dairy Expense Tracker": "डेयरी खर्च ट्रैकर",
+  "Switch household": "घर बदलें",
+  "Profiles": "प्रोफ़ाइल",
+  "Profile settings": "प्रोफ़ाइल सेटिंग",
+  "Set / Update Rates": "रेट सेट / अपडेट करें",
+  "Month grid": "महीने की तालिका",
+  "Prev": "पिछला",
+  "Next": "अगला",
+  "Over budget": "बजट से ज़्यादा",
+  "Undo": "पूर्ववत करें",
+  "Redo": "फिर से करें",
+  "Nothing to undo": "पूर्ववत करने को कुछ नहीं",
+  "Nothing to redo": "फिर से करने को कुछ नहीं",
+  "Shortcut": "शॉर्टकट",
+  "Cancel": "रद्द करें",
+  "Add entry": "एंट्री जोड़ना",
+  "Edit entry": "एंट्री बदलें",
+  "Delete entry": "एंट्री हटाएँ",
+  "Adjust delivery": "डिलीवरी बदलना",
+  "Bulk entry": "एक साथ एंट्री",
+  "Add payment": "भुगतान जोड़ना",
+  "Edit payment": "भुगतान बदलें",
+  "Delete payment": "भुगतान हटाएँ",
+  "Settle month": "महीना चुकता करना",
+  "Set budgets": "बजट सेट करना",
+  "Skip delivery": "डिलीवरी छोड़ना",
+  "Restore delivery": "डिलीवरी वापस लाना",
+  "Mark delivery missed": "डिलीवरी छूटी दर्ज करना",
+  "Unmark missed delivery": "छूटी डिलीवरी का निशान हटाएँ",
+
+  // Products, deliveries, units and periods
+  "Cow": "गाय",
+  "Buffalo": "भैंस",
+  "Morning": "सुबह",
+  "Evening": "शाम",
+  "kg": "किलो",
+  "litre": "लीटर",
+  "piece": "पीस",
+  "This month": "इस महीने",
+  "Custom range": "चुनी हुई अवधि",
+  "Financial year": "वित्त वर्ष",
+  "All time": "अब तक",
+  "all time": "अब तक",
+  "Custom": "अपनी",
+  "Pick a start and end date": "शुरू और आख़िरी तारीख़ चुनें",
+  "Cash": "नकद",
+  "UPI": "यूपीआई",
+
+  // Stats and budgets
+  "Total Cost": "कुल खर्च",
+  "Total": "कुल",
+  "Cost": "खर्च",
+  "Change vs previous period": "पिछली अवधि से बदलाव",
+  "compared with {from} → {to}": "{from} → {to} से तुलना",
+  "Nothing bought": "कुछ नहीं खरीदा",
+  "Budget": "बजट",
+  "Monthly budget": "मासिक बजट",
+  "Set budget": "बजट सेट करें",
+  "Save Budget": "बजट सहेजें",
+  "No budget set. Set a monthly limit to track spending against it.": "कोई बजट नहीं है। खर्च पर नज़र रखने के लिए मासिक सीमा सेट करें।",
+  "Applies to every month. Leave a field blank for no limit.": "हर महीने लागू होता है। कोई सीमा न हो तो खाना ख़ाली छोड़ें।",
+  "Projected month end": "महीने के अंत का अनुमान",
+  "no limit": "कोई सीमा नहीं",
+  "{amount} over": "{amount} ज़्यादा",
+  "Saving takes the {budget} budget for this month to {after} of {amount}.": "सहेजने पर इस महीने का {budget} बजट {amount} में से {after} हो जाएगा।",
+
+  // Calendar, day and entry dialogs
+  "Entries": "एंट्रियाँ",
+  "Add Entry": "एंट्री जोड़ें",
+  "Edit Entry": "एंट्री बदलें",
+  "Save Entry": "एंट्री सहेजें",
+  "Date": "तारीख़",
+  "Delivery": "डिलीवरी",
+  "Product": "उत्पाद",
+  "Supplier": "दूधवाला",
+  "Quantity": "मात्रा",
+  "Rate": "रेट",
+  "Amount": "रक़म",
+  "e.g., 1.5": "जैसे, 1.5",
+  "Fat %": "फ़ैट %",
+  "SNF %": "एसएनएफ़ %",
+  "optional": "वैकल्पिक",
+  "Price will use the rate effective on {date}.": "क़ीमत {date} को लागू रेट से लगेगी।",
+  "Price will use the fat / SNF chart (with a reading) or flat rate effective on {date}.": "क़ीमत {date} को लागू फ़ैट / एसएनएफ़ चार्ट (रीडिंग हो तो) या सीधे रेट से लगेगी।",
+  "Please pick a valid date.": "कृपया सही तारीख़ चुनें।",
+  "Please enter a quantity above zero.": "कृपया शून्य से ज़्यादा मात्रा लिखें।",
+  "Please fill both fat and SNF, or leave both blank.": "फ़ैट और एसएनएफ़ दोनों भरें, या दोनों ख़ाली छोड़ें।",
+  "Fat and SNF are percentages, e.g. 4.2 and 8.5.": "फ़ैट और एसएनएफ़ प्रतिशत में हैं, जैसे 4.2 और 8.5।",
+  "Fat {fat}% / SNF {snf}% is below {supplier}'s rate chart, so it has no price.": "फ़ैट {fat}% / एसएनएफ़ {snf}% {supplier} के रेट चार्ट से कम है, इसलिए इसकी कोई क़ीमत नहीं है।",
+  "Please set {supplier}'s {product} rate (effective on or before the entry date) before adding entries.": "एंट्री जोड़ने से पहले {supplier} का {product} रेट (एंट्री की तारीख़ या उससे पहले से लागू) सेट करें।",
+  "Nothing came? Mark this {slot} delivery as missed": "कुछ नहीं आया? इस {slot} की डिलीवरी को छूटी दर्ज करें",
+  "Expected {slot}": "{slot} में अपेक्षित",
+  "{slot} delivery missed": "{slot} की डिलीवरी छूटी",
+  "Adjust": "बदलें",
+  "Skip": "छोड़ें",
+  "skipped": "छोड़ी गई",
+  "Restore": "वापस लाएँ",
+  "No entries on this day.": "इस दिन कोई एंट्री नहीं।",
+  "No entries this month. Click a date in the calendar or \"Add Entry\" to begin.": "इस महीने कोई एंट्री नहीं। शुरू करने के लिए कैलेंडर में कोई तारीख़ या \"एंट्री जोड़ें\" दबाएँ।",
+  "Missed deliveries": "छूटी डिलीवरी",
+  "Delivery missed": "डिलीवरी छूटी",
+  "{label} missed": "{label} छूटी",
+  "Mark {label} missed": "{label} छूटी दर्ज करें",
+  "Unmark": "निशान हटाएँ",
+
+  // Payments and ledger
+  "Balance due: {amount}": "बकाया: {amount}",
+  "Advance paid: {amount}": "अग्रिम दिया: {amount}",
+  "All settled": "सब चुकता",
+  "{amount} due": "{amount} बकाया",
+  "{amount} advance": "{amount} अग्रिम",
+  "Record Payment": "भुगतान दर्ज करें",
+  "Edit Payment": "भुगतान बदलें",
+  "Save Payment": "भुगतान सहेजें",
+  "Settle Month": "महीना चुकता करें",
+  "Method": "तरीक़ा",
+  "Note": "नोट",
+  "Please enter a date and a payment amount above zero.": "कृपया तारीख़ और शून्य से ज़्यादा भुगतान रक़म लिखें।",
+  "Current balance: {amount} due": "मौजूदा बकाया: {amount}",
+  "Current balance: {amount} (advance)": "मौजूदा बैलेंस: {amount} (अग्रिम)",
+  "Ledger": "खाता",
+  "Details": "विवरण",
+  "Bought": "ख़रीदा",
+  "Paid": "चुकाया",
+  "Balance": "बैलेंस",
+  "Opening balance": "शुरुआती बैलेंस",
+  "Purchases": "ख़रीद",
+
+  // Export and backup
+  "Export .txt": ".txt निर्यात करें",
+  "Export CSV": "CSV निर्यात करें",
+  "Backup": "बैकअप",
+  "Import / Restore": "आयात / बहाल करें",
+  "Sync": "सिंक",
+  "Generate bill": "बिल बनाएँ",
+  "Every entry": "सभी एंट्रियाँ",
+
+  // Profile settings
+  "New Profile": "नई प्रोफ़ाइल",
+  "Save Profile": "प्रोफ़ाइल सहेजें",
+  "Name": "नाम",
+  "e.g., Parents' flat": "जैसे, माता-पिता का घर",
+  "Currency": "मुद्रा",
+  "Language, units and week": "भाषा, इकाई और सप्ताह",
+  "Language": "भाषा",
+  "Week starts on": "सप्ताह शुरू होता है",
+  "Show milk in": "दूध दिखाएँ",
+  "Each product's own unit": "हर उत्पाद की अपनी इकाई",
+  "kg per litre": "किलो प्रति लीटर",
+  "Quantities are always stored in each product's own unit; the milk unit only changes how they are shown and typed.": "मात्रा हमेशा उत्पाद की अपनी इकाई में रखी जाती है; दूध की इकाई सिर्फ़ दिखाने और लिखने का तरीक़ा बदलती है।",
+  "A new profile starts empty, with its own suppliers, products, rates and payments.": "नई प्रोफ़ाइल ख़ाली शुरू होती है, अपने दूधवालों, उत्पादों, रेट और भुगतानों के साथ।",
+  "Please enter a profile name.": "कृपया प्रोफ़ाइल का नाम लिखें।",
+  "A litre of milk weighs about 1.03 kg; please enter a factor between 0.9 and 1.2.": "एक लीटर दूध लगभग 1.03 किलो का होता है; कृपया 0.9 से 1.2 के बीच का मान लिखें।",
+
+  // Profiles overview
+  "Couldn't read the other profiles: {error}": "दूसरी प्रोफ़ाइल पढ़ी नहीं जा सकीं: {error}",
+  "Profile": "प्रोफ़ाइल",
+  "Spent": "खर्च",
+  "advance": "अग्रिम",
+  "due": "बकाया",
+  "Open": "खोलें",
+  "Download backup": "बैकअप डाउनलोड करें",
+  "Edit profile": "प्रोफ़ाइल बदलें",
+  "Delete profile": "प्रोफ़ाइल हटाएँ",
+  "All profiles": "सभी प्रोफ़ाइल",
+  "There is already a profile called \"{name}\".": "\"{name}\" नाम की प्रोफ़ाइल पहले से है।",
+  "Delete \"{name}\" with all its entries, rates and payments? This can't be undone.": "\"{name}\" को उसकी सभी एंट्री, रेट और भुगतानों के साथ हटाएँ? यह वापस नहीं होगा।",
+  "Deleting the profile failed: {error}": "प्रोफ़ाइल हटाई नहीं जा सकी: {error}",
+  "Saving profiles failed: {error}": "प्रोफ़ाइल सहेजी नहीं जा सकीं: {error}",
+
+  // Month grid
+  "Discard the changes in this grid?": "इस तालिका के बदलाव छोड़ दें?",
+  "Save Grid": "तालिका सहेजें",
+  "Arrow keys / Enter to move · Ctrl+D copies the day above · paste a copied spreadsheet column into any cell · clear a cell to delete that entry": "तीर कुंजियों / Enter से आगे बढ़ें · Ctrl+D ऊपर वाले दिन की कॉपी करता है · स्प्रेडशीट से कॉपी किया कॉलम किसी भी खाने में चिपकाएँ · खाना ख़ाली करने पर वह एंट्री हट जाती है",
+  "Day": "दिन",
+  "Repeat the selected cell into the empty days below": "चुने हुए खाने को नीचे के ख़ाली दिनों में दोहराएँ",
+  "Fill": "भरें",
+  "{date}: \"{value}\" is not a valid {product} quantity": "{date}: \"{value}\" {product} की सही मात्रा नहीं है",
+  "No {supplier} rate applies on these days — add a rate effective on or before them:": "इन दिनों पर {supplier} का कोई रेट लागू नहीं — इनसे पहले या इसी दिन से लागू रेट जोड़ें:",
+
+  // Rates and rate changes
+  "Edit Rate from {date} ({currency} per unit)": "{date} से लागू रेट बदलें ({currency} प्रति इकाई)",
+  "Set / Update Rates ({currency} per unit)": "रेट सेट / अपडेट करें ({currency} प्रति इकाई)",
+  "Save Rates": "रेट सहेजें",
+  "Effective From": "कब से लागू",
+  "{product} Rate": "{product} रेट",
+  "leave blank if not bought": "न खरीदें तो ख़ाली छोड़ें",
+  "Fat / SNF chart": "फ़ैट / एसएनएफ़ चार्ट",
+  "fat / SNF chart": "फ़ैट / एसएनएफ़ चार्ट",
+  "{product} fat / SNF chart": "{product} फ़ैट / एसएनएफ़ चार्ट",
+  "First row: SNF %, first column: fat %. Paste from a spreadsheet or type with commas. Entries with a fat / SNF reading use the chart; the rest use the flat rate above.": "पहली पंक्ति: एसएनएफ़ %, पहला कॉलम: फ़ैट %। स्प्रेडशीट से चिपकाएँ या कॉमा लगाकर लिखें। फ़ैट / एसएनएफ़ रीडिंग वाली एंट्री चार्ट से, बाकी ऊपर के सीधे रेट से गिनी जाती हैं।",
+  "Current latest {supplier} rate from": "{supplier} का मौजूदा नया रेट, लागू",
+  "Current latest rate from": "मौजूदा नया रेट, लागू",
+  "what changes": "क्या बदलेगा",
+  "Apply Change": "बदलाव लागू करें",
+  "1 entry changes price in 1 month": "1 महीने में 1 एंट्री की क़ीमत बदलती है",
+  "{count} entries change price in 1 month": "1 महीने में {count} एंट्री की क़ीमत बदलती है",
+  "{count} entries change price across {months} months": "{months} महीनों में {count} एंट्री की क़ीमत बदलती है",
+  "in total": "कुल",
+  "Month": "महीना",
+  "Before": "पहले",
+  "After": "बाद में",
+  "Change": "बदलाव",
+  "no rate": "रेट नहीं",
+  "Tip: Set your initial rates to start tracking. Click \"Set / Update Rates\".": "सुझाव: हिसाब शुरू करने के लिए पहले रेट सेट करें। \"रेट सेट / अपडेट करें\" दबाएँ।",
+  "Rate Timeline": "रेट का इतिहास",
+  "Earlier rate": "पहले का रेट",
+  "to {date}": "{date} तक",
+  "onwards": "से आगे",
+  "Insert between": "बीच में जोड़ें",
+  "Edit rate": "रेट बदलें",
+  "Delete rate": "रेट हटाएँ",
+  "Set rates": "रेट सेट करना",
+  "Delete the rate from {date}?": "{date} वाला रेट हटाएँ?",
+  "This would leave {count} entries without a rate ({days}). Keep an earlier rate or delete those entries first.": "इससे {count} एंट्री बिना रेट के रह जाएँगी ({days})। पहले का कोई रेट रखें या पहले वे एंट्री हटाएँ।",
+  "Please fill a valid rate for {product}.": "कृपया {product} का सही रेट भरें।",
+  "{product} fat / SNF chart: {error}.": "{product} फ़ैट / एसएनएफ़ चार्ट: {error}।",
+  "it needs a header row of SNF values and at least one fat row": "इसमें एसएनएफ़ मानों की शीर्ष पंक्ति और कम से कम एक फ़ैट पंक्ति चाहिए",
+  "SNF values in the header must be numbers in increasing order": "शीर्ष पंक्ति के एसएनएफ़ मान बढ़ते क्रम में संख्याएँ होने चाहिए",
+  "fat values in the first column must be numbers in increasing order": "पहले कॉलम के फ़ैट मान बढ़ते क्रम में संख्याएँ होने चाहिए",
+  "row {row} needs {count} positive prices": "पंक्ति {row} में {count} धनात्मक क़ीमतें चाहिए",
+  "Please fill an effective date and at least one rate or chart.": "कृपया लागू होने की तारीख़ और कम से कम एक रेट या चार्ट भरें।",
+  "There is already a rate from {date}; edit that one instead.": "{date} से एक रेट पहले से है; उसी को बदलें।",
+
+  // Schedules
+  "Delivery Schedules": "डिलीवरी शेड्यूल",
+  "New Schedule": "नया शेड्यूल",
+  "Apply to {month}": "{month} पर लागू करें",
+  "No schedules yet. Add one for milk you take on a fixed routine and it fills the calendar for you.": "अभी कोई शेड्यूल नहीं। रोज़ तय समय पर आने वाले दूध के लिए शेड्यूल जोड़ें, कैलेंडर अपने आप भर जाएगा।",
+  "From {start} to {end}": "{start} से {end} तक",
+  "From {start}": "{start} से",
+  "from {start} to {end}": "{start} से {end} तक",
+  "from {start}": "{start} से",
+  "paused": "रुका हुआ",
+  "holiday {from} → {to}": "छुट्टी {from} → {to}",
+  "paused since {from}": "{from} से रुका हुआ",
+  "Resume": "फिर शुरू करें",
+  "Pause": "रोकें",
+  "Edit schedule": "शेड्यूल बदलें",
+  "Add schedule": "शेड्यूल जोड़ना",
+  "Delete schedule": "शेड्यूल हटाएँ",
+  "Resume schedule": "शेड्यूल फिर शुरू करना",
+  "Pause schedule": "शेड्यूल रोकना",
+  "Apply schedules": "शेड्यूल लागू करना",
+  "Edit Schedule": "शेड्यूल बदलें",
+  "New Delivery Schedule": "नया डिलीवरी शेड्यूल",
+  "Save Schedule": "शेड्यूल सहेजें",
+  "Quantity ({unit}) per day": "रोज़ की मात्रा ({unit})",
+  "e.g., 1": "जैसे, 1",
+  "Weekdays": "हफ़्ते के दिन",
+  "Start": "शुरुआत",
+  "End (optional)": "अंत (वैकल्पिक)",
+  "Holiday pauses": "छुट्टी में रोक",
+  "Add": "जोड़ें",
+  "Past days fill in automatically; upcoming ones show faded on the calendar until they arrive. A pause without an end date lasts until the schedule is resumed.": "बीते दिन अपने आप भर जाते हैं; आने वाले दिन आने तक कैलेंडर पर हल्के दिखते हैं। बिना अंतिम तारीख़ वाली रोक शेड्यूल फिर शुरू करने तक चलती है।",
+  "Please enter the quantity, a start date and at least one weekday.": "कृपया मात्रा, शुरुआत की तारीख़ और कम से कम एक दिन चुनें।",
+  "The end date must be on or after the start date.": "अंतिम तारीख़ शुरुआत की तारीख़ या उसके बाद की होनी चाहिए।",
+  "Every scheduled delivery this month is already filled in or skipped.": "इस महीने की हर शेड्यूल डिलीवरी पहले से भरी या छोड़ी हुई है।",
+  "Please set milk rates covering this month first.": "कृपया पहले इस महीने के लिए दूध के रेट सेट करें।",
+  "{count} deliveries were left out because no rate applies on their date.": "{count} डिलीवरी छोड़ दी गईं क्योंकि उनकी तारीख़ पर कोई रेट लागू नहीं है।",
+
+  // Suppliers, delivery slots and products
+  "Suppliers": "दूधवाले",
+  "New Supplier": "नया दूधवाला",
+  "No rates yet": "अभी कोई रेट नहीं",
+  "Rates": "रेट",
+  "Unknown supplier": "अज्ञात दूधवाला",
+  "Supplier name (e.g., Dairy shop)": "दूधवाले का नाम (जैसे, डेयरी की दुकान)",
+  "Add supplier": "दूधवाला जोड़ना",
+  "Rename supplier": "दूधवाले का नाम बदलें",
+  "Delete supplier": "दूधवाला हटाएँ",
+  "{supplier} still has entries, rates, payments or schedules.": "{supplier} की अभी भी एंट्री, रेट, भुगतान या शेड्यूल हैं।",
+  "Delivery Slots": "डिलीवरी का समय",
+  "New Slot": "नया समय",
+  "Slot name (e.g., Afternoon)": "समय का नाम (जैसे, दोपहर)",
+  "Add slot": "समय जोड़ना",
+  "Rename slot": "समय का नाम बदलें",
+  "Delete slot": "समय हटाएँ",
+  "The {slot} slot still has entries, schedules or missed deliveries.": "{slot} समय की अभी भी एंट्री, शेड्यूल या छूटी डिलीवरी हैं।",
+  "Remove the {count} entries recorded for this slot?": "इस समय की {count} एंट्री हटाएँ?",
+  "Products": "उत्पाद",
+  "New Product": "नया उत्पाद",
+  "per {unit}": "प्रति {unit}",
+  "archived": "संग्रहित",
+  "Rate history": "रेट का इतिहास",
+  "Edit product": "उत्पाद बदलें",
+  "Add product": "उत्पाद जोड़ना",
+  "Archive": "संग्रहित करें",
+  "Archive product": "उत्पाद संग्रहित करना",
+  "Restore product": "उत्पाद वापस लाना",
+  "No rates set yet.": "अभी कोई रेट सेट नहीं।",
+  "Edit Product": "उत्पाद बदलें",
+  "Save Product": "उत्पाद सहेजें",
+  "e.g., Paneer": "जैसे, पनीर",
+  "Sold per": "किस हिसाब से बिकता है",
+  "Icon": "चिह्न",
+  "an emoji, e.g. 🧀": "कोई इमोजी, जैसे 🧀",
+  "Or use a sticker:": "या स्टिकर चुनें:",
+  "Changing the unit doesn't convert quantities already recorded.": "इकाई बदलने से पहले दर्ज मात्राएँ नहीं बदलतीं।",
+  "Please enter a product name.": "कृपया उत्पाद का नाम लिखें।",
+
+  // Bills and text export
+  "Milk bill": "दूध का बिल",
+  "Monthly bill": "महीने का बिल",
+  "Generated {date}": "{date} को बना",
+  "No entries from {supplier} this month.": "इस महीने {supplier} की कोई एंट्री नहीं।",
+  "Notes": "टिप्पणी",
+  "Rate changed from this day": "इस दिन से रेट बदला",
+  "rate changed from this day": "इस दिन से रेट बदला",
+  "Average fat / SNF chart price for the day": "दिन की औसत फ़ैट / एसएनएफ़ चार्ट क़ीमत",
+  "average fat / SNF chart price": "औसत फ़ैट / एसएनएफ़ चार्ट क़ीमत",
+  "Missed: {slots}": "छूटी: {slots}",
+  "Subtotal": "उप-योग",
+  "{count} missed": "{count} छूटी",
+  "Grand total": "कुल जोड़",
+  "{count} deliveries had no price and are not included.": "{count} डिलीवरी का कोई क़ीमत नहीं थी, वे शामिल नहीं हैं।",
+  "Supplier's signature": "दूधवाले के हस्ताक्षर",
+  "Customer's signature": "ग्राहक के हस्ताक्षर",
+  "Print": "प्रिंट करें",
+  "Download PDF": "PDF डाउनलोड करें",
+  "Qty": "मात्रा",
+  "Unit": "इकाई",
+  "unit": "इकाई",
+  "MISSED": "छूटी",
+  "Entries from {from} to {to}": "{from} से {to} तक की एंट्री",
+  "All entries": "सभी एंट्री",
+  "e.g., 2400": "जैसे, 2400",
+  "fat {fat}% · SNF {snf}%": "फ़ैट {fat}% · एसएनएफ़ {snf}%",
+
+  // Analytics
+  "Analytics": "विश्लेषण",
+  "No priced entries in the last 12 months yet.": "पिछले 12 महीनों में अभी कोई रेट वाली एंट्री नहीं।",
+  "Daily quantity": "रोज़ की मात्रा",
+  "Monthly spend ({currency}), last 12 months": "महीने का खर्च ({currency}), पिछले 12 महीने",
+  "Average price paid per unit ({currency})": "प्रति इकाई दी गई औसत क़ीमत ({currency})",
+  "Average daily quantity by weekday ({unit})": "हफ़्ते के दिन के हिसाब से रोज़ की औसत मात्रा ({unit})",
+  "{qty} on average": "औसतन {qty}",
+  "Rate change": "रेट बदलाव",
+  "Rate change {date}": "रेट बदलाव {date}",
+  "Nothing": "कुछ नहीं",
+
+  // Import
+  "Import": "आयात",
+  "Import {file}": "{file} आयात करना",
+  "Replace from {file}": "{file} से बदलना",
+  "Replace ALL data with this backup?": "सारा डेटा इस बैकअप से बदल दें?",
+  "Replace ALL entries with the ones in this file?": "सारी एंट्री इस फ़ाइल वाली एंट्री से बदल दें?",
+  "Replace": "बदलें",
+  "Merge": "मिलाएँ",
+  "new": "नई",
+  "duplicates (skipped)": "दोहराई हुई (छोड़ी गईं)",
+  "conflicts": "टकराव",
+  "Also in this backup: {rates} rates, {payments} payments, {schedules} schedules, {suppliers} suppliers, {products} products, {missed} missed deliveries, {budgets} budgets.": "इस बैकअप में यह भी है: {rates} रेट, {payments} भुगतान, {schedules} शेड्यूल, {suppliers} दूधवाले, {products} उत्पाद, {missed} छूटी डिलीवरी, {budgets} बजट।",
+  "Conflicts with existing entries": "मौजूदा एंट्री से टकराव",
+  "{here} here → {incoming} in file": "यहाँ {here} → फ़ाइल में {incoming}",
+  "On merge, use the imported values for conflicts": "मिलाते समय टकराव में आयात किए मान लें",
+  "1 row can't be imported": "1 पंक्ति आयात नहीं हो सकती",
+  "{count} rows can't be imported": "{count} पंक्तियाँ आयात नहीं हो सकतीं",
+  "invalid date \"{value}\"": "ग़लत तारीख़ \"{value}\"",
+  "unknown slot \"{value}\"": "अनजाना समय \"{value}\"",
+  "unknown supplier \"{value}\"": "अनजाना दूधवाला \"{value}\"",
+  "unknown product \"{value}\"": "अनजाना उत्पाद \"{value}\"",
+  "invalid quantity \"{value}\"": "ग़लत मात्रा \"{value}\"",
+  "fat and SNF must both be filled or both be blank": "फ़ैट और एसएनएफ़ दोनों भरें या दोनों ख़ाली छोड़ें",
+  "invalid fat / SNF \"{fat}\" / \"{snf}\"": "ग़लत फ़ैट / एसएनएफ़ \"{fat}\" / \"{snf}\"",
+  "The CSV needs at least date, product and quantity columns.": "CSV में कम से कम तारीख़, उत्पाद और मात्रा के कॉलम होने चाहिए।",
+  "Line {n}: {error}": "पंक्ति {n}: {error}",
+  "The file is not valid JSON.": "फ़ाइल सही JSON नहीं है।",
+  "This doesn't look like a Dairy Expense Tracker backup.": "यह डेयरी खर्च ट्रैकर का बैकअप नहीं लगता।",
+  "Backup schema version {version} is newer than this app understands ({supported}).": "बैकअप का स्कीमा संस्करण {version} इस ऐप ({supported}) से नया है।",
+  "Entry {n}: {error}": "एंट्री {n}: {error}",
+  "Rate {n}: invalid effective date, prices or fat / SNF chart": "रेट {n}: ग़लत लागू तारीख़, क़ीमत या फ़ैट / एसएनएफ़ चार्ट",
+  "Payment {n}: invalid date or amount": "भुगतान {n}: ग़लत तारीख़ या रकम",
+  "Missed delivery {n}: invalid date, supplier or slot": "छूटी डिलीवरी {n}: ग़लत तारीख़, दूधवाला या समय",
+
+  // Sync
+  "Sync now": "अभी सिंक करें",
+  "Syncing…": "सिंक हो रहा है…",
+  "Sync server": "सिंक सर्वर",
+  "File": "फ़ाइल",
+  "Server address": "सर्वर का पता",
+  "Space": "स्पेस",
+  "Access token": "एक्सेस टोकन",
+  "Sync file": "सिंक फ़ाइल",
+  "Choose file…": "फ़ाइल चुनें…",
+  "none yet": "अभी कोई नहीं",
+  "This browser can't write to the file, so the merged copy is downloaded; use it to replace the old one.": "यह ब्राउज़र फ़ाइल में लिख नहीं सकता, इसलिए मिली हुई कॉपी डाउनलोड होती है; पुरानी फ़ाइल की जगह इसे रखें।",
+  "Passphrase": "पासफ़्रेज़",
+  "Every device needs the same passphrase. It is never saved, and without it the synced copy can't be read.": "हर डिवाइस पर एक ही पासफ़्रेज़ चाहिए। यह कभी सहेजा नहीं जाता, और इसके बिना सिंक की कॉपी पढ़ी नहीं जा सकती।",
+  "Last synced {time}": "पिछला सिंक {time}",
+  "Not synced yet": "अभी सिंक नहीं हुआ",
+  "resolve conflicts": "टकराव सुलझाएँ",
+  "Apply merge": "मिलान लागू करें",
+  "1 record was changed differently here and on the other device since the last sync.": "पिछले सिंक के बाद 1 रिकॉर्ड यहाँ और दूसरे डिवाइस पर अलग-अलग बदला गया।",
+  "{count} records were changed differently here and on the other device since the last sync.": "पिछले सिंक के बाद {count} रिकॉर्ड यहाँ और दूसरे डिवाइस पर अलग-अलग बदले गए।",
+  "Pick the version to keep; everything else is merged already.": "कौन-सा रूप रखना है चुनें; बाकी सब पहले ही मिला दिया गया है।",
+  "Keep all from this device": "सब इस डिवाइस का रखें",
+  "Take all from other device": "सब दूसरे डिवाइस से लें",
+  "This device": "यह डिवाइस",
+  "Other device": "दूसरा डिवाइस",
+  "deleted": "हटाया गया",
+  "Entry": "एंट्री",
+  "Payment": "भुगतान",
+  "Schedule": "शेड्यूल",
+  "Delivery slot": "डिलीवरी का समय",
+  "Missed delivery": "छूटी डिलीवरी",
+  "Couldn't read the sync settings: {error}": "सिंक सेटिंग पढ़ी नहीं जा सकीं: {error}",
+  "Sync failed: {error}": "सिंक नहीं हो सका: {error}",
+  "Please enter a sync passphrase of at least 8 characters.": "कृपया कम से कम 8 अक्षरों का सिंक पासफ़्रेज़ लिखें।",
+  "Please enter the server address, e.g. {url}.": "कृपया सर्वर का पता लिखें, जैसे {url}।",
+  "The sync space name may only use letters, digits, - and _ (up to 64).": "सिंक स्पेस के नाम में सिर्फ़ अक्षर, अंक, - और _ हो सकते हैं (64 तक)।",
+  "Another device synced in the meantime, so nothing was changed. Please sync again.": "इस बीच किसी दूसरे डिवाइस ने सिंक किया, इसलिए कुछ नहीं बदला। कृपया फिर से सिंक करें।",
+  "This isn't a Dairy Expense Tracker sync file.": "यह डेयरी खर्च ट्रैकर की सिंक फ़ाइल नहीं है।",
+  "Wrong passphrase, or the sync copy is damaged.": "पासफ़्रेज़ ग़लत है, या सिंक की कॉपी खराब है।",
+  "The chosen file is not a sync file.": "चुनी गई फ़ाइल सिंक फ़ाइल नहीं है।",
+  "Dairy tracker sync file": "डेयरी ट्रैकर की सिंक फ़ाइल",
+
+  // Storage, settling up and other messages
+  "Loading your milk diary…": "आपकी दूध डायरी खुल रही है…",
+  "Designed by Kirandeep with ❤️ in a cute pastel theme 🧁 – data stays in your browser (IndexedDB).": "किरणदीप ने ❤️ से प्यारी पेस्टल थीम में बनाया 🧁 – डेटा आपके ब्राउज़र में ही रहता है (IndexedDB)।",
+  "Couldn't open the browser database, so changes won't be saved: {error}": "ब्राउज़र डेटाबेस नहीं खुल सका, इसलिए बदलाव सहेजे नहीं जाएँगे: {error}",
+  "Some saved data couldn't be read ({count} collections). The readable rows were loaded and a copy of the original was kept in the browser database.": "कुछ सहेजा डेटा पढ़ा नहीं जा सका ({count} संग्रह)। पढ़ने लायक पंक्तियाँ खोल दी गईं और मूल की एक कॉपी ब्राउज़र डेटाबेस में रखी गई।",
+  "Saving failed: {error}": "सहेजा नहीं जा सका: {error}",
+  "The tracker is open in another tab with an older version; close it and reload.": "ट्रैकर किसी दूसरे टैब में पुराने संस्करण के साथ खुला है; उसे बंद करके पेज फिर से खोलें।",
+  "Please enter a valid {budget} budget.": "कृपया {budget} का सही बजट लिखें।",
+  "Nothing outstanding up to the end of {month}.": "{month} के अंत तक कुछ बकाया नहीं।",
+  "{amount} to {supplier}": "{supplier} को {amount}",
+  "Record {payments} to settle up to the end of {month}?": "{month} के अंत तक का हिसाब चुकाने के लिए {payments} दर्ज करें?",
+  "Settled {month}": "{month} का हिसाब चुकता",
+
+  // App updates (UpdatePrompt.jsx)
+  "A new version of the tracker is available.": "ट्रैकर का नया संस्करण उपलब्ध है।",
+  "The tracker is ready to work offline.": "ट्रैकर अब बिना इंटरनेट के भी चलेगा।",
+  "Later": "बाद में",
+  "OK": "ठीक है",
+  "Update": "अपडेट करें",
+};
+
+const pa = {
+  // Header, navigation and undo
+  "Dairy Expense Tracker": "ਡੇਅਰੀ ਖ਼ਰਚਾ ਟਰੈਕਰ",
+  "Switch household": "ਘਰ ਬਦਲੋ",
+  "Profiles": "ਪ੍ਰੋਫਾਈਲ",
+  "Profile settings": "ਪ੍ਰੋਫਾਈਲ ਸੈਟਿੰਗ",
+  "Set / Update Rates": "ਰੇਟ ਸੈੱਟ / ਅੱਪਡੇਟ ਕਰੋ",
+  "Month grid": "ਮਹੀਨੇ ਦੀ ਸਾਰਣੀ",
+  "Prev": "ਪਿਛਲਾ",
+  "Next": "ਅਗਲਾ",
+  "Over budget": "ਬਜਟ ਤੋਂ ਵੱਧ",
+  "Undo": "ਵਾਪਸ ਕਰੋ",
+  "Redo": "ਦੁਬਾਰਾ ਕਰੋ",
+  "Nothing to undo": "ਵਾਪਸ ਕਰਨ ਲਈ ਕੁਝ ਨਹੀਂ",
+  "Nothing to redo": "ਦੁਬਾਰਾ ਕਰਨ ਲਈ ਕੁਝ ਨਹੀਂ",
+  "Shortcut": "ਸ਼ਾਰਟਕੱਟ",
+  "Cancel": "ਰੱਦ ਕਰੋ",
+  "Add entry": "ਐਂਟਰੀ ਜੋੜਨਾ",
+  "Edit entry": "ਐਂਟਰੀ ਬਦਲੋ",
+  "Delete entry": "ਐਂਟਰੀ ਮਿਟਾਓ",
+  "Adjust delivery": "ਡਿਲੀਵਰੀ ਬਦਲਣਾ",
+  "Bulk entry": "ਇਕੱਠੀ ਐਂਟਰੀ",
+  "Add payment": "ਭੁਗਤਾਨ ਜੋੜਨਾ",
+  "Edit payment": "ਭੁਗਤਾਨ ਬਦਲੋ",
+  "Delete payment": "ਭੁਗਤਾਨ ਮਿਟਾਓ",
+  "Settle month": "ਮਹੀਨਾ ਨਿਬੇੜਨਾ",
+  "Set budgets": "ਬਜਟ ਸੈੱਟ ਕਰਨਾ",
+  "Skip delivery": "ਡਿਲੀਵਰੀ ਛੱਡਣਾ",
+  "Restore delivery": "ਡਿਲੀਵਰੀ ਵਾਪਸ ਲਿਆਉਣਾ",
+  "Mark delivery missed": "ਡਿਲੀਵਰੀ ਖੁੰਝੀ ਦਰਜ ਕਰਨਾ",
+  "Unmark missed delivery": "ਖੁੰਝੀ ਡਿਲੀਵਰੀ ਦਾ ਨਿਸ਼ਾਨ ਹਟਾਓ",
+
+  // Products, deliveries, units and periods
+  "Cow": "ਗਾਂ",
+  "Buffalo": "ਮੱਝ",
+  "Morning": "ਸਵੇਰ",
+  "Evening": "ਸ਼ਾਮ",
+  "kg": "ਕਿਲੋ",
+  "litre": "ਲੀਟਰ",
+  "piece": "ਪੀਸ",
+  "This month": "ਇਸ ਮਹੀਨੇ",
+  "Custom range": "ਚੁਣੀ ਮਿਆਦ",
+  "Financial year": "ਵਿੱਤੀ ਸਾਲ",
+  "All time": "ਹੁਣ ਤੱਕ",
+  "all time": "ਹੁਣ ਤੱਕ",
+  "Custom": "ਆਪਣੀ",
+  "Pick a start and end date": "ਸ਼ੁਰੂ ਅਤੇ ਅਖ਼ੀਰੀ ਤਾਰੀਖ਼ ਚੁਣੋ",
+  "Cash": "ਨਕਦ",
+  "UPI": "ਯੂਪੀਆਈ",
+
+  // Stats and budgets
+  "Total Cost": "ਕੁੱਲ ਖ਼ਰਚਾ",
+  "Total": "ਕੁੱਲ",
+  "Cost": "ਖ਼ਰਚਾ",
+  "Change vs previous period": "ਪਿਛਲੀ ਮਿਆਦ ਨਾਲੋਂ ਬਦਲਾਅ",
+  "compared with {from} → {to}": "{from} → {to} ਨਾਲ ਤੁਲਨਾ",
+  "Nothing bought": "ਕੁਝ ਨਹੀਂ ਖ਼ਰੀਦਿਆ",
+  "Budget": "ਬਜਟ",
+  "Monthly budget": "ਮਹੀਨਾਵਾਰ ਬਜਟ",
+  "Set budget": "ਬਜਟ ਸੈੱਟ ਕਰੋ",
+  "Save Budget": "ਬਜਟ ਸੰਭਾਲੋ",
+  "No budget set. Set a monthly limit to track spending against it.": "ਕੋਈ ਬਜਟ ਨਹੀਂ। ਖ਼ਰਚੇ ਉੱਤੇ ਨਜ਼ਰ ਰੱਖਣ ਲਈ ਮਹੀਨਾਵਾਰ ਹੱਦ ਸੈੱਟ ਕਰੋ।",
+  "Applies to every month. Leave a field blank for no limit.": "ਹਰ ਮਹੀਨੇ ਲਾਗੂ ਹੁੰਦਾ ਹੈ। ਕੋਈ ਹੱਦ ਨਾ ਹੋਵੇ ਤਾਂ ਖ਼ਾਨਾ ਖ਼ਾਲੀ ਛੱਡੋ।",
+  "Projected month end": "ਮਹੀਨੇ ਦੇ ਅਖ਼ੀਰ ਦਾ ਅੰਦਾਜ਼ਾ",
+  "no limit": "ਕੋਈ ਹੱਦ ਨਹੀਂ",
+  "{amount} over": "{amount} ਵੱਧ",
+  "Saving takes the {budget} budget for this month to {after} of {amount}.": "ਸੰਭਾਲਣ ਨਾਲ ਇਸ ਮਹੀਨੇ ਦਾ {budget} ਬਜਟ {amount} ਵਿੱਚੋਂ {after} ਹੋ ਜਾਵੇਗਾ।",
+
+  // Calendar, day and entry dialogs
+  "Entries": "ਐਂਟਰੀਆਂ",
+  "Add Entry": "ਐਂਟਰੀ ਜੋੜੋ",
+  "Edit Entry": "ਐਂਟਰੀ ਬਦਲੋ",
+  "Save Entry": "ਐਂਟਰੀ ਸੰਭਾਲੋ",
+  "Date": "ਤਾਰੀਖ਼",
+  "Delivery": "ਡਿਲੀਵਰੀ",
+  "Product": "ਉਤਪਾਦ",
+  "Supplier": "ਦੋਧੀ",
+  "Quantity": "ਮਾਤਰਾ",
+  "Rate": "ਰੇਟ",
+  "Amount": "ਰਕਮ",
+  "e.g., 1.5": "ਜਿਵੇਂ, 1.5",
+  "Fat %": "ਫ਼ੈਟ %",
+  "SNF %": "ਐੱਸਐੱਨਐੱਫ਼ %",
+  "optional": "ਚੋਣਵਾਂ",
+  "Price will use the rate effective on {date}.": "ਕੀਮਤ {date} ਨੂੰ ਲਾਗੂ ਰੇਟ ਨਾਲ ਲੱਗੇਗੀ।",
+  "Price will use the fat / SNF chart (with a reading) or flat rate effective on {date}.": "ਕੀਮਤ {date} ਨੂੰ ਲਾਗੂ ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ (ਰੀਡਿੰਗ ਹੋਵੇ ਤਾਂ) ਜਾਂ ਸਿੱਧੇ ਰੇਟ ਨਾਲ ਲੱਗੇਗੀ।",
+  "Please pick a valid date.": "ਕਿਰਪਾ ਕਰਕੇ ਸਹੀ ਤਾਰੀਖ਼ ਚੁਣੋ।",
+  "Please enter a quantity above zero.": "ਕਿਰਪਾ ਕਰਕੇ ਸਿਫ਼ਰ ਤੋਂ ਵੱਧ ਮਾਤਰਾ ਲਿਖੋ।",
+  "Please fill both fat and SNF, or leave both blank.": "ਫ਼ੈਟ ਅਤੇ ਐੱਸਐੱਨਐੱਫ਼ ਦੋਵੇਂ ਭਰੋ, ਜਾਂ ਦੋਵੇਂ ਖ਼ਾਲੀ ਛੱਡੋ।",
+  "Fat and SNF are percentages, e.g. 4.2 and 8.5.": "ਫ਼ੈਟ ਅਤੇ ਐੱਸਐੱਨਐੱਫ਼ ਪ੍ਰਤੀਸ਼ਤ ਵਿੱਚ ਹਨ, ਜਿਵੇਂ 4.2 ਅਤੇ 8.5।",
+  "Fat {fat}% / SNF {snf}% is below {supplier}'s rate chart, so it has no price.": "ਫ਼ੈਟ {fat}% / ਐੱਸਐੱਨਐੱਫ਼ {snf}% {supplier} ਦੇ ਰੇਟ ਚਾਰਟ ਤੋਂ ਘੱਟ ਹੈ, ਇਸ ਲਈ ਇਸ ਦੀ ਕੋਈ ਕੀਮਤ ਨਹੀਂ।",
+  "Please set {supplier}'s {product} rate (effective on or before the entry date) before adding entries.": "ਐਂਟਰੀ ਜੋੜਨ ਤੋਂ ਪਹਿਲਾਂ {supplier} ਦਾ {product} ਰੇਟ (ਐਂਟਰੀ ਦੀ ਤਾਰੀਖ਼ ਜਾਂ ਉਸ ਤੋਂ ਪਹਿਲਾਂ ਤੋਂ ਲਾਗੂ) ਸੈੱਟ ਕਰੋ।",
+  "Nothing came? Mark this {slot} delivery as missed": "ਕੁਝ ਨਹੀਂ ਆਇਆ? ਇਸ {slot} ਦੀ ਡਿਲੀਵਰੀ ਨੂੰ ਖੁੰਝੀ ਦਰਜ ਕਰੋ",
+  "Expected {slot}": "{slot} ਵਿੱਚ ਉਮੀਦ",
+  "{slot} delivery missed": "{slot} ਦੀ ਡਿਲੀਵਰੀ ਖੁੰਝੀ",
+  "Adjust": "ਬਦਲੋ",
+  "Skip": "ਛੱਡੋ",
+  "skipped": "ਛੱਡੀ ਗਈ",
+  "Restore": "ਵਾਪਸ ਲਿਆਓ",
+  "No entries on this day.": "ਇਸ ਦਿਨ ਕੋਈ ਐਂਟਰੀ ਨਹੀਂ।",
+  "No entries this month. Click a date in the calendar or \"Add Entry\" to begin.": "ਇਸ ਮਹੀਨੇ ਕੋਈ ਐਂਟਰੀ ਨਹੀਂ। ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਕੈਲੰਡਰ ਵਿੱਚ ਕੋਈ ਤਾਰੀਖ਼ ਜਾਂ \"ਐਂਟਰੀ ਜੋੜੋ\" ਦਬਾਓ।",
+  "Missed deliveries": "ਖੁੰਝੀਆਂ ਡਿਲੀਵਰੀਆਂ",
+  "Delivery missed": "ਡਿਲੀਵਰੀ ਖੁੰਝੀ",
+  "{label} missed": "{label} ਖੁੰਝੀ",
+  "Mark {label} missed": "{label} ਖੁੰਝੀ ਦਰਜ ਕਰੋ",
+  "Unmark": "ਨਿਸ਼ਾਨ ਹਟਾਓ",
+
+  // Payments and ledger
+  "Balance due: {amount}": "ਬਕਾਇਆ: {amount}",
+  "Advance paid: {amount}": "ਪੇਸ਼ਗੀ ਦਿੱਤੀ: {amount}",
+  "All settled": "ਸਭ ਨਿਬੜ ਗਿਆ",
+  "{amount} due": "{amount} ਬਕਾਇਆ",
+  "{amount} advance": "{amount} ਪੇਸ਼ਗੀ",
+  "Record Payment": "ਭੁਗਤਾਨ ਦਰਜ ਕਰੋ",
+  "Edit Payment": "ਭੁਗਤਾਨ ਬਦਲੋ",
+  "Save Payment": "ਭੁਗਤਾਨ ਸੰਭਾਲੋ",
+  "Settle Month": "ਮਹੀਨਾ ਨਿਬੇੜੋ",
+  "Method": "ਤਰੀਕਾ",
+  "Note": "ਨੋਟ",
+  "Please enter a date and a payment amount above zero.": "ਕਿਰਪਾ ਕਰਕੇ ਤਾਰੀਖ਼ ਅਤੇ ਸਿਫ਼ਰ ਤੋਂ ਵੱਧ ਭੁਗਤਾਨ ਰਕਮ ਲਿਖੋ।",
+  "Current balance: {amount} due": "ਮੌਜੂਦਾ ਬਕਾਇਆ: {amount}",
+  "Current balance: {amount} (advance)": "ਮੌਜੂਦਾ ਬਕਾਇਆ: {amount} (ਪੇਸ਼ਗੀ)",
+  "Ledger": "ਖਾਤਾ",
+  "Details": "ਵੇਰਵਾ",
+  "Bought": "ਖ਼ਰੀਦਿਆ",
+  "Paid": "ਚੁਕਾਇਆ",
+  "Balance": "ਬਕਾਇਆ",
+  "Opening balance": "ਸ਼ੁਰੂਆਤੀ ਬਕਾਇਆ",
+  "Purchases": "ਖ਼ਰੀਦ",
+
+  // Export and backup
+  "Export .txt": ".txt ਨਿਰਯਾਤ ਕਰੋ",
+  "Export CSV": "CSV ਨਿਰਯਾਤ ਕਰੋ",
+  "Backup": "ਬੈਕਅੱਪ",
+  "Import / Restore": "ਆਯਾਤ / ਬਹਾਲ ਕਰੋ",
+  "Sync": "ਸਿੰਕ",
+  "Generate bill": "ਬਿੱਲ ਬਣਾਓ",
+  "Every entry": "ਸਾਰੀਆਂ ਐਂਟਰੀਆਂ",
+
+  // Profile settings
+  "New Profile": "ਨਵੀਂ ਪ੍ਰੋਫਾਈਲ",
+  "Save Profile": "ਪ੍ਰੋਫਾਈਲ ਸੰਭਾਲੋ",
+  "Name": "ਨਾਂ",
+  "e.g., Parents' flat": "ਜਿਵੇਂ, ਮਾਪਿਆਂ ਦਾ ਘਰ",
+  "Currency": "ਮੁਦਰਾ",
+  "Language, units and week": "ਭਾਸ਼ਾ, ਇਕਾਈ ਅਤੇ ਹਫ਼ਤਾ",
+  "Language": "ਭਾਸ਼ਾ",
+  "Week starts on": "ਹਫ਼ਤਾ ਸ਼ੁਰੂ ਹੁੰਦਾ ਹੈ",
+  "Show milk in": "ਦੁੱਧ ਦਿਖਾਓ",
+  "Each product's own unit": "ਹਰ ਉਤਪਾਦ ਦੀ ਆਪਣੀ ਇਕਾਈ",
+  "kg per litre": "ਕਿਲੋ ਪ੍ਰਤੀ ਲੀਟਰ",
+  "Quantities are always stored in each product's own unit; the milk unit only changes how they are shown and typed.": "ਮਾਤਰਾ ਹਮੇਸ਼ਾ ਉਤਪਾਦ ਦੀ ਆਪਣੀ ਇਕਾਈ ਵਿੱਚ ਰੱਖੀ ਜਾਂਦੀ ਹੈ; ਦੁੱਧ ਦੀ ਇਕਾਈ ਸਿਰਫ਼ ਦਿਖਾਉਣ ਅਤੇ ਲਿਖਣ ਦਾ ਤਰੀਕਾ ਬਦਲਦੀ ਹੈ।",
+  "A new profile starts empty, with its own suppliers, products, rates and payments.": "ਨਵੀਂ ਪ੍ਰੋਫਾਈਲ ਖ਼ਾਲੀ ਸ਼ੁਰੂ ਹੁੰਦੀ ਹੈ, ਆਪਣੇ ਦੋਧੀਆਂ, ਉਤਪਾਦਾਂ, ਰੇਟਾਂ ਅਤੇ ਭੁਗਤਾਨਾਂ ਨਾਲ।",
+  "Please enter a profile name.": "ਕਿਰਪਾ ਕਰਕੇ ਪ੍ਰੋਫਾਈਲ ਦਾ ਨਾਂ ਲਿਖੋ।",
+  "A litre of milk weighs about 1.03 kg; please enter a factor between 0.9 and 1.2.": "ਇੱਕ ਲੀਟਰ ਦੁੱਧ ਲਗਭਗ 1.03 ਕਿਲੋ ਦਾ ਹੁੰਦਾ ਹੈ; ਕਿਰਪਾ ਕਰਕੇ 0.9 ਤੋਂ 1.2 ਵਿਚਕਾਰ ਮੁੱਲ ਲਿਖੋ।",
+
+  // Profiles overview
+  "Couldn't read the other profiles: {error}": "ਹੋਰ ਪ੍ਰੋਫਾਈਲਾਂ ਪੜ੍ਹੀਆਂ ਨਹੀਂ ਜਾ ਸਕੀਆਂ: {error}",
+  "Profile": "ਪ੍ਰੋਫਾਈਲ",
+  "Spent": "ਖ਼ਰਚ",
+  "advance": "ਅਗਾਊਂ",
+  "due": "ਬਕਾਇਆ",
+  "Open": "ਖੋਲ੍ਹੋ",
+  "Download backup": "ਬੈਕਅੱਪ ਡਾਊਨਲੋਡ ਕਰੋ",
+  "Edit profile": "ਪ੍ਰੋਫਾਈਲ ਬਦਲੋ",
+  "Delete profile": "ਪ੍ਰੋਫਾਈਲ ਹਟਾਓ",
+  "All profiles": "ਸਾਰੀਆਂ ਪ੍ਰੋਫਾਈਲਾਂ",
+  "There is already a profile called \"{name}\".": "\"{name}\" ਨਾਂ ਦੀ ਪ੍ਰੋਫਾਈਲ ਪਹਿਲਾਂ ਹੀ ਹੈ।",
+  "Delete \"{name}\" with all its entries, rates and payments? This can't be undone.": "\"{name}\" ਨੂੰ ਉਸ ਦੀਆਂ ਸਾਰੀਆਂ ਐਂਟਰੀਆਂ, ਰੇਟਾਂ ਅਤੇ ਭੁਗਤਾਨਾਂ ਸਮੇਤ ਹਟਾਉਣਾ ਹੈ? ਇਹ ਵਾਪਸ ਨਹੀਂ ਹੋਵੇਗਾ।",
+  "Deleting the profile failed: {error}": "ਪ੍ਰੋਫਾਈਲ ਹਟਾਈ ਨਹੀਂ ਜਾ ਸਕੀ: {error}",
+  "Saving profiles failed: {error}": "ਪ੍ਰੋਫਾਈਲਾਂ ਸੰਭਾਲੀਆਂ ਨਹੀਂ ਜਾ ਸਕੀਆਂ: {error}",
+
+  // Month grid
+  "Discard the changes in this grid?": "ਇਸ ਸਾਰਣੀ ਦੀਆਂ ਤਬਦੀਲੀਆਂ ਛੱਡ ਦੇਈਏ?",
+  "Save Grid": "ਸਾਰਣੀ ਸੰਭਾਲੋ",
+  "Arrow keys / Enter to move · Ctrl+D copies the day above · paste a copied spreadsheet column into any cell · clear a cell to delete that entry": "ਤੀਰ ਕੁੰਜੀਆਂ / Enter ਨਾਲ ਅੱਗੇ ਵਧੋ · Ctrl+D ਉੱਪਰਲੇ ਦਿਨ ਦੀ ਨਕਲ ਕਰਦਾ ਹੈ · ਸਪ੍ਰੈਡਸ਼ੀਟ ਤੋਂ ਕਾਪੀ ਕੀਤਾ ਕਾਲਮ ਕਿਸੇ ਵੀ ਖ਼ਾਨੇ ਵਿੱਚ ਚਿਪਕਾਓ · ਖ਼ਾਨਾ ਖ਼ਾਲੀ ਕਰਨ ਨਾਲ ਉਹ ਐਂਟਰੀ ਹਟ ਜਾਂਦੀ ਹੈ",
+  "Day": "ਦਿਨ",
+  "Repeat the selected cell into the empty days below": "ਚੁਣੇ ਖ਼ਾਨੇ ਨੂੰ ਹੇਠਾਂ ਦੇ ਖ਼ਾਲੀ ਦਿਨਾਂ ਵਿੱਚ ਦੁਹਰਾਓ",
+  "Fill": "ਭਰੋ",
+  "{date}: \"{value}\" is not a valid {product} quantity": "{date}: \"{value}\" {product} ਦੀ ਸਹੀ ਮਾਤਰਾ ਨਹੀਂ ਹੈ",
+  "No {supplier} rate applies on these days — add a rate effective on or before them:": "ਇਨ੍ਹਾਂ ਦਿਨਾਂ ’ਤੇ {supplier} ਦਾ ਕੋਈ ਰੇਟ ਲਾਗੂ ਨਹੀਂ — ਇਨ੍ਹਾਂ ਤੋਂ ਪਹਿਲਾਂ ਜਾਂ ਇਸੇ ਦਿਨ ਤੋਂ ਲਾਗੂ ਰੇਟ ਜੋੜੋ:",
+
+  // Rates and rate changes
+  "Edit Rate from {date} ({currency} per unit)": "{date} ਤੋਂ ਲਾਗੂ ਰੇਟ ਬਦਲੋ ({currency} ਪ੍ਰਤੀ ਇਕਾਈ)",
+  "Set / Update Rates ({currency} per unit)": "ਰੇਟ ਸੈੱਟ / ਅੱਪਡੇਟ ਕਰੋ ({currency} ਪ੍ਰਤੀ ਇਕਾਈ)",
+  "Save Rates": "ਰੇਟ ਸੰਭਾਲੋ",
+  "Effective From": "ਕਦੋਂ ਤੋਂ ਲਾਗੂ",
+  "{product} Rate": "{product} ਰੇਟ",
+  "leave blank if not bought": "ਨਾ ਖ਼ਰੀਦੋ ਤਾਂ ਖ਼ਾਲੀ ਛੱਡੋ",
+  "Fat / SNF chart": "ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ",
+  "fat / SNF chart": "ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ",
+  "{product} fat / SNF chart": "{product} ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ",
+  "First row: SNF %, first column: fat %. Paste from a spreadsheet or type with commas. Entries with a fat / SNF reading use the chart; the rest use the flat rate above.": "ਪਹਿਲੀ ਕਤਾਰ: ਐੱਸਐੱਨਐੱਫ਼ %, ਪਹਿਲਾ ਕਾਲਮ: ਫ਼ੈਟ %। ਸਪ੍ਰੈਡਸ਼ੀਟ ਤੋਂ ਚਿਪਕਾਓ ਜਾਂ ਕਾਮੇ ਲਾ ਕੇ ਲਿਖੋ। ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਰੀਡਿੰਗ ਵਾਲੀਆਂ ਐਂਟਰੀਆਂ ਚਾਰਟ ਨਾਲ, ਬਾਕੀ ਉੱਪਰਲੇ ਸਿੱਧੇ ਰੇਟ ਨਾਲ ਗਿਣੀਆਂ ਜਾਂਦੀਆਂ ਹਨ।",
+  "Current latest {supplier} rate from": "{supplier} ਦਾ ਮੌਜੂਦਾ ਨਵਾਂ ਰੇਟ, ਲਾਗੂ",
+  "Current latest rate from": "ਮੌਜੂਦਾ ਨਵਾਂ ਰੇਟ, ਲਾਗੂ",
+  "what changes": "ਕੀ ਬਦਲੇਗਾ",
+  "Apply Change": "ਤਬਦੀਲੀ ਲਾਗੂ ਕਰੋ",
+  "1 entry changes price in 1 month": "1 ਮਹੀਨੇ ਵਿੱਚ 1 ਐਂਟਰੀ ਦੀ ਕੀਮਤ ਬਦਲਦੀ ਹੈ",
+  "{count} entries change price in 1 month": "1 ਮਹੀਨੇ ਵਿੱਚ {count} ਐਂਟਰੀਆਂ ਦੀ ਕੀਮਤ ਬਦਲਦੀ ਹੈ",
+  "{count} entries change price across {months} months": "{months} ਮਹੀਨਿਆਂ ਵਿੱਚ {count} ਐਂਟਰੀਆਂ ਦੀ ਕੀਮਤ ਬਦਲਦੀ ਹੈ",
+  "in total": "ਕੁੱਲ",
+  "Month": "ਮਹੀਨਾ",
+  "Before": "ਪਹਿਲਾਂ",
+  "After": "ਬਾਅਦ",
+  "Change": "ਤਬਦੀਲੀ",
+  "no rate": "ਰੇਟ ਨਹੀਂ",
+  "Tip: Set your initial rates to start tracking. Click \"Set / Update Rates\".": "ਸੁਝਾਅ: ਹਿਸਾਬ ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਪਹਿਲਾਂ ਰੇਟ ਸੈੱਟ ਕਰੋ। \"ਰੇਟ ਸੈੱਟ / ਅੱਪਡੇਟ ਕਰੋ\" ਦਬਾਓ।",
+  "Rate Timeline": "ਰੇਟ ਦਾ ਇਤਿਹਾਸ",
+  "Earlier rate": "ਪਹਿਲਾਂ ਦਾ ਰੇਟ",
+  "to {date}": "{date} ਤੱਕ",
+  "onwards": "ਤੋਂ ਅੱਗੇ",
+  "Insert between": "ਵਿਚਕਾਰ ਜੋੜੋ",
+  "Edit rate": "ਰੇਟ ਬਦਲੋ",
+  "Delete rate": "ਰੇਟ ਹਟਾਓ",
+  "Set rates": "ਰੇਟ ਸੈੱਟ ਕਰਨਾ",
+  "Delete the rate from {date}?": "{date} ਵਾਲਾ ਰੇਟ ਹਟਾਉਣਾ ਹੈ?",
+  "This would leave {count} entries without a rate ({days}). Keep an earlier rate or delete those entries first.": "ਇਸ ਨਾਲ {count} ਐਂਟਰੀਆਂ ਬਿਨਾਂ ਰੇਟ ਦੇ ਰਹਿ ਜਾਣਗੀਆਂ ({days})। ਪਹਿਲਾਂ ਦਾ ਕੋਈ ਰੇਟ ਰੱਖੋ ਜਾਂ ਪਹਿਲਾਂ ਉਹ ਐਂਟਰੀਆਂ ਹਟਾਓ।",
+  "Please fill a valid rate for {product}.": "ਕਿਰਪਾ ਕਰਕੇ {product} ਦਾ ਸਹੀ ਰੇਟ ਭਰੋ।",
+  "{product} fat / SNF chart: {error}.": "{product} ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ: {error}।",
+  "it needs a header row of SNF values and at least one fat row": "ਇਸ ਵਿੱਚ ਐੱਸਐੱਨਐੱਫ਼ ਮੁੱਲਾਂ ਦੀ ਸਿਰਲੇਖ ਕਤਾਰ ਅਤੇ ਘੱਟੋ-ਘੱਟ ਇੱਕ ਫ਼ੈਟ ਕਤਾਰ ਚਾਹੀਦੀ ਹੈ",
+  "SNF values in the header must be numbers in increasing order": "ਸਿਰਲੇਖ ਦੇ ਐੱਸਐੱਨਐੱਫ਼ ਮੁੱਲ ਵਧਦੇ ਕ੍ਰਮ ਵਿੱਚ ਅੰਕ ਹੋਣੇ ਚਾਹੀਦੇ ਹਨ",
+  "fat values in the first column must be numbers in increasing order": "ਪਹਿਲੇ ਕਾਲਮ ਦੇ ਫ਼ੈਟ ਮੁੱਲ ਵਧਦੇ ਕ੍ਰਮ ਵਿੱਚ ਅੰਕ ਹੋਣੇ ਚਾਹੀਦੇ ਹਨ",
+  "row {row} needs {count} positive prices": "ਕਤਾਰ {row} ਵਿੱਚ {count} ਧਨਾਤਮਕ ਕੀਮਤਾਂ ਚਾਹੀਦੀਆਂ ਹਨ",
+  "Please fill an effective date and at least one rate or chart.": "ਕਿਰਪਾ ਕਰਕੇ ਲਾਗੂ ਹੋਣ ਦੀ ਤਾਰੀਖ਼ ਅਤੇ ਘੱਟੋ-ਘੱਟ ਇੱਕ ਰੇਟ ਜਾਂ ਚਾਰਟ ਭਰੋ।",
+  "There is already a rate from {date}; edit that one instead.": "{date} ਤੋਂ ਇੱਕ ਰੇਟ ਪਹਿਲਾਂ ਹੀ ਹੈ; ਉਸੇ ਨੂੰ ਬਦਲੋ।",
+
+  // Schedules
+  "Delivery Schedules": "ਡਿਲੀਵਰੀ ਸ਼ਡਿਊਲ",
+  "New Schedule": "ਨਵਾਂ ਸ਼ਡਿਊਲ",
+  "Apply to {month}": "{month} ’ਤੇ ਲਾਗੂ ਕਰੋ",
+  "No schedules yet. Add one for milk you take on a fixed routine and it fills the calendar for you.": "ਅਜੇ ਕੋਈ ਸ਼ਡਿਊਲ ਨਹੀਂ। ਰੋਜ਼ ਤੈਅ ਸਮੇਂ ’ਤੇ ਆਉਣ ਵਾਲੇ ਦੁੱਧ ਲਈ ਸ਼ਡਿਊਲ ਜੋੜੋ, ਕੈਲੰਡਰ ਆਪਣੇ ਆਪ ਭਰ ਜਾਵੇਗਾ।",
+  "From {start} to {end}": "{start} ਤੋਂ {end} ਤੱਕ",
+  "From {start}": "{start} ਤੋਂ",
+  "from {start} to {end}": "{start} ਤੋਂ {end} ਤੱਕ",
+  "from {start}": "{start} ਤੋਂ",
+  "paused": "ਰੁਕਿਆ ਹੋਇਆ",
+  "holiday {from} → {to}": "ਛੁੱਟੀ {from} → {to}",
+  "paused since {from}": "{from} ਤੋਂ ਰੁਕਿਆ ਹੋਇਆ",
+  "Resume": "ਮੁੜ ਸ਼ੁਰੂ ਕਰੋ",
+  "Pause": "ਰੋਕੋ",
+  "Edit schedule": "ਸ਼ਡਿਊਲ ਬਦਲੋ",
+  "Add schedule": "ਸ਼ਡਿਊਲ ਜੋੜਨਾ",
+  "Delete schedule": "ਸ਼ਡਿਊਲ ਹਟਾਓ",
+  "Resume schedule": "ਸ਼ਡਿਊਲ ਮੁੜ ਸ਼ੁਰੂ ਕਰਨਾ",
+  "Pause schedule": "ਸ਼ਡਿਊਲ ਰੋਕਣਾ",
+  "Apply schedules": "ਸ਼ਡਿਊਲ ਲਾਗੂ ਕਰਨਾ",
+  "Edit Schedule": "ਸ਼ਡਿਊਲ ਬਦਲੋ",
+  "New Delivery Schedule": "ਨਵਾਂ ਡਿਲੀਵਰੀ ਸ਼ਡਿਊਲ",
+  "Save Schedule": "ਸ਼ਡਿਊਲ ਸੰਭਾਲੋ",
+  "Quantity ({unit}) per day": "ਰੋਜ਼ ਦੀ ਮਾਤਰਾ ({unit})",
+  "e.g., 1": "ਜਿਵੇਂ, 1",
+  "Weekdays": "ਹਫ਼ਤੇ ਦੇ ਦਿਨ",
+  "Start": "ਸ਼ੁਰੂਆਤ",
+  "End (optional)": "ਅੰਤ (ਚੋਣਵਾਂ)",
+  "Holiday pauses": "ਛੁੱਟੀ ਵਿੱਚ ਰੋਕ",
+  "Add": "ਜੋੜੋ",
+  "Past days fill in automatically; upcoming ones show faded on the calendar until they arrive. A pause without an end date lasts until the schedule is resumed.": "ਬੀਤੇ ਦਿਨ ਆਪਣੇ ਆਪ ਭਰ ਜਾਂਦੇ ਹਨ; ਆਉਣ ਵਾਲੇ ਦਿਨ ਆਉਣ ਤੱਕ ਕੈਲੰਡਰ ’ਤੇ ਫਿੱਕੇ ਦਿਸਦੇ ਹਨ। ਬਿਨਾਂ ਅਖ਼ੀਰਲੀ ਤਾਰੀਖ਼ ਵਾਲੀ ਰੋਕ ਸ਼ਡਿਊਲ ਮੁੜ ਸ਼ੁਰੂ ਕਰਨ ਤੱਕ ਚੱਲਦੀ ਹੈ।",
+  "Please enter the quantity, a start date and at least one weekday.": "ਕਿਰਪਾ ਕਰਕੇ ਮਾਤਰਾ, ਸ਼ੁਰੂਆਤ ਦੀ ਤਾਰੀਖ਼ ਅਤੇ ਘੱਟੋ-ਘੱਟ ਇੱਕ ਦਿਨ ਚੁਣੋ।",
+  "The end date must be on or after the start date.": "ਅਖ਼ੀਰਲੀ ਤਾਰੀਖ਼ ਸ਼ੁਰੂਆਤ ਦੀ ਤਾਰੀਖ਼ ਜਾਂ ਉਸ ਤੋਂ ਬਾਅਦ ਦੀ ਹੋਣੀ ਚਾਹੀਦੀ ਹੈ।",
+  "Every scheduled delivery this month is already filled in or skipped.": "ਇਸ ਮਹੀਨੇ ਦੀ ਹਰ ਸ਼ਡਿਊਲ ਡਿਲੀਵਰੀ ਪਹਿਲਾਂ ਹੀ ਭਰੀ ਜਾਂ ਛੱਡੀ ਹੋਈ ਹੈ।",
+  "Please set milk rates covering this month first.": "ਕਿਰਪਾ ਕਰਕੇ ਪਹਿਲਾਂ ਇਸ ਮਹੀਨੇ ਲਈ ਦੁੱਧ ਦੇ ਰੇਟ ਸੈੱਟ ਕਰੋ।",
+  "{count} deliveries were left out because no rate applies on their date.": "{count} ਡਿਲੀਵਰੀਆਂ ਛੱਡ ਦਿੱਤੀਆਂ ਗਈਆਂ ਕਿਉਂਕਿ ਉਨ੍ਹਾਂ ਦੀ ਤਾਰੀਖ਼ ’ਤੇ ਕੋਈ ਰੇਟ ਲਾਗੂ ਨਹੀਂ।",
+
+  // Suppliers, delivery slots and products
+  "Suppliers": "ਦੋਧੀ",
+  "New Supplier": "ਨਵਾਂ ਦੋਧੀ",
+  "No rates yet": "ਅਜੇ ਕੋਈ ਰੇਟ ਨਹੀਂ",
+  "Rates": "ਰੇਟ",
+  "Unknown supplier": "ਅਣਜਾਣ ਦੋਧੀ",
+  "Supplier name (e.g., Dairy shop)": "ਦੋਧੀ ਦਾ ਨਾਂ (ਜਿਵੇਂ, ਡੇਅਰੀ ਦੀ ਦੁਕਾਨ)",
+  "Add supplier": "ਦੋਧੀ ਜੋੜਨਾ",
+  "Rename supplier": "ਦੋਧੀ ਦਾ ਨਾਂ ਬਦਲੋ",
+  "Delete supplier": "ਦੋਧੀ ਹਟਾਓ",
+  "{supplier} still has entries, rates, payments or schedules.": "{supplier} ਦੀਆਂ ਅਜੇ ਵੀ ਐਂਟਰੀਆਂ, ਰੇਟ, ਭੁਗਤਾਨ ਜਾਂ ਸ਼ਡਿਊਲ ਹਨ।",
+  "Delivery Slots": "ਡਿਲੀਵਰੀ ਦਾ ਸਮਾਂ",
+  "New Slot": "ਨਵਾਂ ਸਮਾਂ",
+  "Slot name (e.g., Afternoon)": "ਸਮੇਂ ਦਾ ਨਾਂ (ਜਿਵੇਂ, ਦੁਪਹਿਰ)",
+  "Add slot": "ਸਮਾਂ ਜੋੜਨਾ",
+  "Rename slot": "ਸਮੇਂ ਦਾ ਨਾਂ ਬਦਲੋ",
+  "Delete slot": "ਸਮਾਂ ਹਟਾਓ",
+  "The {slot} slot still has entries, schedules or missed deliveries.": "{slot} ਸਮੇਂ ਦੀਆਂ ਅਜੇ ਵੀ ਐਂਟਰੀਆਂ, ਸ਼ਡਿਊਲ ਜਾਂ ਖੁੰਝੀਆਂ ਡਿਲੀਵਰੀਆਂ ਹਨ।",
+  "Remove the {count} entries recorded for this slot?": "ਇਸ ਸਮੇਂ ਦੀਆਂ {count} ਐਂਟਰੀਆਂ ਹਟਾਉਣੀਆਂ ਹਨ?",
+  "Products": "ਉਤਪਾਦ",
+  "New Product": "ਨਵਾਂ ਉਤਪਾਦ",
+  "per {unit}": "ਪ੍ਰਤੀ {unit}",
+  "archived": "ਸੰਭਾਲ ਕੇ ਰੱਖਿਆ",
+  "Rate history": "ਰੇਟ ਦਾ ਇਤਿਹਾਸ",
+  "Edit product": "ਉਤਪਾਦ ਬਦਲੋ",
+  "Add product": "ਉਤਪਾਦ ਜੋੜਨਾ",
+  "Archive": "ਸੰਭਾਲ ਕੇ ਰੱਖੋ",
+  "Archive product": "ਉਤਪਾਦ ਸੰਭਾਲ ਕੇ ਰੱਖਣਾ",
+  "Restore product": "ਉਤਪਾਦ ਵਾਪਸ ਲਿਆਉਣਾ",
+  "No rates set yet.": "ਅਜੇ ਕੋਈ ਰੇਟ ਸੈੱਟ ਨਹੀਂ।",
+  "Edit Product": "ਉਤਪਾਦ ਬਦਲੋ",
+  "Save Product": "ਉਤਪਾਦ ਸੰਭਾਲੋ",
+  "e.g., Paneer": "ਜਿਵੇਂ, ਪਨੀਰ",
+  "Sold per": "ਕਿਸ ਹਿਸਾਬ ਨਾਲ ਵਿਕਦਾ ਹੈ",
+  "Icon": "ਨਿਸ਼ਾਨ",
+  "an emoji, e.g. 🧀": "ਕੋਈ ਇਮੋਜੀ, ਜਿਵੇਂ 🧀",
+  "Or use a sticker:": "ਜਾਂ ਸਟਿੱਕਰ ਚੁਣੋ:",
+  "Changing the unit doesn't convert quantities already recorded.": "ਇਕਾਈ ਬਦਲਣ ਨਾਲ ਪਹਿਲਾਂ ਦਰਜ ਮਾਤਰਾਵਾਂ ਨਹੀਂ ਬਦਲਦੀਆਂ।",
+  "Please enter a product name.": "ਕਿਰਪਾ ਕਰਕੇ ਉਤਪਾਦ ਦਾ ਨਾਂ ਲਿਖੋ।",
+
+  // Bills and text export
+  "Milk bill": "ਦੁੱਧ ਦਾ ਬਿੱਲ",
+  "Monthly bill": "ਮਹੀਨੇ ਦਾ ਬਿੱਲ",
+  "Generated {date}": "{date} ਨੂੰ ਬਣਿਆ",
+  "No entries from {supplier} this month.": "ਇਸ ਮਹੀਨੇ {supplier} ਦੀ ਕੋਈ ਐਂਟਰੀ ਨਹੀਂ।",
+  "Notes": "ਟਿੱਪਣੀ",
+  "Rate changed from this day": "ਇਸ ਦਿਨ ਤੋਂ ਰੇਟ ਬਦਲਿਆ",
+  "rate changed from this day": "ਇਸ ਦਿਨ ਤੋਂ ਰੇਟ ਬਦਲਿਆ",
+  "Average fat / SNF chart price for the day": "ਦਿਨ ਦੀ ਔਸਤ ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ ਕੀਮਤ",
+  "average fat / SNF chart price": "ਔਸਤ ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ ਕੀਮਤ",
+  "Missed: {slots}": "ਖੁੰਝੀ: {slots}",
+  "Subtotal": "ਉਪ-ਜੋੜ",
+  "{count} missed": "{count} ਖੁੰਝੀਆਂ",
+  "Grand total": "ਕੁੱਲ ਜੋੜ",
+  "{count} deliveries had no price and are not included.": "{count} ਡਿਲੀਵਰੀਆਂ ਦਾ ਕੋਈ ਕੀਮਤ ਨਹੀਂ ਸੀ, ਉਹ ਸ਼ਾਮਲ ਨਹੀਂ ਹਨ।",
+  "Supplier's signature": "ਦੋਧੀ ਦੇ ਦਸਤਖ਼ਤ",
+  "Customer's signature": "ਗਾਹਕ ਦੇ ਦਸਤਖ਼ਤ",
+  "Print": "ਪ੍ਰਿੰਟ ਕਰੋ",
+  "Download PDF": "PDF ਡਾਊਨਲੋਡ ਕਰੋ",
+  "Qty": "ਮਾਤਰਾ",
+  "Unit": "ਇਕਾਈ",
+  "unit": "ਇਕਾਈ",
+  "MISSED": "ਖੁੰਝੀ",
+  "Entries from {from} to {to}": "{from} ਤੋਂ {to} ਤੱਕ ਦੀਆਂ ਐਂਟਰੀਆਂ",
+  "All entries": "ਸਾਰੀਆਂ ਐਂਟਰੀਆਂ",
+  "e.g., 2400": "ਜਿਵੇਂ, 2400",
+  "fat {fat}% · SNF {snf}%": "ਫ਼ੈਟ {fat}% · ਐੱਸਐੱਨਐੱਫ਼ {snf}%",
+
+  // Analytics
+  "Analytics": "ਵਿਸ਼ਲੇਸ਼ਣ",
+  "No priced entries in the last 12 months yet.": "ਪਿਛਲੇ 12 ਮਹੀਨਿਆਂ ਵਿੱਚ ਅਜੇ ਕੋਈ ਰੇਟ ਵਾਲੀ ਐਂਟਰੀ ਨਹੀਂ।",
+  "Daily quantity": "ਰੋਜ਼ ਦੀ ਮਾਤਰਾ",
+  "Monthly spend ({currency}), last 12 months": "ਮਹੀਨੇ ਦਾ ਖ਼ਰਚ ({currency}), ਪਿਛਲੇ 12 ਮਹੀਨੇ",
+  "Average price paid per unit ({currency})": "ਪ੍ਰਤੀ ਇਕਾਈ ਦਿੱਤੀ ਔਸਤ ਕੀਮਤ ({currency})",
+  "Average daily quantity by weekday ({unit})": "ਹਫ਼ਤੇ ਦੇ ਦਿਨ ਮੁਤਾਬਕ ਰੋਜ਼ ਦੀ ਔਸਤ ਮਾਤਰਾ ({unit})",
+  "{qty} on average": "ਔਸਤਨ {qty}",
+  "Rate change": "ਰੇਟ ਤਬਦੀਲੀ",
+  "Rate change {date}": "ਰੇਟ ਤਬਦੀਲੀ {date}",
+  "Nothing": "ਕੁਝ ਨਹੀਂ",
+
+  // Import
+  "Import": "ਆਯਾਤ",
+  "Import {file}": "{file} ਆਯਾਤ ਕਰਨਾ",
+  "Replace from {file}": "{file} ਨਾਲ ਬਦਲਣਾ",
+  "Replace ALL data with this backup?": "ਸਾਰਾ ਡਾਟਾ ਇਸ ਬੈਕਅੱਪ ਨਾਲ ਬਦਲ ਦੇਈਏ?",
+  "Replace ALL entries with the ones in this file?": "ਸਾਰੀਆਂ ਐਂਟਰੀਆਂ ਇਸ ਫ਼ਾਈਲ ਵਾਲੀਆਂ ਨਾਲ ਬਦਲ ਦੇਈਏ?",
+  "Replace": "ਬਦਲੋ",
+  "Merge": "ਮਿਲਾਓ",
+  "new": "ਨਵੀਆਂ",
+  "duplicates (skipped)": "ਦੁਹਰਾਈਆਂ (ਛੱਡੀਆਂ)",
+  "conflicts": "ਟਕਰਾਅ",
+  "Also in this backup: {rates} rates, {payments} payments, {schedules} schedules, {suppliers} suppliers, {products} products, {missed} missed deliveries, {budgets} budgets.": "ਇਸ ਬੈਕਅੱਪ ਵਿੱਚ ਇਹ ਵੀ ਹੈ: {rates} ਰੇਟ, {payments} ਭੁਗਤਾਨ, {schedules} ਸ਼ਡਿਊਲ, {suppliers} ਦੋਧੀ, {products} ਉਤਪਾਦ, {missed} ਖੁੰਝੀਆਂ ਡਿਲੀਵਰੀਆਂ, {budgets} ਬਜਟ।",
+  "Conflicts with existing entries": "ਮੌਜੂਦਾ ਐਂਟਰੀਆਂ ਨਾਲ ਟਕਰਾਅ",
+  "{here} here → {incoming} in file": "ਇੱਥੇ {here} → ਫ਼ਾਈਲ ਵਿੱਚ {incoming}",
+  "On merge, use the imported values for conflicts": "ਮਿਲਾਉਣ ਵੇਲੇ ਟਕਰਾਅ ਵਿੱਚ ਆਯਾਤ ਕੀਤੇ ਮੁੱਲ ਲਓ",
+  "1 row can't be imported": "1 ਕਤਾਰ ਆਯਾਤ ਨਹੀਂ ਹੋ ਸਕਦੀ",
+  "{count} rows can't be imported": "{count} ਕਤਾਰਾਂ ਆਯਾਤ ਨਹੀਂ ਹੋ ਸਕਦੀਆਂ",
+  "invalid date \"{value}\"": "ਗ਼ਲਤ ਤਾਰੀਖ਼ \"{value}\"",
+  "unknown slot \"{value}\"": "ਅਣਜਾਣ ਸਮਾਂ \"{value}\"",
+  "unknown supplier \"{value}\"": "ਅਣਜਾਣ ਦੋਧੀ \"{value}\"",
+  "unknown product \"{value}\"": "ਅਣਜਾਣ ਉਤਪਾਦ \"{value}\"",
+  "invalid quantity \"{value}\"": "ਗ਼ਲਤ ਮਾਤਰਾ \"{value}\"",
+  "fat and SNF must both be filled or both be blank": "ਫ਼ੈਟ ਅਤੇ ਐੱਸਐੱਨਐੱਫ਼ ਦੋਵੇਂ ਭਰੋ ਜਾਂ ਦੋਵੇਂ ਖ਼ਾਲੀ ਛੱਡੋ",
+  "invalid fat / SNF \"{fat}\" / \"{snf}\"": "ਗ਼ਲਤ ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ \"{fat}\" / \"{snf}\"",
+  "The CSV needs at least date, product and quantity columns.": "CSV ਵਿੱਚ ਘੱਟੋ-ਘੱਟ ਤਾਰੀਖ਼, ਉਤਪਾਦ ਅਤੇ ਮਾਤਰਾ ਦੇ ਕਾਲਮ ਹੋਣੇ ਚਾਹੀਦੇ ਹਨ।",
+  "Line {n}: {error}": "ਲਾਈਨ {n}: {error}",
+  "The file is not valid JSON.": "ਫ਼ਾਈਲ ਸਹੀ JSON ਨਹੀਂ ਹੈ।",
+  "This doesn't look like a Dairy Expense Tracker backup.": "ਇਹ ਡੇਅਰੀ ਖ਼ਰਚ ਟ੍ਰੈਕਰ ਦਾ ਬੈਕਅੱਪ ਨਹੀਂ ਲੱਗਦਾ।",
+  "Backup schema version {version} is newer than this app understands ({supported}).": "ਬੈਕਅੱਪ ਦਾ ਸਕੀਮਾ ਸੰਸਕਰਣ {version} ਇਸ ਐਪ ({supported}) ਤੋਂ ਨਵਾਂ ਹੈ।",
+  "Entry {n}: {error}": "ਐਂਟਰੀ {n}: {error}",
+  "Rate {n}: invalid effective date, prices or fat / SNF chart": "ਰੇਟ {n}: ਗ਼ਲਤ ਲਾਗੂ ਤਾਰੀਖ਼, ਕੀਮਤ ਜਾਂ ਫ਼ੈਟ / ਐੱਸਐੱਨਐੱਫ਼ ਚਾਰਟ",
+  "Payment {n}: invalid date or amount": "ਭੁਗਤਾਨ {n}: ਗ਼ਲਤ ਤਾਰੀਖ਼ ਜਾਂ ਰਕਮ",
+  "Missed delivery {n}: invalid date, supplier or slot": "ਖੁੰਝੀ ਡਿਲੀਵਰੀ {n}: ਗ਼ਲਤ ਤਾਰੀਖ਼, ਦੋਧੀ ਜਾਂ ਸਮਾਂ",
+
+  // Sync
+  "Sync now": "ਹੁਣੇ ਸਿੰਕ ਕਰੋ",
+  "Syncing…": "ਸਿੰਕ ਹੋ ਰਿਹਾ ਹੈ…",
+  "Sync server": "ਸਿੰਕ ਸਰਵਰ",
+  "File": "ਫ਼ਾਈਲ",
+  "Server address": "ਸਰਵਰ ਦਾ ਪਤਾ",
+  "Space": "ਸਪੇਸ",
+  "Access token": "ਐਕਸੈਸ ਟੋਕਨ",
+  "Sync file": "ਸਿੰਕ ਫ਼ਾਈਲ",
+  "Choose file…": "ਫ਼ਾਈਲ ਚੁਣੋ…",
+  "none yet": "ਅਜੇ ਕੋਈ ਨਹੀਂ",
+  "This browser can't write to the file, so the merged copy is downloaded; use it to replace the old one.": "ਇਹ ਬ੍ਰਾਊਜ਼ਰ ਫ਼ਾਈਲ ਵਿੱਚ ਲਿਖ ਨਹੀਂ ਸਕਦਾ, ਇਸ ਲਈ ਮਿਲਾਈ ਕਾਪੀ ਡਾਊਨਲੋਡ ਹੁੰਦੀ ਹੈ; ਪੁਰਾਣੀ ਫ਼ਾਈਲ ਦੀ ਥਾਂ ਇਸ ਨੂੰ ਰੱਖੋ।",
+  "Passphrase": "ਪਾਸਫ਼ਰੇਜ਼",
+  "Every device needs the same passphrase. It is never saved, and without it the synced copy can't be read.": "ਹਰ ਡਿਵਾਈਸ ’ਤੇ ਇੱਕੋ ਪਾਸਫ਼ਰੇਜ਼ ਚਾਹੀਦਾ ਹੈ। ਇਹ ਕਦੇ ਸੰਭਾਲਿਆ ਨਹੀਂ ਜਾਂਦਾ, ਅਤੇ ਇਸ ਤੋਂ ਬਿਨਾਂ ਸਿੰਕ ਦੀ ਕਾਪੀ ਪੜ੍ਹੀ ਨਹੀਂ ਜਾ ਸਕਦੀ।",
+  "Last synced {time}": "ਪਿਛਲਾ ਸਿੰਕ {time}",
+  "Not synced yet": "ਅਜੇ ਸਿੰਕ ਨਹੀਂ ਹੋਇਆ",
+  "resolve conflicts": "ਟਕਰਾਅ ਸੁਲਝਾਓ",
+  "Apply merge": "ਮਿਲਾਨ ਲਾਗੂ ਕਰੋ",
+  "1 record was changed differently here and on the other device since the last sync.": "ਪਿਛਲੇ ਸਿੰਕ ਤੋਂ ਬਾਅਦ 1 ਰਿਕਾਰਡ ਇੱਥੇ ਅਤੇ ਦੂਜੇ ਡਿਵਾਈਸ ’ਤੇ ਵੱਖ-ਵੱਖ ਬਦਲਿਆ ਗਿਆ।",
+  "{count} records were changed differently here and on the other device since the last sync.": "ਪਿਛਲੇ ਸਿੰਕ ਤੋਂ ਬਾਅਦ {count} ਰਿਕਾਰਡ ਇੱਥੇ ਅਤੇ ਦੂਜੇ ਡਿਵਾਈਸ ’ਤੇ ਵੱਖ-ਵੱਖ ਬਦਲੇ ਗਏ।",
+  "Pick the version to keep; everything else is merged already.": "ਕਿਹੜਾ ਰੂਪ ਰੱਖਣਾ ਹੈ ਚੁਣੋ; ਬਾਕੀ ਸਭ ਪਹਿਲਾਂ ਹੀ ਮਿਲਾ ਦਿੱਤਾ ਗਿਆ ਹੈ।",
+  "Keep all from this device": "ਸਭ ਇਸ ਡਿਵਾਈਸ ਦਾ ਰੱਖੋ",
+  "Take all from other device": "ਸਭ ਦੂਜੇ ਡਿਵਾਈਸ ਤੋਂ ਲਓ",
+  "This device": "ਇਹ ਡਿਵਾਈਸ",
+  "Other device": "ਦੂਜਾ ਡਿਵਾਈਸ",
+  "deleted": "ਹਟਾਇਆ ਗਿਆ",
+  "Entry": "ਐਂਟਰੀ",
+  "Payment": "ਭੁਗਤਾਨ",
+  "Schedule": "ਸ਼ਡਿਊਲ",
+  "Delivery slot": "ਡਿਲੀਵਰੀ ਦਾ ਸਮਾਂ",
+  "Missed delivery": "ਖੁੰਝੀ ਡਿਲੀਵਰੀ",
+  "Couldn't read the sync settings: {error}": "ਸਿੰਕ ਸੈਟਿੰਗਾਂ ਪੜ੍ਹੀਆਂ ਨਹੀਂ ਜਾ ਸਕੀਆਂ: {error}",
+  "Sync failed: {error}": "ਸਿੰਕ ਨਹੀਂ ਹੋ ਸਕਿਆ: {error}",
+  "Please enter a sync passphrase of at least 8 characters.": "ਕਿਰਪਾ ਕਰਕੇ ਘੱਟੋ-ਘੱਟ 8 ਅੱਖਰਾਂ ਦਾ ਸਿੰਕ ਪਾਸਫ਼ਰੇਜ਼ ਲਿਖੋ।",
+  "Please enter the server address, e.g. {url}.": "ਕਿਰਪਾ ਕਰਕੇ ਸਰਵਰ ਦਾ ਪਤਾ ਲਿਖੋ, ਜਿਵੇਂ {url}।",
+  "The sync space name may only use letters, digits, - and _ (up to 64).": "ਸਿੰਕ ਸਪੇਸ ਦੇ ਨਾਂ ਵਿੱਚ ਸਿਰਫ਼ ਅੱਖਰ, ਅੰਕ, - ਅਤੇ _ ਹੋ ਸਕਦੇ ਹਨ (64 ਤੱਕ)।",
+  "Another device synced in the meantime, so nothing was changed. Please sync again.": "ਇਸ ਦੌਰਾਨ ਕਿਸੇ ਹੋਰ ਡਿਵਾਈਸ ਨੇ ਸਿੰਕ ਕੀਤਾ, ਇਸ ਲਈ ਕੁਝ ਨਹੀਂ ਬਦਲਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਮੁੜ ਸਿੰਕ ਕਰੋ।",
+  "This isn't a Dairy Expense Tracker sync file.": "ਇਹ ਡੇਅਰੀ ਖ਼ਰਚ ਟ੍ਰੈਕਰ ਦੀ ਸਿੰਕ ਫ਼ਾਈਲ ਨਹੀਂ ਹੈ।",
+  "Wrong passphrase, or the sync copy is damaged.": "ਪਾਸਫ਼ਰੇਜ਼ ਗ਼ਲਤ ਹੈ, ਜਾਂ ਸਿੰਕ ਦੀ ਕਾਪੀ ਖ਼ਰਾਬ ਹੈ।",
+  "The chosen file is not a sync file.": "ਚੁਣੀ ਫ਼ਾਈਲ ਸਿੰਕ ਫ਼ਾਈਲ ਨਹੀਂ ਹੈ।",
+  "Dairy tracker sync file": "ਡੇਅਰੀ ਟ੍ਰੈਕਰ ਦੀ ਸਿੰਕ ਫ਼ਾਈਲ",
+
+  // Storage, settling up and other messages
+  "Loading your milk diary…": "ਤੁਹਾਡੀ ਦੁੱਧ ਡਾਇਰੀ ਖੁੱਲ੍ਹ ਰਹੀ ਹੈ…",
+  "Designed by Kirandeep with ❤️ in a cute pastel theme 🧁 – data stays in your browser (IndexedDB).": "ਕਿਰਨਦੀਪ ਨੇ ❤️ ਨਾਲ ਪਿਆਰੀ ਪੇਸਟਲ ਥੀਮ ਵਿੱਚ ਬਣਾਇਆ 🧁 – ਡਾਟਾ ਤੁਹਾਡੇ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਹੀ ਰਹਿੰਦਾ ਹੈ (IndexedDB)।",
+  "Couldn't open the browser database, so changes won't be saved: {error}": "ਬ੍ਰਾਊਜ਼ਰ ਡਾਟਾਬੇਸ ਨਹੀਂ ਖੁੱਲ੍ਹ ਸਕਿਆ, ਇਸ ਲਈ ਤਬਦੀਲੀਆਂ ਸੰਭਾਲੀਆਂ ਨਹੀਂ ਜਾਣਗੀਆਂ: {error}",
+  "Some saved data couldn't be read ({count} collections). The readable rows were loaded and a copy of the original was kept in the browser database.": "ਕੁਝ ਸੰਭਾਲਿਆ ਡਾਟਾ ਪੜ੍ਹਿਆ ਨਹੀਂ ਜਾ ਸਕਿਆ ({count} ਸੰਗ੍ਰਹਿ)। ਪੜ੍ਹਨਯੋਗ ਕਤਾਰਾਂ ਖੋਲ੍ਹ ਦਿੱਤੀਆਂ ਗਈਆਂ ਅਤੇ ਅਸਲ ਦੀ ਇੱਕ ਕਾਪੀ ਬ੍ਰਾਊਜ਼ਰ ਡਾਟਾਬੇਸ ਵਿੱਚ ਰੱਖੀ ਗਈ।",
+  "Saving failed: {error}": "ਸੰਭਾਲਿਆ ਨਹੀਂ ਜਾ ਸਕਿਆ: {error}",
+  "The tracker is open in another tab with an older version; close it and reload.": "ਟ੍ਰੈਕਰ ਕਿਸੇ ਹੋਰ ਟੈਬ ਵਿੱਚ ਪੁਰਾਣੇ ਸੰਸਕਰਣ ਨਾਲ ਖੁੱਲ੍ਹਾ ਹੈ; ਉਸ ਨੂੰ ਬੰਦ ਕਰਕੇ ਪੇਜ ਮੁੜ ਖੋਲ੍ਹੋ।",
+  "Please enter a valid {budget} budget.": "ਕਿਰਪਾ ਕਰਕੇ {budget} ਦਾ ਸਹੀ ਬਜਟ ਲਿਖੋ।",
+  "Nothing outstanding up to the end of {month}.": "{month} ਦੇ ਅੰਤ ਤੱਕ ਕੁਝ ਬਕਾਇਆ ਨਹੀਂ।",
+  "{amount} to {supplier}": "{supplier} ਨੂੰ {amount}",
+  "Record {payments} to settle up to the end of {month}?": "{month} ਦੇ ਅੰਤ ਤੱਕ ਦਾ ਹਿਸਾਬ ਚੁਕਾਉਣ ਲਈ {payments} ਦਰਜ ਕਰੀਏ?",
+  "Settled {month}": "{month} ਦਾ ਹਿਸਾਬ ਚੁਕਤਾ",
+
+  // App updates (UpdatePrompt.jsx)
+  "A new version of the tracker is available.": "ਟ੍ਰੈਕਰ ਦਾ ਨਵਾਂ ਸੰਸਕਰਣ ਉਪਲਬਧ ਹੈ।",
+  "The tracker is ready to work offline.": "ਟ੍ਰੈਕਰ ਹੁਣ ਇੰਟਰਨੈੱਟ ਤੋਂ ਬਿਨਾਂ ਵੀ ਚੱਲੇਗਾ।",
+  "Later": "ਬਾਅਦ ਵਿੱਚ",
+  "OK": "ਠੀਕ ਹੈ",
+  "Update": "ਅੱਪਡੇਟ ਕਰੋ",
+};
+
+const CATALOGS = { hi, pa };
+
+// translate("hi", "Balance due: {amount}", { amount: "₹120.00" }) -> "बकाया: ₹120.00"
+export function translate(localeId, text, params) {
+  const out = CATALOGS[localeId]?.[text] ?? text;
+  return params ? out.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match)) : out;
+}
@@ -0,0 +1,23 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { translate } from "./i18n.js";
+
+// Literal keys in the UI: t("...") calls and the undo labels given to record("...")
+const ui = ["./App.jsx", "./UpdatePrompt.jsx"].map((file) => readFileSync(new URL(file, import.meta.url), "utf8")).join("\n");
+const keys = [...new Set([...ui.matchAll(/\b(?:t|record)\(\s*("(?:[^"\\]|\\.)*")/g)].map((m) => JSON.parse(m[1])))];
+
+describe("translations", () => {
+  it("finds the keys used by the UI", () => {
+    expect(keys.length).toBeGreaterThan(200);
+    expect(keys).toContain("A new version of the tracker is available.");
+  });
+
+  it.each(["hi", "pa"])("has a %s translation for every key", (locale) => {
+    expect(keys.filter((key) => translate(locale, key) === key)).toEqual([]);
+  });
+
+  it("fills in placeholders", () => {
+    expect(translate("hi", "Balance due: {amount}", { amount: "₹120.00" })).toBe("बकाया: ₹120.00");
+    expect(translate("en", "{count} missed", { count: 2 })).toBe("2 missed");
+  });
+});
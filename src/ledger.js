@@ -0,0 +1,442 @@
+/**
+ * Entries, rates and totals for the Milk Dairy Tracker, free of React and the browser
+ * - Dates are "YYYY-MM-DD" keys in local time; Date objects only appear for month navigation and the calendar
+ * - Rate rows: { supplierId, effectiveFrom, prices: { productId: price }, charts?: { productId: chart } }.
+ *   Functions that look prices up expect the rows sorted by effectiveFrom (see sortRates)
+ * - Anything unpriced (no rate on or before its date, or a reading below the chart) is left out of totals
+ * - Validation returns [value, null] or [null, { message, params }]; the message is English with "{name}"
+ *   placeholders so the UI can translate it and fill in names (`supplier` and `product` params are ids)
+ */
+
+// Record ids: random UUIDs where the platform has them
+export const newId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Dates
+
+export const pad = (n) => String(n).padStart(2, "0");
+export const toKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+export const todayKey = () => toKey(new Date());
+export const parseKey = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+export const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+export const endOfMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0);
+// Calendar arithmetic, so a day is always a day even when the clocks change
+export const addDays = (key, n) => {
+  const d = parseKey(key);
+  d.setDate(d.getDate() + n);
+  return toKey(d);
+};
+export const isDateKey = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && toKey(parseKey(v)) === v;
+export const monthBounds = (date) => ({ from: toKey(startOfMonth(date)), to: toKey(endOfMonth(date)) });
+
+// Bounds of a Stats period ({ kind: "month" | "range" | "fy" | "all", from?, to? }) around the visible month.
+// Bounds are inclusive date keys; "all" (and an incomplete range) has none.
+export function periodBounds(period, month) {
+  if (period.kind === "month") return monthBounds(month);
+  if (period.kind === "range") {
+    if (!period.from || !period.to || period.from > period.to) return null;
+    return { from: period.from, to: period.to };
+  }
+  if (period.kind === "fy") {
+    // Indian financial year: 1 April – 31 March
+    const y = month.getMonth() >= 3 ? month.getFullYear() : month.getFullYear() - 1;
+    return { from: `${y}-04-01`, to: `${y + 1}-03-31` };
+  }
+  return null;
+}
+
+export function previousBounds(period, bounds) {
+  if (!bounds) return null;
+  if (period.kind === "month") {
+    const prev = parseKey(bounds.from);
+    prev.setMonth(prev.getMonth() - 1);
+    return monthBounds(prev);
+  }
+  if (period.kind === "fy") {
+    const y = Number(bounds.from.slice(0, 4)) - 1;
+    return { from: `${y}-04-01`, to: `${y + 1}-03-31` };
+  }
+  // Custom range: the same number of days immediately before it
+  const days = Math.round((parseKey(bounds.to) - parseKey(bounds.from)) / 86400000) + 1;
+  return { from: addDays(bounds.from, -days), to: addDays(bounds.from, -1) };
+}
+
+// Calendar weeks as rows of dates; weekStart is the first column's day (0 = Sunday, 1 = Monday, ...)
+export function daysMatrix(activeDate, weekStart = 1) {
+  const start = startOfMonth(activeDate);
+  const end = endOfMonth(activeDate);
+  const startIdx = (start.getDay() - weekStart + 7) % 7;
+  const rows = Math.ceil((startIdx + end.getDate()) / 7);
+  const matrix = [];
+  let cursor = new Date(start);
+  cursor.setDate(cursor.getDate() - startIdx);
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < 7; c++) {
+      row.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    matrix.push(row);
+  }
+  return matrix;
+}
+
+// Schedules: { id, supplierId, slot, type (product id), qty, weekdays: [getDay()...], start, end, active, pauses: [{from, to}], skips: [date] }
+// A pause with no `to` lasts until the schedule is resumed; `active: false` is how earlier versions paused
+
+export function scheduleRunsOn(schedule, key) {
+  if (!schedule.active || key < schedule.start || (schedule.end && key > schedule.end)) return false;
+  if (!schedule.weekdays.includes(parseKey(key).getDay())) return false;
+  return !schedule.pauses.some((p) => key >= p.from && (!p.to || key <= p.to));
+}
+
+export const schedulePaused = (schedule) => !schedule.active || schedule.pauses.some((p) => !p.to);
+
+// Pausing opens a pause from `today`; resuming closes it the day before, so the paused days stay unfilled.
+// Both return the changed fields.
+export const pauseSchedule = (schedule, today) => ({ pauses: [...schedule.pauses, { from: today, to: "" }] });
+
+export function resumeSchedule(schedule, today, entries = []) {
+  const yesterday = addDays(today, -1);
+  const pauses = schedule.pauses.map((p) => (p.to ? p : { ...p, to: yesterday }));
+  if (!schedule.active) {
+    // Paused by an earlier version, which didn't record when: everything since its last delivery counts as paused
+    const last = entries.reduce((max, e) => (e.scheduleId === schedule.id && e.date > max ? e.date : max), "");
+    pauses.push({ from: last ? addDays(last, 1) : schedule.start, to: yesterday });
+  }
+  return { active: true, pauses: pauses.filter((p) => p.from <= p.to) };
+}
+
+// Missed deliveries: { id, date, supplierId, slot }
+export const missedKey = (m) => `${m.date}|${m.supplierId}|${m.slot}`;
+
+// Deliveries due between `from` and `to` (inclusive) that have neither become an entry, been skipped nor been marked missed
+export function pendingDeliveries(entries, schedules, from, to, missed = []) {
+  const done = new Set(entries.filter((e) => e.scheduleId).map((e) => `${e.scheduleId}|${e.date}`));
+  const missedSlots = new Set(missed.map(missedKey));
+  const out = [];
+  for (const s of schedules) {
+    const last = s.end && s.end < to ? s.end : to;
+    for (let key = s.start > from ? s.start : from; key <= last; key = addDays(key, 1)) {
+      if (!scheduleRunsOn(s, key) || s.skips.includes(key) || done.has(`${s.id}|${key}`)) continue;
+      if (missedSlots.has(missedKey({ date: key, supplierId: s.supplierId, slot: s.slot }))) continue;
+      out.push({ scheduleId: s.id, supplierId: s.supplierId, slot: s.slot, date: key, type: s.type, qty: s.qty });
+    }
+  }
+  return out;
+}
+
+// Returns `entries` itself when nothing needs filling, so it is safe inside a state updater.
+// Filled entries get an id made of the schedule and day, so every device that fills the same delivery agrees on it
+export const scheduledEntryId = (d) => `${d.scheduleId}|${d.date}`;
+export function fillFromSchedules(entries, schedules, from, to, hasRate, missed) {
+  const pending = pendingDeliveries(entries, schedules, from, to, missed).filter(hasRate);
+  if (pending.length === 0) return entries;
+  return [...entries, ...pending.map((d) => ({ id: scheduledEntryId(d), ...d }))];
+}
+
+// Fat / SNF rate charts: { fat: [%...], snf: [%...], prices: [[price for fat[i], snf[j]]] }, both axes ascending.
+// A reading is priced at the nearest chart values at or below it; below the chart there is no price.
+export function chartPrice(chart, fat, snf) {
+  const i = chart.fat.findLastIndex((v) => v <= fat);
+  const j = chart.snf.findLastIndex((v) => v <= snf);
+  return i < 0 || j < 0 ? null : chart.prices[i][j] ?? null;
+}
+
+// Charts are edited as text: a header row of SNF values, then one row per fat value, e.g.
+//   fat\snf, 8.0, 8.5
+//   3.5,      38,  40
+export const chartToText = (chart) =>
+  [["fat\\snf", ...chart.snf], ...chart.fat.map((f, i) => [f, ...chart.prices[i]])].map((r) => r.join(", ")).join("\n");
+
+// -> [chart, null] or [null, { message, params }]
+export function parseChart(text) {
+  const rows = text.split(/\r\n|\n|\r/).map((line) => line.split(/[,\t]/).map((c) => c.trim())).filter((r) => r.some((c) => c !== ""));
+  if (rows.length < 2) return invalid("it needs a header row of SNF values and at least one fat row");
+  const nums = (cells) => cells.map(Number);
+  const ascending = (list) => list.every((v, i) => v > 0 && (i === 0 || v > list[i - 1]));
+  const snf = nums(rows[0].slice(1));
+  const fat = nums(rows.slice(1).map((r) => r[0]));
+  const prices = rows.slice(1).map((r) => nums(r.slice(1)));
+  if (!snf.length || !ascending(snf)) return invalid("SNF values in the header must be numbers in increasing order");
+  if (!ascending(fat)) return invalid("fat values in the first column must be numbers in increasing order");
+  const bad = prices.findIndex((r) => r.length !== snf.length || r.some((v) => !(v > 0)));
+  if (bad >= 0) return invalid("row {row} needs {count} positive prices", { row: bad + 2, count: snf.length });
+  return [{ fat, snf, prices }, null];
+}
+
+export const isChart = (c) => c && Array.isArray(c.fat) && Array.isArray(c.snf) && Array.isArray(c.prices) && c.prices.length === c.fat.length;
+
+// Rates
+
+export const sortRates = (rates) => [...rates].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+// Rate rows have no id: a supplier has at most one row per effective date
+export const sameRate = (a, b) => a.supplierId === b.supplierId && a.effectiveFrom === b.effectiveFrom;
+
+export function latestRate(rates, supplierId) {
+  const own = rates.filter((r) => r.supplierId === supplierId);
+  return own[own.length - 1];
+}
+
+// Price per unit of a product from a supplier on a date: the latest rate row on or before
+// the date that prices that product, or null when there is none
+export function rateForDate(rates, dateKey, supplierId, productId) {
+  let found = null;
+  for (const r of rates) {
+    if (r.effectiveFrom > dateKey) break;
+    if (r.supplierId === supplierId && r.prices[productId] != null) found = r.prices[productId];
+  }
+  return found;
+}
+
+// Fat / SNF chart for a product from a supplier on a date, from the latest rate row on or before it that has one
+export function chartForDate(rates, dateKey, supplierId, productId) {
+  let found = null;
+  for (const r of rates) {
+    if (r.effectiveFrom > dateKey) break;
+    if (r.supplierId === supplierId && r.charts?.[productId]) found = r.charts[productId];
+  }
+  return found;
+}
+
+export const hasReading = (e) => e.fat != null && e.snf != null;
+
+// Unit price of an entry (or scheduled delivery): from the chart when it carries a fat / SNF reading
+// and a chart applies, otherwise the flat rate; null when unpriced
+export function entryPrice(rates, e) {
+  const chart = hasReading(e) && chartForDate(rates, e.date, e.supplierId, e.type);
+  return chart ? chartPrice(chart, e.fat, e.snf) : rateForDate(rates, e.date, e.supplierId, e.type);
+}
+
+// { productId: { price, from } } as of the supplier's latest rate row
+export function currentPrices(rates, supplierId) {
+  const out = {};
+  for (const r of rates) {
+    if (r.supplierId !== supplierId) continue;
+    for (const [id, price] of Object.entries(r.prices)) if (price != null) out[id] = { price, from: r.effectiveFrom };
+  }
+  return out;
+}
+
+// What a proposed set of rate rows (any order) does to existing entries:
+// { changed: [{ entry, before, after }] (unit prices), months: [{ month, before, after }] (money), unpriced: entries left without a price }
+export function rateImpact(entries, rates, nextRates) {
+  const next = sortRates(nextRates);
+  const changed = [], unpriced = [], months = new Map();
+  for (const e of entries) {
+    const before = entryPrice(rates, e), after = entryPrice(next, e);
+    if (before === after) continue;
+    if (after == null) { unpriced.push(e); continue; }
+    changed.push({ entry: e, before, after });
+    const m = months.get(e.date.slice(0, 7)) ?? { month: e.date.slice(0, 7), before: 0, after: 0 };
+    m.before += (before ?? 0) * e.qty;
+    m.after += after * e.qty;
+    months.set(m.month, m);
+  }
+  changed.sort((a, b) => a.entry.date.localeCompare(b.entry.date));
+  return { changed, unpriced, months: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)) };
+}
+
+// Totals
+
+// Cost and quantities of the priced entries within `bounds` (all of them when null):
+// { cost, byProduct: Map productId -> { qty, cost }, bySupplier: Map supplierId -> { qty: { productId: qty }, cost } }
+export function summarize(entries, rates, bounds) {
+  let cost = 0;
+  const byProduct = new Map();
+  const bySupplier = new Map();
+  for (const e of entries) {
+    if (bounds && (e.date < bounds.from || e.date > bounds.to)) continue;
+    const price = entryPrice(rates, e);
+    if (price == null) continue;
+    const amount = price * e.qty;
+    cost += amount;
+    const prod = byProduct.get(e.type) || { qty: 0, cost: 0 };
+    byProduct.set(e.type, { qty: prod.qty + e.qty, cost: prod.cost + amount });
+    const sup = bySupplier.get(e.supplierId) || { qty: {}, cost: 0 };
+    sup.qty[e.type] = (sup.qty[e.type] ?? 0) + e.qty;
+    sup.cost += amount;
+    bySupplier.set(e.supplierId, sup);
+  }
+  return { cost, byProduct, bySupplier };
+}
+
+// Per-day summaries for the calendar between `from` and `to`, including scheduled deliveries not yet entered.
+// Map date -> { byProduct, bySlot: Map slot -> Map productId -> qty, cost, bySupplier, expected, missed };
+// entries keep the order they are passed in.
+export function daySummaries(entries, rates, { schedules = [], missed = [], from, to }) {
+  const map = new Map();
+  const day = (key) => {
+    if (!map.has(key)) map.set(key, { byProduct: new Map(), bySlot: new Map(), cost: 0, bySupplier: new Map(), expected: [], missed: [] });
+    return map.get(key);
+  };
+  const inRange = (key) => key >= from && key <= to;
+  for (const e of entries) {
+    if (!inRange(e.date)) continue;
+    const amount = (entryPrice(rates, e) ?? 0) * e.qty;
+    const obj = day(e.date);
+    obj.byProduct.set(e.type, (obj.byProduct.get(e.type) ?? 0) + e.qty);
+    if (!obj.bySlot.has(e.slot)) obj.bySlot.set(e.slot, new Map());
+    obj.bySlot.get(e.slot).set(e.type, (obj.bySlot.get(e.slot).get(e.type) ?? 0) + e.qty);
+    obj.cost += amount;
+    obj.bySupplier.set(e.supplierId, (obj.bySupplier.get(e.supplierId) ?? 0) + amount);
+  }
+  for (const d of pendingDeliveries(entries, schedules, from, to, missed)) day(d.date).expected.push(d);
+  for (const m of missed) if (inRange(m.date)) day(m.date).missed.push(m);
+  return map;
+}
+
+// Month-end spend for the month holding `today` if each supplier's daily average so far continues, each remaining
+// day priced at the rate in force that day: { total, byProduct: Map productId -> cost }, or null when `date` is another month
+export function projectMonth(entries, rates, date, today = todayKey()) {
+  const { from, to } = monthBounds(date);
+  if (today < from || today > to) return null;
+  const elapsed = Number(today.slice(8));
+  const remaining = [];
+  for (let day = addDays(today, 1); day <= to; day = addDays(day, 1)) remaining.push(day);
+  const sum = summarize(entries, rates, { from, to });
+  const byProduct = new Map([...sum.byProduct].map(([id, v]) => [id, v.cost]));
+  let total = sum.cost;
+  for (const [supplierId, sup] of summarize(entries, rates, { from, to: today }).bySupplier) {
+    for (const [id, qty] of Object.entries(sup.qty)) {
+      const prices = remaining.reduce((acc, day) => acc + (rateForDate(rates, day, supplierId, id) ?? 0), 0);
+      const extra = (qty / elapsed) * prices;
+      byProduct.set(id, (byProduct.get(id) ?? 0) + extra);
+      total += extra;
+    }
+  }
+  return { total, byProduct };
+}
+
+// Ledger: one cost row per day and supplier (date-correct rates) plus each payment, with a running balance.
+// A positive balance is owed to the supplier(s); a negative one is an advance.
+export function ledgerRows(entries, rates, payments) {
+  const costByDay = new Map();
+  for (const e of entries) {
+    const price = entryPrice(rates, e);
+    if (price == null) continue;
+    const key = `${e.date}|${e.supplierId}`;
+    costByDay.set(key, (costByDay.get(key) ?? 0) + price * e.qty);
+  }
+  const rows = [
+    ...[...costByDay].map(([key, amount]) => {
+      const [date, supplierId] = key.split("|");
+      return { id: `cost-${key}`, date, supplierId, kind: "cost", amount };
+    }),
+    ...payments.map((p) => ({ id: p.id, date: p.date, supplierId: p.supplierId, kind: "payment", amount: p.amount, payment: p })),
+  ].sort((a, b) => a.date.localeCompare(b.date) || (a.kind === "cost" ? -1 : 1));
+  let balance = 0;
+  for (const row of rows) {
+    balance += row.kind === "cost" ? row.amount : -row.amount;
+    row.balance = balance;
+  }
+  return rows;
+}
+
+// Map supplierId -> balance
+export function balancesBySupplier(rows) {
+  const map = new Map();
+  for (const row of rows) map.set(row.supplierId, (map.get(row.supplierId) ?? 0) + (row.kind === "cost" ? row.amount : -row.amount));
+  return map;
+}
+
+// Everything consumed from a supplier up to `end`, minus every payment made to them so far
+export function outstanding(rows, supplierId, end) {
+  let due = 0;
+  for (const row of rows) {
+    if (row.supplierId !== supplierId) continue;
+    if (row.kind === "cost" && row.date <= end) due += row.amount;
+    if (row.kind === "payment") due -= row.amount;
+  }
+  return Math.round(due * 100) / 100;
+}
+
+// Spend within `bounds` and overall balance of a profile's saved data (rates in any order):
+// { cost, qty: { unit: quantity }, bought, paid, balance }
+export function profileSummary(data, { from, to }) {
+  const rates = sortRates(data.rates);
+  const unitOf = (id) => data.products.find((p) => p.id === id)?.unit ?? "kg";
+  const out = { cost: 0, qty: {}, bought: 0, paid: 0 };
+  for (const e of data.entries) {
+    const amount = (entryPrice(rates, e) ?? 0) * e.qty;
+    out.bought += amount;
+    if (e.date < from || e.date > to) continue;
+    out.cost += amount;
+    out.qty[unitOf(e.type)] = (out.qty[unitOf(e.type)] ?? 0) + e.qty;
+  }
+  for (const p of data.payments) out.paid += p.amount;
+  return { ...out, balance: out.bought - out.paid };
+}
+
+// Validation
+
+const invalid = (message, params = {}) => [null, { message, params }];
+
+// Checks a draft entry (strings from a form are fine) against sorted rates -> [entry, null] or [null, error]
+export function validateEntry(draft, rates) {
+  const entry = { id: draft.id ?? newId(), date: draft.date, slot: draft.slot, supplierId: draft.supplierId, type: draft.type, qty: Number(draft.qty) };
+  if (!isDateKey(entry.date)) return invalid("Please pick a valid date.");
+  if (isNaN(entry.qty) || entry.qty <= 0) return invalid("Please enter a quantity above zero.");
+  // Fat / SNF readings are optional, but come as a pair
+  const fat = draft.fat ?? "", snf = draft.snf ?? "";
+  if ((fat === "") !== (snf === "")) return invalid("Please fill both fat and SNF, or leave both blank.");
+  if (fat !== "") {
+    entry.fat = Number(fat);
+    entry.snf = Number(snf);
+    if (!(entry.fat > 0 && entry.fat < 20 && entry.snf > 0 && entry.snf < 20)) return invalid("Fat and SNF are percentages, e.g. 4.2 and 8.5.");
+  }
+  if (entryPrice(rates, entry) == null) {
+    const params = { supplier: entry.supplierId, product: entry.type, fat: entry.fat, snf: entry.snf };
+    return hasReading(entry) && chartForDate(rates, entry.date, entry.supplierId, entry.type)
+      ? invalid("Fat {fat}% / SNF {snf}% is below {supplier}'s rate chart, so it has no price.", params)
+      : invalid("Please set {supplier}'s {product} rate (effective on or before the entry date) before adding entries.", params);
+  }
+  return [entry, null];
+}
+
+// Checks a draft rate row ({ effectiveFrom, supplierId, prices: { id: text }, charts: { id: chart text }, original? })
+// against the existing rows -> [row, null] or [null, error]. Blank prices and charts are left out of the row,
+// so those products keep their previous rate / chart. `original` marks an edit of that row.
+export function validateRate(draft, rates) {
+  const row = { effectiveFrom: draft.effectiveFrom, supplierId: draft.supplierId, prices: {} };
+  for (const [id, value] of Object.entries(draft.prices)) {
+    if (value === "") continue;
+    const price = Number(value);
+    if (isNaN(price) || price <= 0) return invalid("Please fill a valid rate for {product}.", { product: id });
+    row.prices[id] = price;
+  }
+  for (const [id, text] of Object.entries(draft.charts ?? {})) {
+    if (!text.trim()) continue;
+    const [chart, error] = parseChart(text);
+    if (error) return invalid("{product} fat / SNF chart: {error}.", { product: id, error });
+    row.charts = { ...row.charts, [id]: chart };
+  }
+  if (!isDateKey(row.effectiveFrom) || (Object.keys(row.prices).length === 0 && !row.charts)) {
+    return invalid("Please fill an effective date and at least one rate or chart.");
+  }
+  // Back-dated and in-between rows are fine; only a second row on the same date is not
+  const { original } = draft;
+  if (rates.some((r) => sameRate(r, row) && !(original && sameRate(r, original)))) {
+    return invalid("There is already a rate from {date}; edit that one instead.", { date: row.effectiveFrom });
+  }
+  return [row, null];
+}
+
+// -> [payment, null] or [null, error]; amounts are kept to the paisa / cent
+export function validatePayment(draft) {
+  const payment = {
+    id: draft.id ?? newId(),
+    date: draft.date,
+    supplierId: draft.supplierId,
+    amount: Math.round(Number(draft.amount) * 100) / 100,
+    method: draft.method,
+    note: (draft.note ?? "").trim(),
+  };
+  if (!isDateKey(payment.date) || isNaN(payment.amount) || payment.amount <= 0) {
+    return invalid("Please enter a date and a payment amount above zero.");
+  }
+  return [payment, null];
+}
@@ -0,0 +1,304 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import {
+  addDays, balancesBySupplier, daySummaries, daysMatrix, entryPrice, fillFromSchedules, isDateKey, ledgerRows, monthBounds,
+  outstanding, parseChart, pauseSchedule, pendingDeliveries, periodBounds, previousBounds, profileSummary, projectMonth,
+  rateForDate, rateImpact, resumeSchedule, schedulePaused, sortRates, summarize, toKey, validateEntry, validatePayment,
+  validateRate,
+} from "./ledger.js";
+
+const entry = (date, qty, extra = {}) => ({ id: `${date}-${qty}`, date, slot: "morning", supplierId: "ram", type: "cow", qty, ...extra });
+
+const rates = sortRates([
+  { supplierId: "ram", effectiveFrom: "2026-03-15", prices: { cow: 60 } },
+  { supplierId: "ram", effectiveFrom: "2026-01-01", prices: { cow: 50, buffalo: 70 } },
+  { supplierId: "shyam", effectiveFrom: "2026-02-01", prices: { cow: 55 } },
+]);
+
+// Runs a block of tests with the process in another time zone
+function inTimeZone(zone) {
+  const before = process.env.TZ;
+  beforeAll(() => { process.env.TZ = zone; });
+  afterAll(() => { process.env.TZ = before; });
+}
+
+describe("rate lookup", () => {
+  it("applies a rate from its effective date onwards", () => {
+    expect(rateForDate(rates, "2026-03-14", "ram", "cow")).toBe(50);
+    expect(rateForDate(rates, "2026-03-15", "ram", "cow")).toBe(60);
+    expect(rateForDate(rates, "2026-12-31", "ram", "cow")).toBe(60);
+  });
+
+  it("has no price before the first rate", () => {
+    expect(rateForDate(rates, "2025-12-31", "ram", "cow")).toBeNull();
+    expect(entryPrice(rates, entry("2025-12-31", 1))).toBeNull();
+  });
+
+  it("keeps a product's earlier price when a later row leaves it out", () => {
+    expect(rateForDate(rates, "2026-04-01", "ram", "buffalo")).toBe(70);
+  });
+
+  it("only uses the supplier's own rows", () => {
+    expect(rateForDate(rates, "2026-01-15", "shyam", "cow")).toBeNull();
+    expect(rateForDate(rates, "2026-02-01", "shyam", "cow")).toBe(55);
+  });
+
+  it("prices a reading from the chart and everything else at the flat rate", () => {
+    const [chart] = parseChart("fat\\snf, 8.0, 8.5\n3.5, 38, 40\n4.5, 44, 47");
+    const withChart = sortRates([...rates, { supplierId: "ram", effectiveFrom: "2026-05-01", prices: {}, charts: { cow: chart } }]);
+    expect(entryPrice(withChart, entry("2026-05-02", 1, { fat: 4.6, snf: 8.2 }))).toBe(44);
+    expect(entryPrice(withChart, entry("2026-05-02", 1, { fat: 3.5, snf: 8.5 }))).toBe(40);
+    expect(entryPrice(withChart, entry("2026-05-02", 1, { fat: 3.0, snf: 8.5 }))).toBeNull();
+    expect(entryPrice(withChart, entry("2026-05-02", 1))).toBe(60);
+    // Before the chart starts, readings don't matter
+    expect(entryPrice(withChart, entry("2026-04-30", 1, { fat: 3.0, snf: 8.5 }))).toBe(60);
+  });
+
+  it("reports a short chart row with a translatable message", () => {
+    expect(parseChart("fat\\snf, 8.0, 8.5\n3.5, 38")).toEqual([null, { message: "row {row} needs {count} positive prices", params: { row: 2, count: 2 } }]);
+  });
+});
+
+describe("months with a rate change", () => {
+  const march = [entry("2026-03-01", 2), entry("2026-03-14", 1), entry("2026-03-15", 1), entry("2026-03-31", 2)];
+
+  it("totals each day at the rate in force that day", () => {
+    const sum = summarize(march, rates, monthBounds(new Date(2026, 2, 1)));
+    expect(sum.cost).toBe(2 * 50 + 50 + 60 + 2 * 60);
+    expect(sum.byProduct.get("cow")).toEqual({ qty: 6, cost: 330 });
+    expect(sum.bySupplier.get("ram").qty).toEqual({ cow: 6 });
+  });
+
+  it("leaves unpriced entries out of the totals", () => {
+    const sum = summarize([...march, entry("2026-03-10", 5, { supplierId: "shyam", type: "paneer" })], rates, null);
+    expect(sum.cost).toBe(330);
+    expect(sum.byProduct.has("paneer")).toBe(false);
+  });
+
+  it("shows which months a new rate reprices", () => {
+    const next = [...rates, { supplierId: "ram", effectiveFrom: "2026-03-01", prices: { cow: 52 } }];
+    const impact = rateImpact(march, rates, next);
+    expect(impact.changed.map((c) => c.entry.date)).toEqual(["2026-03-01", "2026-03-14"]);
+    expect(impact.months).toEqual([{ month: "2026-03", before: 150, after: 156 }]);
+    expect(impact.unpriced).toEqual([]);
+  });
+
+  it("reports entries a deleted rate would leave without a price", () => {
+    const impact = rateImpact(march, rates, rates.filter((r) => r.effectiveFrom !== "2026-01-01"));
+    expect(impact.unpriced.map((e) => e.date)).toEqual(["2026-03-01", "2026-03-14"]);
+  });
+
+  it("keeps a running balance across purchases and payments", () => {
+    const payments = [{ id: "p1", date: "2026-03-14", supplierId: "ram", amount: 100 }];
+    const rows = ledgerRows(march, rates, payments);
+    expect(rows.map((r) => [r.date, r.kind, r.balance])).toEqual([
+      ["2026-03-01", "cost", 100],
+      ["2026-03-14", "cost", 150],
+      ["2026-03-14", "payment", 50],
+      ["2026-03-15", "cost", 110],
+      ["2026-03-31", "cost", 230],
+    ]);
+    expect(balancesBySupplier(rows).get("ram")).toBe(230);
+    expect(outstanding(rows, "ram", "2026-03-14")).toBe(50);
+  });
+
+  it("projects the month end from the average so far at the rate in force each day", () => {
+    const projection = projectMonth(march.slice(0, 1), rates, new Date(2026, 2, 1), "2026-03-10");
+    // 2 kg in 10 days; 4 days to go at ₹50, then 17 at ₹60 from the 15th
+    expect(projection.total).toBeCloseTo(100 + (2 / 10) * (4 * 50 + 17 * 60));
+    expect(projectMonth(march, rates, new Date(2026, 2, 1), "2026-04-01")).toBeNull();
+  });
+
+  it("doesn't price the rest of the month at a rate that starts later", () => {
+    const raised = sortRates([...rates, { supplierId: "ram", effectiveFrom: "2026-04-01", prices: { cow: 80 } }]);
+    const projection = projectMonth(march.slice(0, 2), raised, new Date(2026, 2, 1), "2026-03-15");
+    // 3 kg in 15 days, 16 days to go at ₹60
+    expect(projection.total).toBeCloseTo(150 + (3 / 15) * 16 * 60);
+    expect(projection.byProduct.get("cow")).toBeCloseTo(projection.total);
+  });
+
+  it("sums any profile's saved data in one currency", () => {
+    const data = { entries: march, rates: [...rates].reverse(), payments: [{ amount: 30 }], products: [{ id: "cow", unit: "litre" }] };
+    expect(profileSummary(data, { from: "2026-03-15", to: "2026-03-31" })).toEqual({
+      cost: 180, qty: { litre: 3 }, bought: 330, paid: 30, balance: 300,
+    });
+  });
+});
+
+describe("month edges", () => {
+  it("knows how long each month is", () => {
+    expect(monthBounds(new Date(2028, 1, 10))).toEqual({ from: "2028-02-01", to: "2028-02-29" });
+    expect(monthBounds(new Date(2026, 1, 10))).toEqual({ from: "2026-02-01", to: "2026-02-28" });
+    expect(monthBounds(new Date(2026, 11, 31))).toEqual({ from: "2026-12-01", to: "2026-12-31" });
+  });
+
+  it("steps back over a year end and into shorter months", () => {
+    expect(previousBounds({ kind: "month" }, { from: "2026-01-01", to: "2026-01-31" })).toEqual({ from: "2025-12-01", to: "2025-12-31" });
+    expect(previousBounds({ kind: "month" }, { from: "2026-03-01", to: "2026-03-31" })).toEqual({ from: "2026-02-01", to: "2026-02-28" });
+    expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+    expect(addDays("2028-03-01", -1)).toBe("2028-02-29");
+  });
+
+  it("puts January to March in the financial year that started the April before", () => {
+    expect(periodBounds({ kind: "fy" }, new Date(2027, 0, 1))).toEqual({ from: "2026-04-01", to: "2027-03-31" });
+    expect(periodBounds({ kind: "fy" }, new Date(2026, 3, 1))).toEqual({ from: "2026-04-01", to: "2027-03-31" });
+  });
+
+  it("rejects dates that don't exist", () => {
+    expect(isDateKey("2026-02-29")).toBe(false);
+    expect(isDateKey("2028-02-29")).toBe(true);
+    expect(isDateKey("2026-13-01")).toBe(false);
+    expect(isDateKey("2026-1-01")).toBe(false);
+  });
+
+  it("lays out the calendar from the chosen first weekday", () => {
+    // 1 March 2026 is a Sunday
+    const mondayFirst = daysMatrix(new Date(2026, 2, 1), 1);
+    expect(toKey(mondayFirst[0][0])).toBe("2026-02-23");
+    expect(toKey(mondayFirst[0][6])).toBe("2026-03-01");
+    const sundayFirst = daysMatrix(new Date(2026, 2, 1), 0);
+    expect(toKey(sundayFirst[0][0])).toBe("2026-03-01");
+    expect(sundayFirst).toHaveLength(5);
+  });
+});
+
+describe.each(["America/New_York", "Europe/London", "Australia/Sydney"])("clock changes in %s", (zone) => {
+  inTimeZone(zone);
+
+  it("moves one calendar day at a time", () => {
+    let key = "2026-03-01";
+    const seen = [];
+    while (key <= "2026-11-10") { seen.push(key); key = addDays(key, 1); }
+    expect(seen).toHaveLength(255);
+    expect(new Set(seen).size).toBe(seen.length);
+    expect(addDays("2026-10-24", 2)).toBe("2026-10-26");
+    expect(addDays("2026-04-06", -2)).toBe("2026-04-04");
+  });
+
+  it("gives a custom range spanning a change the same number of days before it", () => {
+    expect(previousBounds({ kind: "range" }, { from: "2026-03-28", to: "2026-04-10" })).toEqual({ from: "2026-03-14", to: "2026-03-27" });
+    expect(previousBounds({ kind: "range" }, { from: "2026-11-01", to: "2026-11-01" })).toEqual({ from: "2026-10-31", to: "2026-10-31" });
+  });
+
+  it("fills every calendar cell with a distinct day", () => {
+    for (const month of [2, 3, 9, 10]) {
+      const days = daysMatrix(new Date(2026, month, 1)).flat().map(toKey);
+      for (let i = 1; i < days.length; i++) expect(days[i]).toBe(addDays(days[i - 1], 1));
+    }
+  });
+
+  it("expects a scheduled delivery once a day through the change", () => {
+    const schedule = { id: "s", supplierId: "ram", slot: "morning", type: "cow", qty: 1, weekdays: [0, 1, 2, 3, 4, 5, 6], start: "2026-03-01", end: "", active: true, pauses: [], skips: [] };
+    expect(pendingDeliveries([], [schedule], "2026-03-25", "2026-04-08")).toHaveLength(15);
+    expect(pendingDeliveries([], [schedule], "2026-10-20", "2026-11-05")).toHaveLength(17);
+  });
+
+  it("adds each day's cost to that day", () => {
+    const map = daySummaries([entry("2026-03-08", 1), entry("2026-03-29", 1), entry("2026-04-05", 1)], rates, monthBounds(new Date(2026, 2, 1)));
+    expect([...map.keys()]).toEqual(["2026-03-08", "2026-03-29"]);
+    expect(map.get("2026-03-29").cost).toBe(60);
+  });
+});
+
+describe("schedules", () => {
+  const daily = { id: "s", supplierId: "ram", slot: "morning", type: "cow", qty: 1, weekdays: [0, 1, 2, 3, 4, 5, 6], start: "2026-05-01", end: "", active: true, pauses: [], skips: [] };
+  // What the app does on every load: fill everything due up to today
+  const fillUpTo = (entries, schedule, today) => fillFromSchedules(entries, [schedule], "0000-01-01", today, () => true, []);
+  const dates = (entries) => entries.map((e) => e.date).sort();
+
+  it("fills nothing for the days a schedule was paused, after it is resumed", () => {
+    let schedule = daily;
+    let entries = fillUpTo([], schedule, "2026-05-10");
+    expect(entries).toHaveLength(10);
+    schedule = { ...schedule, ...pauseSchedule(schedule, "2026-05-11") };
+    expect(schedulePaused(schedule)).toBe(true);
+    entries = fillUpTo(entries, schedule, "2026-05-20");
+    expect(entries).toHaveLength(10);
+    schedule = { ...schedule, ...resumeSchedule(schedule, "2026-05-21", entries) };
+    expect(schedulePaused(schedule)).toBe(false);
+    expect(schedule.pauses).toEqual([{ from: "2026-05-11", to: "2026-05-20" }]);
+    entries = fillUpTo(entries, schedule, "2026-05-22");
+    expect(dates(entries).slice(9)).toEqual(["2026-05-10", "2026-05-21", "2026-05-22"]);
+  });
+
+  it("drops a pause that is resumed the same day", () => {
+    const paused = { ...daily, ...pauseSchedule(daily, "2026-05-11") };
+    expect(resumeSchedule(paused, "2026-05-11").pauses).toEqual([]);
+  });
+
+  it("treats a schedule paused by an earlier version as paused since its last delivery", () => {
+    const entries = fillUpTo([], daily, "2026-05-05");
+    const old = { ...daily, active: false };
+    expect(fillUpTo(entries, old, "2026-05-15")).toBe(entries);
+    const resumed = { ...old, ...resumeSchedule(old, "2026-05-16", entries) };
+    expect(resumed.pauses).toEqual([{ from: "2026-05-06", to: "2026-05-15" }]);
+    expect(dates(fillUpTo(entries, resumed, "2026-05-16")).slice(4)).toEqual(["2026-05-05", "2026-05-16"]);
+  });
+});
+
+describe("validation", () => {
+  const draft = { date: "2026-03-20", slot: "morning", supplierId: "ram", type: "cow", qty: "1.5", fat: "", snf: "" };
+
+  it("turns a form draft into an entry", () => {
+    const [e, error] = validateEntry(draft, rates);
+    expect(error).toBeNull();
+    expect(e).toMatchObject({ date: "2026-03-20", qty: 1.5 });
+    expect(e.id).toBeTruthy();
+    expect(e).not.toHaveProperty("fat");
+  });
+
+  it.each([
+    [{ date: "2026-02-30" }, "Please pick a valid date."],
+    [{ qty: "0" }, "Please enter a quantity above zero."],
+    [{ qty: "abc" }, "Please enter a quantity above zero."],
+    [{ fat: "4.2" }, "Please fill both fat and SNF, or leave both blank."],
+    [{ fat: "42", snf: "8.5" }, "Fat and SNF are percentages, e.g. 4.2 and 8.5."],
+  ])("rejects %o", (change, message) => {
+    expect(validateEntry({ ...draft, ...change }, rates)).toEqual([null, { message, params: {} }]);
+  });
+
+  it("names the supplier and product when no rate applies", () => {
+    const [, error] = validateEntry({ ...draft, date: "2025-12-31" }, rates);
+    expect(error.message).toMatch(/^Please set \{supplier\}'s \{product\} rate/);
+    expect(error.params).toMatchObject({ supplier: "ram", product: "cow" });
+  });
+
+  it("explains a reading below the chart", () => {
+    const [chart] = parseChart("fat\\snf, 8.0\n3.5, 38");
+    const withChart = sortRates([...rates, { supplierId: "ram", effectiveFrom: "2026-03-01", prices: {}, charts: { cow: chart } }]);
+    const [, error] = validateEntry({ ...draft, fat: "3.0", snf: "8.5" }, withChart);
+    expect(error).toEqual({
+      message: "Fat {fat}% / SNF {snf}% is below {supplier}'s rate chart, so it has no price.",
+      params: { supplier: "ram", product: "cow", fat: 3, snf: 8.5 },
+    });
+  });
+
+  it("builds a rate row, leaving blank prices out", () => {
+    expect(validateRate({ effectiveFrom: "2026-06-01", supplierId: "ram", prices: { cow: "62", buffalo: "" } }, rates))
+      .toEqual([{ effectiveFrom: "2026-06-01", supplierId: "ram", prices: { cow: 62 } }, null]);
+  });
+
+  it("rejects bad rate rows", () => {
+    const base = { effectiveFrom: "2026-06-01", supplierId: "ram", prices: { cow: "62" } };
+    expect(validateRate({ ...base, prices: { cow: "-1" } }, rates)[1]).toEqual({ message: "Please fill a valid rate for {product}.", params: { product: "cow" } });
+    expect(validateRate({ ...base, prices: { cow: "" } }, rates)[1].message).toBe("Please fill an effective date and at least one rate or chart.");
+    expect(validateRate({ ...base, effectiveFrom: "" }, rates)[1].message).toBe("Please fill an effective date and at least one rate or chart.");
+    expect(validateRate({ ...base, charts: { cow: "fat\\snf, 8.5, 8.0\n3.5, 38, 40" } }, rates)[1]).toEqual({
+      message: "{product} fat / SNF chart: {error}.",
+      params: { product: "cow", error: { message: "SNF values in the header must be numbers in increasing order", params: {} } },
+    });
+  });
+
+  it("allows one row per supplier and date, except the row being edited", () => {
+    const clash = { effectiveFrom: "2026-03-15", supplierId: "ram", prices: { cow: "61" } };
+    expect(validateRate(clash, rates)[1]).toEqual({ message: "There is already a rate from {date}; edit that one instead.", params: { date: "2026-03-15" } });
+    expect(validateRate({ ...clash, supplierId: "shyam" }, rates)[1]).toBeNull();
+    expect(validateRate({ ...clash, original: { supplierId: "ram", effectiveFrom: "2026-03-15" } }, rates)[1]).toBeNull();
+  });
+
+  it("rounds payments to two decimals and rejects empty ones", () => {
+    const [payment] = validatePayment({ date: "2026-03-31", supplierId: "ram", amount: "100.456", method: "upi", note: " march " });
+    expect(payment).toMatchObject({ amount: 100.46, note: "march" });
+    expect(validatePayment({ date: "2026-03-31", amount: "0", note: "" })[1].message).toBe("Please enter a date and a payment amount above zero.");
+    expect(validatePayment({ date: "", amount: "10", note: "" })[1]).not.toBeNull();
+  });
+});
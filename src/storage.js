@@ -0,0 +1,231 @@
+/**
+ * IndexedDB persistence for the Milk Dairy Tracker
+ * - One row per profile and collection (entries, rates, ...) in the `collections` store, keyed "<profileId>/<name>";
+ *   a save touching several collections is a single transaction, so it lands completely or not at all
+ * - The profile list, the active profile and each profile's sync settings live in the `meta` store
+ * - Schema changes go through MIGRATIONS, one step per database version
+ * - The first run imports the LocalStorage keys used by earlier versions (they are left in place as a backup)
+ * - Rows that can't be read are never dropped silently: the original value is copied to the `quarantine` store
+ */
+
+import { newId } from "./ledger.js";
+
+const DB_NAME = "dairy-tracker";
+const DB_VERSION = 2;
+
+export const COLLECTIONS = ["entries", "rates", "payments", "schedules", "suppliers", "products", "slots", "missed", "budgets"];
+
+// Each household has its own collections; data from before profiles existed belongs to the default one
+export const DEFAULT_PROFILE = { id: "default", name: "Home", currency: "INR" };
+const profileKey = (profileId, name) => `${profileId}/${name}`;
+
+// MIGRATIONS[n] upgrades the database from version n to n + 1
+const MIGRATIONS = [
+  (db) => {
+    db.createObjectStore("collections"); // key: collection name, value: array of rows
+    db.createObjectStore("meta");
+    db.createObjectStore("quarantine", { autoIncrement: true });
+  },
+  (db, tx) => {
+    // Collections move under the default profile
+    const store = tx.objectStore("collections");
+    for (const name of COLLECTIONS) {
+      const req = store.get(name);
+      req.onsuccess = () => {
+        if (req.result === undefined) return;
+        store.put(req.result, profileKey(DEFAULT_PROFILE.id, name));
+        store.delete(name);
+      };
+    }
+  },
+];
+
+// Keys used while data lived in LocalStorage
+const LS_KEYS = {
+  entries: "dairy.entries.v3",
+  rates: "dairy.rates.v2",
+  payments: "dairy.payments.v1",
+  schedules: "dairy.schedules.v1",
+  suppliers: "dairy.suppliers.v1",
+  products: "dairy.products.v1",
+};
+const LEGACY_KEYS = { entries: "dairy.entries.v2" };
+
+// Data from before suppliers existed all belongs to the default one
+export const DEFAULT_SUPPLIER = { id: "default", name: "Milkman" };
+export const withSupplier = (rows) => rows.map((r) => (r.supplierId ? r : { ...r, supplierId: DEFAULT_SUPPLIER.id }));
+
+// Before products were configurable, entries and schedules counted `kg` and rate rows had fixed `cow` / `buffalo` prices
+export const withQty = (rows) => rows.map(({ kg, ...r }) => (kg === undefined ? r : { ...r, qty: kg }));
+export const withPrices = (rows) => rows.map(({ cow, buffalo, ...r }) => (r.prices ? r : { ...r, prices: { cow, buffalo } }));
+
+// Delivery slots; entries and schedules from before slots existed count as morning deliveries
+export const DEFAULT_SLOTS = [
+  { id: "morning", label: "Morning", icon: "🌅" },
+  { id: "evening", label: "Evening", icon: "🌙" },
+];
+export const withSlot = (rows) => rows.map((r) => (r.slot ? r : { ...r, slot: DEFAULT_SLOTS[0].id }));
+
+// Bring rows saved by any earlier version up to the current shape (safe to run more than once)
+const UPGRADE_ROWS = {
+  entries: (rows) => withSlot(withQty(withSupplier(rows))).map((e) => (e.id ? e : { id: newId(), ...e })),
+  rates: (rows) => withPrices(withSupplier(rows)),
+  payments: withSupplier,
+  schedules: (rows) => withSlot(withQty(withSupplier(rows))),
+  suppliers: (rows) => rows,
+  products: (rows) => rows,
+  slots: (rows) => rows,
+  missed: (rows) => rows,
+  budgets: (rows) => rows,
+};
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const VALID_ROW = {
+  entries: (r) => typeof r.date === "string" && typeof r.type === "string" && typeof r.qty === "number",
+  rates: (r) => typeof r.effectiveFrom === "string" && isObject(r.prices),
+  payments: (r) => typeof r.date === "string" && typeof r.amount === "number",
+  schedules: (r) => typeof r.type === "string" && typeof r.qty === "number" && Array.isArray(r.weekdays),
+  suppliers: (r) => typeof r.id === "string" && typeof r.name === "string",
+  products: (r) => typeof r.id === "string" && typeof r.label === "string",
+  slots: (r) => typeof r.id === "string" && typeof r.label === "string",
+  missed: (r) => typeof r.date === "string" && typeof r.supplierId === "string" && typeof r.slot === "string",
+  budgets: (r) => typeof r.scope === "string" && typeof r.amount === "number",
+};
+
+// -> { rows, corrupt }; `corrupt` is true when anything had to be left out
+function readRows(name, value) {
+  if (value === undefined) return { rows: [], corrupt: false };
+  if (!Array.isArray(value)) return { rows: [], corrupt: true };
+  const rows = UPGRADE_ROWS[name](value.filter(isObject)).filter(VALID_ROW[name]);
+  return { rows, corrupt: rows.length !== value.length };
+}
+
+// Collections from outside the database (a sync snapshot) in the current shape, minus rows that can't be read
+export const readCollections = (raw) => Object.fromEntries(COLLECTIONS.map((name) => [name, readRows(name, raw?.[name]).rows]));
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+const committed = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+
+let dbPromise = null;
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("The tracker is open in another tab with an older version; close it and reload."));
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+// Raw LocalStorage values; text that isn't JSON goes straight to quarantine
+function readLocalStorage(quarantine) {
+  const read = (key) => {
+    const raw = localStorage.getItem(key);
+    if (raw == null) return undefined;
+    try { return JSON.parse(raw); }
+    catch { quarantine.push({ source: "localStorage", key, value: raw, reason: "invalid JSON" }); return undefined; }
+  };
+  const data = Object.fromEntries(COLLECTIONS.map((name) => [name, read(LS_KEYS[name])]));
+  if (data.entries === undefined) data.entries = read(LEGACY_KEYS.entries);
+  return data;
+}
+
+/**
+ * Loads every collection of a profile, importing LocalStorage into the default profile on the first run.
+ * Resolves to { data: { entries, rates, ... }, quarantined } where `quarantined` counts the values set aside.
+ */
+export async function loadAll(profileId = DEFAULT_PROFILE.id) {
+  const db = await openDb();
+  const readTx = db.transaction(["collections", "meta"], "readonly");
+  const [stored, imported] = await Promise.all([
+    Promise.all(COLLECTIONS.map((name) => request(readTx.objectStore("collections").get(profileKey(profileId, name))))),
+    request(readTx.objectStore("meta").get("importedLocalStorage")),
+  ]);
+
+  const quarantine = [];
+  const importing = !imported && profileId === DEFAULT_PROFILE.id;
+  const source = importing ? readLocalStorage(quarantine) : Object.fromEntries(COLLECTIONS.map((name, i) => [name, stored[i]]));
+  const data = {};
+  for (const name of COLLECTIONS) {
+    const { rows, corrupt } = readRows(name, source[name]);
+    data[name] = rows;
+    if (corrupt) {
+      quarantine.push(importing
+        ? { source: "localStorage", key: LS_KEYS[name], value: source[name], reason: "unreadable rows" }
+        : { source: "indexedDB", key: profileKey(profileId, name), value: source[name], reason: "unreadable rows" });
+    }
+  }
+
+  if (importing || quarantine.length) {
+    const tx = db.transaction(["collections", "meta", "quarantine"], "readwrite");
+    for (const name of COLLECTIONS) tx.objectStore("collections").put(data[name], profileKey(profileId, name));
+    for (const item of quarantine) tx.objectStore("quarantine").add({ ...item, at: new Date().toISOString() });
+    if (importing) tx.objectStore("meta").put(true, "importedLocalStorage");
+    await committed(tx);
+  }
+  return { data, quarantined: quarantine.length };
+}
+
+// Writes the given collections ({ name: rows }) of a profile in one transaction
+export async function saveCollections(changes, profileId = DEFAULT_PROFILE.id) {
+  const db = await openDb();
+  const tx = db.transaction("collections", "readwrite");
+  for (const [name, rows] of Object.entries(changes)) tx.objectStore("collections").put(rows, profileKey(profileId, name));
+  return committed(tx);
+}
+
+// -> { profiles: [{ id, name, currency }], activeId }
+export async function loadProfiles() {
+  const db = await openDb();
+  const tx = db.transaction("meta", "readonly");
+  const [profiles, activeId] = await Promise.all([
+    request(tx.objectStore("meta").get("profiles")),
+    request(tx.objectStore("meta").get("activeProfile")),
+  ]);
+  const list = Array.isArray(profiles) && profiles.length ? profiles : [DEFAULT_PROFILE];
+  return { profiles: list, activeId: list.some((p) => p.id === activeId) ? activeId : list[0].id };
+}
+
+export async function saveProfiles(profiles, activeId) {
+  const db = await openDb();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(profiles, "profiles");
+  tx.objectStore("meta").put(activeId, "activeProfile");
+  return committed(tx);
+}
+
+// Removes a profile's collections and sync state (the caller drops it from the profile list)
+export async function deleteProfileData(profileId) {
+  const db = await openDb();
+  const tx = db.transaction(["collections", "meta"], "readwrite");
+  for (const name of COLLECTIONS) tx.objectStore("collections").delete(profileKey(profileId, name));
+  tx.objectStore("meta").delete(`sync/${profileId}`);
+  return committed(tx);
+}
+
+// Sync settings and the last synced snapshot of a profile (see sync.js); undefined before the first sync
+export async function loadSyncState(profileId) {
+  const db = await openDb();
+  return request(db.transaction("meta", "readonly").objectStore("meta").get(`sync/${profileId}`));
+}
+
+export async function saveSyncState(profileId, state) {
+  const db = await openDb();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(state, `sync/${profileId}`);
+  return committed(tx);
+}
@@ -0,0 +1,188 @@
+/**
+ * Encrypted sync for the Milk Dairy Tracker, free of React
+ * - A snapshot is one profile's collections, encrypted with AES-GCM under a key derived from a passphrase
+ *   (PBKDF2-SHA-256), so files and servers only ever hold ciphertext. The passphrase is never stored
+ * - Targets are pluggable: { pull() -> { envelope, revision } | null, push(envelope, revision) -> { revision } | null },
+ *   where push resolves to null when someone else pushed since `revision` was pulled
+ * - Merging is per record, three-way against the base (the data both sides held after the last sync):
+ *   a record changed on one side takes that change, one changed differently on both sides is a conflict
+ *   that the user resolves
+ */
+
+import { missedKey, scheduledEntryId } from "./ledger.js";
+import { COLLECTIONS, readCollections } from "./storage.js";
+
+const FORMAT = "dairy-tracker-sync";
+const FORMAT_VERSION = 1;
+const KDF_ITERATIONS = 250000;
+
+// Identity of a record in each collection; rate rows have no id, so a supplier and date identify them.
+// Entries filled from a schedule are one delivery per schedule and day, whatever id the filling device gave them
+export const RECORD_KEYS = {
+  entries: (r) => (r.scheduleId ? scheduledEntryId(r) : r.id),
+  rates: (r) => `${r.supplierId}|${r.effectiveFrom}`,
+  payments: (r) => r.id,
+  schedules: (r) => r.id,
+  suppliers: (r) => r.id,
+  products: (r) => r.id,
+  slots: (r) => r.id,
+  missed: missedKey,
+  budgets: (r) => r.scope,
+};
+
+// Key order doesn't matter: rows that went through different code paths still compare equal
+const canonical = (v) =>
+  Array.isArray(v) ? `[${v.map(canonical).join(",")}]`
+    : v && typeof v === "object" ? `{${Object.keys(v).sort().filter((k) => v[k] !== undefined).map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`).join(",")}}`
+      : JSON.stringify(v) ?? "null";
+export const sameRecord = (a, b) => (a === undefined || b === undefined ? a === b : canonical(a) === canonical(b));
+// Scheduled entries from before their ids were derived from the schedule differ in id alone
+const comparable = (name, r) => (name === "entries" && r?.scheduleId ? { ...r, id: undefined } : r);
+
+/**
+ * Merges the remote collections into the local ones. `base` is null before the first sync, in which case
+ * records only one side has are kept and records both have but differ are conflicts.
+ * -> { data, conflicts: [{ collection, key, base, local, remote }] }; `data` holds the local side of each conflict.
+ * A missing `local` or `remote` in a conflict means that side deleted the record.
+ */
+export function mergeSnapshots(base, local, remote) {
+  const data = {}, conflicts = [];
+  for (const name of COLLECTIONS) {
+    const keyOf = RECORD_KEYS[name];
+    const byKey = (rows) => new Map((rows ?? []).map((r) => [keyOf(r), r]));
+    const b = byKey(base?.[name]), l = byKey(local[name]), r = byKey(remote[name]);
+    const rows = [];
+    for (const key of new Set([...l.keys(), ...r.keys()])) {
+      const mine = l.get(key), theirs = r.get(key), was = b.get(key);
+      const same = (x, y) => sameRecord(comparable(name, x), comparable(name, y));
+      let pick;
+      if (same(mine, theirs) || same(theirs, was)) pick = mine;
+      else if (same(mine, was)) pick = theirs;
+      else {
+        conflicts.push({ collection: name, key, base: was, local: mine, remote: theirs });
+        pick = mine;
+      }
+      if (pick !== undefined) rows.push(pick);
+    }
+    data[name] = rows;
+  }
+  return { data, conflicts };
+}
+
+// Applies the user's choice ("local" or "remote", by conflict index) to merged data
+export function resolveConflicts(data, conflicts, choices) {
+  const out = { ...data };
+  conflicts.forEach((c, i) => {
+    const keyOf = RECORD_KEYS[c.collection];
+    const pick = choices[i] === "remote" ? c.remote : c.local;
+    const rows = out[c.collection].filter((r) => keyOf(r) !== c.key);
+    const at = out[c.collection].findIndex((r) => keyOf(r) === c.key);
+    if (pick !== undefined) rows.splice(at < 0 ? rows.length : at, 0, pick);
+    out[c.collection] = rows;
+  });
+  return out;
+}
+
+// Encryption
+
+const toBase64 = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(text);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]
+  );
+}
+
+// { profile: { name, currency }, data: { entries, rates, ... } } -> envelope (plain JSON, safe to store anywhere)
+export async function encryptSnapshot(snapshot, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  const plain = new TextEncoder().encode(JSON.stringify({ ...snapshot, exportedAt: new Date().toISOString() }));
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain));
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(cipher),
+  };
+}
+
+// envelope -> snapshot with its collections upgraded and checked like stored ones; throws on a wrong passphrase
+export async function decryptSnapshot(envelope, passphrase) {
+  if (envelope?.format !== FORMAT) throw new Error("This isn't a Dairy Expense Tracker sync file.");
+  if (!(envelope.version <= FORMAT_VERSION)) throw new Error(`The sync copy was written by a newer version of the app (format ${envelope.version}).`);
+  const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.cipher.iv) }, key, fromBase64(envelope.data));
+  } catch {
+    throw new Error("Wrong passphrase, or the sync copy is damaged.");
+  }
+  const snapshot = JSON.parse(new TextDecoder().decode(plain));
+  return { ...snapshot, data: readCollections(snapshot.data) };
+}
+
+// Targets
+
+// A file the user picked; `read` resolves to its text (or null when there is none yet), `write` replaces it
+export function fileTarget({ read, write }) {
+  return {
+    async pull() {
+      const text = await read();
+      if (!text?.trim()) return null;
+      let envelope;
+      try { envelope = JSON.parse(text); } catch { throw new Error("The chosen file is not a sync file."); }
+      return { envelope, revision: null };
+    },
+    async push(envelope) {
+      await write(JSON.stringify(envelope));
+      return { revision: null };
+    },
+  };
+}
+
+// The REST endpoint of server/sync-server.js (or anything speaking the same protocol):
+//   GET {url}/snapshots/{space}  -> 200 { revision, envelope } | 404 before the first push
+//   PUT {url}/snapshots/{space}  body { baseRevision, envelope } -> 200 { revision } | 409 when baseRevision is stale
+export function serverTarget({ url, space, token }) {
+  const endpoint = `${url.replace(/\/+$/, "")}/snapshots/${encodeURIComponent(space)}`;
+  const headers = { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) };
+  const failed = async (res) => new Error(`The sync server answered ${res.status}${res.status === 401 ? " (check the access token)" : ""}: ${(await res.text()).slice(0, 200)}`);
+  return {
+    async pull() {
+      const res = await fetch(endpoint, { headers });
+      if (res.status === 404) return null;
+      if (!res.ok) throw await failed(res);
+      return res.json();
+    },
+    async push(envelope, baseRevision) {
+      const res = await fetch(endpoint, { method: "PUT", headers, body: JSON.stringify({ baseRevision, envelope }) });
+      if (res.status === 409) return null;
+      if (!res.ok) throw await failed(res);
+      return { revision: (await res.json()).revision };
+    },
+  };
+}
+
+// One sync round, part one: fetch the other side and merge it with local data.
+// -> { data, conflicts, revision, remoteProfile }; with nothing to pull, the local data is returned as is.
+export async function pullAndMerge(target, passphrase, base, local) {
+  const pulled = await target.pull();
+  if (!pulled) return { data: local, conflicts: [], revision: null, remoteProfile: null };
+  const remote = await decryptSnapshot(pulled.envelope, passphrase);
+  return { ...mergeSnapshots(base, local, remote.data), revision: pulled.revision, remoteProfile: remote.profile ?? null };
+}
+
+// Part two, once conflicts are resolved: write the merged data back. Resolves to { revision },
+// or null when the target changed since the pull (the caller should sync again)
+export async function pushMerged(target, passphrase, data, revision, profile) {
+  return target.push(await encryptSnapshot({ profile, data }, passphrase), revision);
+}
@@ -0,0 +1,187 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createSyncServer } from "../server/sync-server.js";
+import { fillFromSchedules } from "./ledger.js";
+import { decryptSnapshot, encryptSnapshot, mergeSnapshots, pullAndMerge, pushMerged, resolveConflicts, serverTarget } from "./sync.js";
+
+const entry = (id, qty, extra = {}) => ({ id, date: "2026-05-01", slot: "morning", supplierId: "ram", type: "cow", qty, ...extra });
+const schedule = { id: "s", supplierId: "ram", slot: "morning", type: "cow", qty: 1, weekdays: [0, 1, 2, 3, 4, 5, 6], start: "2026-05-01", end: "", active: true, pauses: [], skips: [] };
+const rate = (effectiveFrom, cow) => ({ supplierId: "ram", effectiveFrom, prices: { cow } });
+const data = (collections) => ({
+  entries: [], rates: [], payments: [], schedules: [], suppliers: [], products: [], slots: [], missed: [], budgets: [], ...collections,
+});
+
+describe("merging", () => {
+  it("keeps records from both sides on the first sync", () => {
+    const { data: merged, conflicts } = mergeSnapshots(null, data({ entries: [entry("a", 1)] }), data({ entries: [entry("b", 2)] }));
+    expect(merged.entries.map((e) => e.id)).toEqual(["a", "b"]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("takes a change made on one side only", () => {
+    const base = data({ entries: [entry("a", 1), entry("b", 1)] });
+    const local = data({ entries: [entry("a", 1.5), entry("b", 1)] });
+    const remote = data({ entries: [entry("a", 1), entry("b", 2)] });
+    const { data: merged, conflicts } = mergeSnapshots(base, local, remote);
+    expect(merged.entries.map((e) => e.qty)).toEqual([1.5, 2]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("ignores key order when comparing records", () => {
+    const base = data({ entries: [entry("a", 1)] });
+    const reordered = { qty: 1, type: "cow", supplierId: "ram", slot: "morning", date: "2026-05-01", id: "a" };
+    expect(mergeSnapshots(base, base, data({ entries: [reordered] })).conflicts).toEqual([]);
+  });
+
+  it("reports a record both sides changed differently, keeping the local one until resolved", () => {
+    const base = data({ entries: [entry("a", 1)] });
+    const { data: merged, conflicts } = mergeSnapshots(base, data({ entries: [entry("a", 2)] }), data({ entries: [entry("a", 3)] }));
+    expect(merged.entries[0].qty).toBe(2);
+    expect(conflicts).toEqual([{ collection: "entries", key: "a", base: entry("a", 1), local: entry("a", 2), remote: entry("a", 3) }]);
+  });
+
+  it("does not count the same edit on both sides as a conflict", () => {
+    const base = data({ entries: [entry("a", 1)] });
+    const both = data({ entries: [entry("a", 2)] });
+    expect(mergeSnapshots(base, both, both)).toEqual({ data: both, conflicts: [] });
+  });
+
+  it("passes deletions on in both directions", () => {
+    const base = data({ entries: [entry("a", 1), entry("b", 1)] });
+    const { data: merged, conflicts } = mergeSnapshots(base, data({ entries: [entry("b", 1)] }), data({ entries: [entry("a", 1)] }));
+    expect(merged.entries).toEqual([]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("asks when one side deleted a record the other edited", () => {
+    const base = data({ entries: [entry("a", 1)] });
+    const { data: merged, conflicts } = mergeSnapshots(base, data(), data({ entries: [entry("a", 2)] }));
+    expect(merged.entries).toEqual([]);
+    expect(conflicts).toMatchObject([{ collection: "entries", key: "a", local: undefined, remote: entry("a", 2) }]);
+  });
+
+  it("matches rate rows by supplier and effective date", () => {
+    const base = data({ rates: [rate("2026-01-01", 50)] });
+    const local = data({ rates: [rate("2026-01-01", 50), rate("2026-04-01", 55)] });
+    const remote = data({ rates: [rate("2026-01-01", 52), rate("2026-04-01", 56)] });
+    const { data: merged, conflicts } = mergeSnapshots(base, local, remote);
+    expect(merged.rates.map((r) => r.prices.cow)).toEqual([52, 55]);
+    expect(conflicts).toMatchObject([{ collection: "rates", key: "ram|2026-04-01" }]);
+  });
+
+  it("keeps one copy of a scheduled delivery that both devices filled", () => {
+    const scheduled = { date: "2026-05-03", slot: "morning", supplierId: "ram", type: "cow", qty: 1, scheduleId: "s" };
+    const { data: merged, conflicts } = mergeSnapshots(
+      null,
+      data({ entries: fillFromSchedules([], [schedule], "2026-05-01", "2026-05-03", () => true, []) }),
+      data({ entries: [entry("random-1", 1, scheduled), ...fillFromSchedules([], [schedule], "2026-05-01", "2026-05-02", () => true, [])] })
+    );
+    expect(merged.entries.map((e) => e.date)).toEqual(["2026-05-01", "2026-05-02", "2026-05-03"]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("still reports a scheduled delivery edited differently on both devices", () => {
+    const [filled] = fillFromSchedules([], [schedule], "2026-05-01", "2026-05-01", () => true, []);
+    const base = data({ entries: [filled] });
+    const { conflicts } = mergeSnapshots(base, data({ entries: [{ ...filled, qty: 2 }] }), data({ entries: [{ ...filled, id: "random-1", qty: 3 }] }));
+    expect(conflicts).toMatchObject([{ collection: "entries", key: "s|2026-05-01" }]);
+  });
+
+  it("matches missed deliveries and budgets by what they describe", () => {
+    const miss = { date: "2026-05-02", supplierId: "ram", slot: "evening" };
+    const { data: merged } = mergeSnapshots(
+      null,
+      data({ missed: [miss], budgets: [{ scope: "all", amount: 3000 }] }),
+      data({ missed: [{ ...miss }], budgets: [{ scope: "all", amount: 3000 }] })
+    );
+    expect(merged.missed).toHaveLength(1);
+    expect(merged.budgets).toHaveLength(1);
+  });
+});
+
+describe("resolving conflicts", () => {
+  const base = data({ entries: [entry("a", 1), entry("b", 1), entry("c", 1)] });
+  const local = data({ entries: [entry("a", 2), entry("c", 1)] });
+  const remote = data({ entries: [entry("a", 3), entry("b", 4), entry("c", 1)] });
+  const { data: merged, conflicts } = mergeSnapshots(base, local, remote);
+
+  it("applies each choice in place", () => {
+    const out = resolveConflicts(merged, conflicts, ["remote", "remote"]);
+    expect(out.entries.map((e) => [e.id, e.qty])).toEqual([["a", 3], ["c", 1], ["b", 4]]);
+  });
+
+  it("keeps a local deletion when this device wins", () => {
+    const out = resolveConflicts(merged, conflicts, ["local", "local"]);
+    expect(out.entries.map((e) => [e.id, e.qty])).toEqual([["a", 2], ["c", 1]]);
+  });
+});
+
+describe("encryption", () => {
+  const snapshot = { profile: { name: "Home", currency: "INR" }, data: data({ entries: [entry("a", 1)], rates: [rate("2026-01-01", 50)] }) };
+
+  it("round-trips a snapshot without leaving readable data behind", async () => {
+    const envelope = await encryptSnapshot(snapshot, "correct horse");
+    expect(JSON.stringify(envelope)).not.toContain("ram");
+    const back = await decryptSnapshot(envelope, "correct horse");
+    expect(back.profile).toEqual(snapshot.profile);
+    expect(back.data).toEqual(snapshot.data);
+  });
+
+  it("refuses a wrong passphrase", async () => {
+    const envelope = await encryptSnapshot(snapshot, "correct horse");
+    await expect(decryptSnapshot(envelope, "battery staple")).rejects.toThrow(/Wrong passphrase/);
+  });
+
+  it("upgrades rows written by older versions", async () => {
+    const old = { profile: snapshot.profile, data: { entries: [{ id: "a", date: "2026-05-01", type: "cow", kg: 1 }] } };
+    const back = await decryptSnapshot(await encryptSnapshot(old, "correct horse"), "correct horse");
+    expect(back.data.entries).toEqual([entry("a", 1, { supplierId: "default" })]);
+  });
+});
+
+describe("sync server", () => {
+  let server, dir, target;
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "dairy-sync-"));
+    server = createSyncServer({ dir, token: "secret" });
+    await new Promise((done) => server.listen(0, "127.0.0.1", done));
+    target = serverTarget({ url: `http://127.0.0.1:${server.address().port}/`, space: "home", token: "secret" });
+  });
+  afterAll(async () => {
+    await new Promise((done) => server.close(done));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("syncs two devices through the server and refuses a stale push", async () => {
+    const phone = data({ entries: [entry("a", 1)] });
+    expect(await pullAndMerge(target, "correct horse", null, phone)).toMatchObject({ data: phone, revision: null });
+    const first = await pushMerged(target, "correct horse", phone, null, { name: "Home" });
+    expect(first).toEqual({ revision: 1 });
+
+    const laptop = data({ entries: [entry("b", 2)] });
+    const round = await pullAndMerge(target, "correct horse", null, laptop);
+    expect(round.revision).toBe(1);
+    expect(round.data.entries.map((e) => e.id)).toEqual(["b", "a"]);
+    expect(await pushMerged(target, "correct horse", round.data, round.revision, { name: "Home" })).toEqual({ revision: 2 });
+
+    // The phone still thinks revision 1 is the latest
+    expect(await pushMerged(target, "correct horse", phone, first.revision, { name: "Home" })).toBeNull();
+  });
+
+  it("rejects requests without the access token", async () => {
+    const stranger = serverTarget({ url: `http://127.0.0.1:${server.address().port}`, space: "home" });
+    await expect(stranger.pull()).rejects.toThrow(/401/);
+  });
+
+  it("answers 400 to a body that isn't a JSON object", async () => {
+    for (const body of ["null", "[]", "42"]) {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/snapshots/home`, {
+        method: "PUT", headers: { Authorization: "Bearer secret", "Content-Type": "application/json" }, body,
+      });
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({ error: "Body must be a JSON object" });
+    }
+  });
+});
@@ -1,6 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      // A new build waits for the in-app "Update" prompt instead of taking over mid-entry
+      registerType: 'prompt',
+      // Icons and stickers in public/ are already picked up by globPatterns
+      includeManifestIcons: false,
+      manifest: {
+        name: 'Milk Dairy Tracker',
+        short_name: 'Dairy',
+        description: 'Track daily milk deliveries, rates, payments and bills',
+        theme_color: '#ede9fe',
+        background_color: '#f5f3ff',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'icons/maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,png,svg,ico}'],
+        runtimeCaching: [
+          {
+            urlPattern: /^https:\/\/fonts\.(googleapis|gstatic)\.com\/.*/,
+            handler: 'StaleWhileRevalidate',
+            options: { cacheName: 'google-fonts', expiration: { maxEntries: 20 } },
+          },
+        ],
+      },
+    }),
+  ],
 })